@@ -96,8 +96,8 @@ const setupDatabase = async () => {
     
     if (adminCheckResult.rows.length === 0) {
       await appPool.query(
-        `INSERT INTO users (email, password, first_name, last_name, role)
-         VALUES ($1, $2, $3, $4, $5)`,
+        `INSERT INTO users (email, password, first_name, last_name, role, email_verified_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
         ['admin@example.com', hashedPassword, 'Admin', 'User', 'admin']
       );
       logger.info('Admin user created successfully');
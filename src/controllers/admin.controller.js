@@ -0,0 +1,476 @@
+const { pool } = require('../db/connection');
+const AccountLock = require('../models/accountLock.model');
+const TwoFactor = require('../models/twoFactor.model');
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const UserToken = require('../models/token.model');
+const AuditLog = require('../models/auditLog.model');
+const { ApiError } = require('../middlewares/errorHandler');
+const { successResponse } = require('../utils/responseHandler');
+const { generateAccessToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const logger = require('../utils/logger');
+
+/**
+ * Write an admin action to the audit log
+ * @param {Object} req - Express request object (actor and IP)
+ * @param {String} action - Action name
+ * @param {Number} targetId - Affected user ID
+ * @param {Object} details - Additional details
+ * @param {Object} client - Transaction client the action runs in
+ */
+const audit = (req, action, targetId, details = null, client = null) => AuditLog.record({
+  actor: req.user,
+  action,
+  targetType: 'user',
+  targetId,
+  details,
+  ipAddress: req.ip
+}, client);
+
+/**
+ * Run an admin action in a transaction, so the action and its audit entry
+ * commit together or not at all
+ * @param {Function} perform - Receives the transaction client; a falsy result rolls back
+ * @returns {*} The action's result
+ */
+const inTransaction = async (perform) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await perform(client);
+    
+    await client.query(result ? 'COMMIT' : 'ROLLBACK');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Search users
+ * @route GET /api/admin/users
+ * @access Private (Admins only)
+ */
+exports.getUsers = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    const filters = {
+      search: req.query.search,
+      role: req.query.role,
+      status: req.query.status
+    };
+    
+    const result = await User.search(filters, page, limit);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Users retrieved successfully', 
+      result.users,
+      result.pagination
+    );
+  } catch (error) {
+    logger.error('Error searching users', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Suspend a user account and sign it out everywhere
+ * @route POST /api/admin/users/:id/suspend
+ * @access Private (Admins only)
+ */
+exports.suspendUser = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { reason } = req.body;
+    
+    if (userId === req.user.id) {
+      return next(new ApiError(400, 'You cannot suspend your own account'));
+    }
+    
+    const user = await inTransaction(async (client) => {
+      const suspended = await User.suspend(userId, reason, req.user.id, client);
+      
+      if (suspended) {
+        await Session.revokeAllForUser(userId, 'suspended', null, client);
+        await audit(req, 'user.suspend', userId, { reason }, client);
+      }
+      
+      return suspended;
+    });
+    
+    if (!user) {
+      return next(new ApiError(404, 'User not found or already suspended'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'User suspended successfully', 
+      user
+    );
+  } catch (error) {
+    logger.error('Error suspending user', { error, userId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Lift a user's suspension
+ * @route POST /api/admin/users/:id/unsuspend
+ * @access Private (Admins only)
+ */
+exports.unsuspendUser = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+    
+    const user = await inTransaction(async (client) => {
+      const unsuspended = await User.unsuspend(userId, client);
+      
+      if (unsuspended) {
+        await audit(req, 'user.unsuspend', userId, { reason: req.body.reason }, client);
+      }
+      
+      return unsuspended;
+    });
+    
+    if (!user) {
+      return next(new ApiError(404, 'User not found or not suspended'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'User unsuspended successfully', 
+      user
+    );
+  } catch (error) {
+    logger.error('Error unsuspending user', { error, userId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Force a password reset: sign the user out, block logins until the
+ * password is reset and email a reset link
+ * @route POST /api/admin/users/:id/force-password-reset
+ * @access Private (Admins only)
+ */
+exports.forcePasswordReset = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+    
+    const user = await inTransaction(async (client) => {
+      const resetUser = await User.requirePasswordReset(userId, client);
+      
+      if (resetUser) {
+        await Session.revokeAllForUser(userId, 'admin_password_reset', null, client);
+        await audit(req, 'user.force_password_reset', userId, { reason: req.body.reason }, client);
+      }
+      
+      return resetUser;
+    });
+    
+    if (!user) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    
+    const ttlMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+    const resetToken = await UserToken.create(user.id, 'password_reset', ttlMinutes);
+    const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+    
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'You need to reset your password',
+        text: `Hi ${user.first_name},\n\n` +
+          'An administrator has signed you out and requires you to choose a new password ' +
+          `before you can log in again. The link below expires in ${ttlMinutes} minutes.\n\n${resetUrl}\n\n` +
+          'If the link expires, request a new one from the forgot password page.'
+      });
+    } catch (mailError) {
+      logger.error('Error sending forced password reset email', { error: mailError, userId });
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Password reset required and reset link sent'
+    );
+  } catch (error) {
+    logger.error('Error forcing password reset', { error, userId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Change a user's primary role. Creates the matching profile if the user
+ * does not hold the role yet and signs the user out everywhere.
+ * @route PATCH /api/admin/users/:id/role
+ * @access Private (Admins only)
+ */
+exports.changeUserRole = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role, companyName } = req.body;
+    
+    if (userId === req.user.id) {
+      return next(new ApiError(400, 'You cannot change your own role'));
+    }
+    
+    const current = await User.findAuthById(userId);
+    
+    if (!current) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    
+    if (current.role === role) {
+      return next(new ApiError(400, `User's role is already ${role}`));
+    }
+    
+    const needsProfile = role !== 'admin' && !current.roles.includes(role);
+    
+    if (needsProfile && role === 'employer' && !companyName) {
+      return next(new ApiError(400, 'Company name is required to make this user an employer'));
+    }
+    
+    const user = await inTransaction(async (client) => {
+      if (needsProfile) {
+        await User.addRole(userId, role, { companyName }, client);
+      }
+      
+      const changed = await User.changeRole(userId, role, client);
+      
+      // Access tokens carry the role, so existing sessions must end
+      await Session.revokeAllForUser(userId, 'role_change', null, client);
+      await audit(req, 'user.change_role', userId, { from: current.role, to: role }, client);
+      
+      return changed;
+    });
+    
+    return successResponse(
+      res, 
+      200, 
+      'User role changed successfully', 
+      user
+    );
+  } catch (error) {
+    logger.error('Error changing user role', { error, userId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Issue a short-lived token to act as a user. The token is tied to the
+ * admin's own session and carries their ID; sensitive actions are blocked
+ * and every change made with it is audited.
+ * @route POST /api/admin/users/:id/impersonate
+ * @access Private (Admins only)
+ */
+exports.impersonateUser = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { reason } = req.body;
+    
+    if (req.user.impersonator) {
+      return next(new ApiError(400, 'Already impersonating a user'));
+    }
+    
+    const user = await User.findAuthById(userId);
+    
+    if (!user) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    
+    if (user.roles.includes('admin')) {
+      return next(new ApiError(403, 'Admin accounts cannot be impersonated'));
+    }
+    
+    if (user.suspended_at) {
+      return next(new ApiError(400, 'Suspended accounts cannot be impersonated'));
+    }
+    
+    const role = req.body.role || user.role;
+    
+    if (!user.roles.includes(role)) {
+      return next(new ApiError(400, `User does not have a ${role} profile`));
+    }
+    
+    const expiresInMinutes = parseInt(process.env.IMPERSONATION_TOKEN_EXPIRES_MINUTES) || 15;
+    const token = generateAccessToken(
+      { id: user.id, role, sid: req.user.sessionId, imp: req.user.id },
+      `${expiresInMinutes}m`
+    );
+    
+    await audit(req, 'user.impersonate', userId, { reason, role, expiresInMinutes });
+    
+    return successResponse(
+      res, 
+      200, 
+      'Impersonation token issued', 
+      {
+        token,
+        expiresInMinutes,
+        user: { id: user.id, email: user.email, role, roles: user.roles }
+      }
+    );
+  } catch (error) {
+    logger.error('Error impersonating user', { error, userId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Get the admin audit log
+ * @route GET /api/admin/audit-log
+ * @access Private (Admins only)
+ */
+exports.getAuditLog = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    const filters = {
+      actorId: req.query.actorId,
+      action: req.query.action,
+      targetType: req.query.targetType,
+      targetId: req.query.targetId
+    };
+    
+    const result = await AuditLog.find(filters, page, limit);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Audit log retrieved successfully', 
+      result.entries,
+      result.pagination
+    );
+  } catch (error) {
+    logger.error('Error getting audit log', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Unlock a locked user account
+ * @route POST /api/admin/users/:id/unlock
+ * @access Private (Admins only)
+ */
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const userId = req.params.id;
+    
+    const unlocked = await inTransaction(async (client) => {
+      const found = await AccountLock.unlock(userId, {
+        reason: req.body.reason || 'admin',
+        actorId: req.user.id,
+        ipAddress: req.ip
+      }, client);
+      
+      if (found) {
+        await audit(req, 'user.unlock', parseInt(userId), { reason: req.body.reason || 'admin' }, client);
+      }
+      
+      return found;
+    });
+    
+    if (!unlocked) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'User account unlocked successfully'
+    );
+  } catch (error) {
+    logger.error('Error unlocking user', { error, userId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Get lock/unlock history for a user
+ * @route GET /api/admin/users/:id/lock-events
+ * @access Private (Admins only)
+ */
+exports.getUserLockEvents = async (req, res, next) => {
+  try {
+    const userId = req.params.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    const result = await AccountLock.findEventsByUser(userId, page, limit);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Account lock events retrieved successfully', 
+      result.events,
+      result.pagination
+    );
+  } catch (error) {
+    logger.error('Error getting account lock events', { error, userId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Get two-factor requirements per role
+ * @route GET /api/admin/two-factor/policies
+ * @access Private (Admins only)
+ */
+exports.getTwoFactorPolicies = async (req, res, next) => {
+  try {
+    const policies = await TwoFactor.getRolePolicies();
+    
+    return successResponse(
+      res, 
+      200, 
+      'Two-factor policies retrieved successfully', 
+      policies
+    );
+  } catch (error) {
+    logger.error('Error getting two-factor policies', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Require or stop requiring two-factor authentication for a role
+ * @route PUT /api/admin/two-factor/policies/:role
+ * @access Private (Admins only)
+ */
+exports.setTwoFactorPolicy = async (req, res, next) => {
+  try {
+    const policy = await TwoFactor.setRolePolicy(req.params.role, req.body.required, req.user.id);
+    
+    await AuditLog.record({
+      actor: req.user,
+      action: 'two_factor.set_policy',
+      targetType: 'role',
+      details: { role: req.params.role, required: req.body.required },
+      ipAddress: req.ip
+    });
+    
+    return successResponse(
+      res, 
+      200, 
+      'Two-factor policy updated successfully', 
+      policy
+    );
+  } catch (error) {
+    logger.error('Error setting two-factor policy', { error, role: req.params.role });
+    return next(error);
+  }
+};
\ No newline at end of file
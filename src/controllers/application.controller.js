@@ -1,7 +1,10 @@
 const JobApplication = require('../models/application.model');
+const JobShift = require('../models/jobShift.model');
+const Company = require('../models/company.model');
 const { query } = require('../db/connection');
 const { ApiError } = require('../middlewares/errorHandler');
 const { successResponse } = require('../utils/responseHandler');
+const { announceJob } = require('../utils/announcer');
 const logger = require('../utils/logger');
 const Notification = require('../models/notification.model');
 
@@ -13,7 +16,7 @@ const Notification = require('../models/notification.model');
 exports.applyForJob = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { jobId, coverLetter } = req.body;
+    const { jobId, shiftId, coverLetter } = req.body;
     
     // Get job seeker profile ID
     const jobSeekerResult = await query(
@@ -29,58 +32,132 @@ exports.applyForJob = async (req, res, next) => {
     
     // Check if job exists
     const jobResult = await query(
-      'SELECT * FROM jobs WHERE id = $1 AND status = $2',
-      [jobId, 'active']
+      'SELECT * FROM jobs WHERE id = $1 AND status IN ($2, $3)',
+      [jobId, 'active', 'filled']
     );
     
     if (jobResult.rows.length === 0) {
       return next(new ApiError(404, 'Job not found or not active'));
     }
     
+    if (jobResult.rows[0].status === 'filled') {
+      return next(new ApiError(409, 'This job has already been filled'));
+    }
+    
+    // Jobs with shifts take applications for one shift at a time
+    const shifts = await JobShift.findByJob(jobId);
+    let shift = null;
+    
+    if (shifts.length > 0) {
+      if (!shiftId) {
+        return next(new ApiError(400, 'This job has several shifts. Choose one with shiftId'));
+      }
+      
+      shift = shifts.find(jobShift => jobShift.id === shiftId);
+      
+      if (!shift) {
+        return next(new ApiError(404, 'Shift not found'));
+      }
+      
+      if (shift.status === 'filled') {
+        return next(new ApiError(409, 'This shift has already been filled'));
+      }
+      
+      if (new Date(shift.starts_at) <= new Date()) {
+        return next(new ApiError(400, 'This shift has already started'));
+      }
+    } else if (shiftId) {
+      return next(new ApiError(400, 'This job has no shifts'));
+    }
+    
     // Check if already applied
-    const hasApplied = await JobApplication.hasApplied(jobSeekerId, jobId);
+    const hasApplied = await JobApplication.hasApplied(jobSeekerId, jobId, shift ? shift.id : null);
     
     if (hasApplied) {
-      return next(new ApiError(400, 'You have already applied for this job'));
+      return next(new ApiError(400, shift
+        ? 'You have already applied for this shift'
+        : 'You have already applied for this job'));
     }
     
-    // Create application
-    const applicationData = { coverLetter };
-    const application = await JobApplication.create(applicationData, jobSeekerId, jobId);
-    
-    // Get employer ID to send notification
-    const employerResult = await query(
-      `SELECT u.id, j.title
-       FROM jobs j
-       JOIN employer_profiles ep ON j.employer_id = ep.id
-       JOIN users u ON ep.user_id = u.id
-       WHERE j.id = $1`,
-      [jobId]
-    );
+    // Create application (instant-book jobs accept qualifying applicants right away)
+    const applicationData = { coverLetter, shiftId: shift ? shift.id : null };
+    let application;
+    let booking = null;
     
-    // Get job seeker info for notification
-    const jobSeekerInfoResult = await query(
-      `SELECT u.first_name, u.last_name
-       FROM users u
-       JOIN job_seeker_profiles jsp ON u.id = jsp.user_id
-       WHERE jsp.id = $1`,
-      [jobSeekerId]
-    );
+    if (jobResult.rows[0].instant_book) {
+      booking = await JobApplication.instantBook(applicationData, jobSeekerId, jobId);
+      
+      if (booking.outcome === 'filled') {
+        return next(new ApiError(409, shift
+          ? 'This shift has already been filled'
+          : 'This job has already been filled'));
+      }
+      
+      if (booking.outcome === 'closed') {
+        return next(new ApiError(404, 'Job not found or not active'));
+      }
+      
+      if (booking.outcome === 'already_applied') {
+        return next(new ApiError(400, shift
+          ? 'You have already applied for this shift'
+          : 'You have already applied for this job'));
+      }
+      
+      application = booking.application;
+    } else {
+      application = await JobApplication.create(applicationData, jobSeekerId, jobId);
+    }
     
-    if (employerResult.rows.length > 0 && jobSeekerResult.rows.length > 0) {
-      const employerId = employerResult.rows[0].id;
-      const job = {
-        title: employerResult.rows[0].title
-      };
-      const jobSeeker = jobSeekerResult.rows[0];
+    try {
+      // Get employer ID to send notification
+      const employerResult = await query(
+        `SELECT u.id, j.title
+         FROM jobs j
+         JOIN employer_profiles ep ON j.employer_id = ep.id
+         JOIN users u ON ep.user_id = u.id
+         WHERE j.id = $1`,
+        [jobId]
+      );
       
-      // Create notification for employer
-      await Notification.createNewApplicationNotification(
-        application,
-        job,
-        jobSeeker,
-        employerId
+      // Get job seeker info for notification
+      const jobSeekerInfoResult = await query(
+        `SELECT u.first_name, u.last_name
+         FROM users u
+         JOIN job_seeker_profiles jsp ON u.id = jsp.user_id
+         WHERE jsp.id = $1`,
+        [jobSeekerId]
       );
+      
+      if (employerResult.rows.length > 0 && jobSeekerInfoResult.rows.length > 0) {
+        const employerId = employerResult.rows[0].id;
+        const job = {
+          title: employerResult.rows[0].title
+        };
+        const jobSeeker = jobSeekerInfoResult.rows[0];
+        
+        // Create notification for employer
+        if (booking && booking.outcome === 'booked') {
+          await Notification.createInstantBookingNotification(
+            application,
+            job,
+            jobSeeker,
+            employerId
+          );
+        } else {
+          await Notification.createNewApplicationNotification(
+            application,
+            job,
+            jobSeeker,
+            employerId
+          );
+        }
+      }
+    } catch (notificationError) {
+      // Log but don't fail the request if notification creation fails
+      logger.error('Error creating application notification', {
+        error: notificationError,
+        applicationId: application.id
+      });
     }
     
     // Add job info to response
@@ -95,10 +172,32 @@ exports.applyForJob = async (req, res, next) => {
       }
     };
     
+    if (shift) {
+      response.shift = {
+        id: shift.id,
+        label: shift.label,
+        startsAt: shift.starts_at,
+        endsAt: shift.ends_at
+      };
+    }
+    
+    if (booking) {
+      response.auto_accepted = booking.outcome === 'booked';
+      response.unmet_criteria = booking.unmetCriteria;
+      response.job_status = booking.job.status;
+      
+      if (shift && booking.shifts) {
+        const bookedShift = booking.shifts.find(jobShift => jobShift.id === shift.id);
+        response.shift_status = bookedShift ? bookedShift.status : shift.status;
+      }
+    }
+    
     return successResponse(
       res, 
       201, 
-      'Application submitted successfully', 
+      booking && booking.outcome === 'booked'
+        ? 'You have been booked for this job'
+        : 'Application submitted successfully', 
       response
     );
   } catch (error) {
@@ -117,16 +216,14 @@ exports.getJobApplications = async (req, res, next) => {
     const userId = req.user.id;
     const jobId = req.params.jobId;
     
-    // Check if job exists and belongs to the employer
-    const jobCheck = await query(
-      `SELECT j.* 
-       FROM jobs j
-       JOIN employer_profiles ep ON j.employer_id = ep.id
-       WHERE j.id = $1 AND ep.user_id = $2`,
-      [jobId, userId]
+    // Check if job exists and the user is a member of the company that posted it
+    const memberRole = await Company.getRoleForJob(
+      userId,
+      jobId,
+      req.apiKey ? req.apiKey.employerId : null
     );
     
-    if (jobCheck.rows.length === 0) {
+    if (!memberRole) {
       return next(new ApiError(404, 'Job not found or you are not authorized to view its applications'));
     }
     
@@ -136,6 +233,7 @@ exports.getJobApplications = async (req, res, next) => {
     
     const filters = {
       status: req.query.status,
+      shiftId: req.query.shiftId ? parseInt(req.query.shiftId) : null,
       sortBy: req.query.sortBy,
       sortOrder: req.query.sortOrder
     };
@@ -232,16 +330,10 @@ exports.getApplicationById = async (req, res, next) => {
       
       authorized = jobSeekerResult.rows.length > 0;
     } else if (req.user.role === 'employer') {
-      // Check if this employer posted the job
-      const employerResult = await query(
-        `SELECT j.id 
-         FROM jobs j
-         JOIN employer_profiles ep ON j.employer_id = ep.id
-         WHERE ep.user_id = $1 AND j.id = $2`,
-        [userId, application.job_id]
-      );
+      // Check if this employer's company posted the job
+      const memberRole = await Company.getRoleForJob(userId, application.job_id);
       
-      authorized = employerResult.rows.length > 0;
+      authorized = Boolean(memberRole);
     }
     
     if (!authorized && req.user.role !== 'admin') {
@@ -293,16 +385,10 @@ exports.updateApplicationStatus = async (req, res, next) => {
         return next(new ApiError(400, 'Employers can only accept or reject applications'));
       }
       
-      // Check if this employer posted the job
-      const employerResult = await query(
-        `SELECT j.id 
-         FROM jobs j
-         JOIN employer_profiles ep ON j.employer_id = ep.id
-         WHERE ep.user_id = $1 AND j.id = $2`,
-        [userId, application.job_id]
-      );
+      // Check if this employer is an owner or manager of the company that posted the job
+      const memberRole = await Company.getRoleForJob(userId, application.job_id);
       
-      authorized = employerResult.rows.length > 0;
+      authorized = Company.MANAGE_ROLES.includes(memberRole);
     } else if (req.user.role === 'job_seeker') {
       // Job seekers can only withdraw their applications
       if (status !== 'withdrawn') {
@@ -324,8 +410,28 @@ exports.updateApplicationStatus = async (req, res, next) => {
       return next(new ApiError(403, 'You are not authorized to update this application'));
     }
     
-    // Update application status
-    const updatedApplication = await JobApplication.updateStatus(applicationId, status);
+    // Update application status (fills or reopens the job when needed)
+    const result = await JobApplication.changeStatus(applicationId, status);
+    
+    if (result.outcome === 'filled') {
+      return next(new ApiError(400, 'All positions for this job or shift have already been filled'));
+    }
+    
+    if (result.outcome === 'needs_shift') {
+      return next(new ApiError(400, 'This job now has shifts; only applications for a shift can be accepted'));
+    }
+    
+    // A withdrawn or rejected acceptance can list a filled job again
+    if (result.reopened) {
+      announceJob(result.job);
+    }
+    
+    const updatedApplication = { ...result.application, job_status: result.job.status };
+    
+    if (result.application.shift_id) {
+      const shift = result.shifts.find(jobShift => jobShift.id === result.application.shift_id);
+      updatedApplication.shift_status = shift ? shift.status : null;
+    }
     
     // Send notification to the appropriate user
     try {
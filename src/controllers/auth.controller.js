@@ -1,22 +1,176 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { query } = require('../db/connection');
+const { query, pool } = require('../db/connection');
 const { ApiError } = require('../middlewares/errorHandler');
 const { successResponse } = require('../utils/responseHandler');
+const {
+  TOKEN_PURPOSES,
+  generateAccessToken,
+  verifyPurposeToken,
+  hashToken
+} = require('../utils/tokens');
+const totp = require('../utils/totp');
+const Session = require('../models/session.model');
+const UserToken = require('../models/token.model');
+const LoginAttempt = require('../models/loginAttempt.model');
+const AccountLock = require('../models/accountLock.model');
+const TwoFactor = require('../models/twoFactor.model');
+const Company = require('../models/company.model');
+const User = require('../models/user.model');
+const { sendMail } = require('../utils/mailer');
 const logger = require('../utils/logger');
 
 /**
- * Generate JWT token
- * @param {Number} id - User ID
- * @param {String} role - User role
- * @returns {String} JWT token
+ * Extract session metadata from the request
+ * @param {Object} req - Express request object
  */
-const generateToken = (id, role) => {
-  return jwt.sign(
-    { id, role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
+const getSessionMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+/**
+ * Start a new session and issue an access/refresh token pair. Signing in
+ * during an account deletion grace period cancels the deletion.
+ * @param {Object} user - User row (id, role)
+ * @param {Object} req - Express request object
+ * @returns {Object} { token, refreshToken, deletionCancelled? }
+ */
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.create(user.id, getSessionMeta(req));
+  const token = generateAccessToken({ id: user.id, role: user.role, sid: session.family_id });
+
+  if (await User.cancelDeletion(user.id)) {
+    return { token, refreshToken, deletionCancelled: true };
+  }
+
+  return { token, refreshToken };
+};
+
+/**
+ * Send an email verification link to a user
+ * @param {Object} user - User row (id, email, first_name)
+ */
+const sendVerificationEmail = async (user) => {
+  const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+  const verificationToken = await UserToken.create(user.id, 'email_verification', ttlHours * 60);
+  const verifyUrl = `${process.env.APP_URL || 'http://localhost:3000'}/verify-email?token=${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.first_name},\n\n` +
+      `Please confirm your email address by opening the link below. It expires in ${ttlHours} hours.` +
+      `\n\n${verifyUrl}`
+  });
+};
+
+const ACCOUNT_LOCKED_MESSAGE = 'Too many failed login attempts. ' +
+  'Please try again later or use the unlock link sent to your email';
+
+// Compared against for unknown emails so they take as long as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+/**
+ * Whether a login should be refused as locked. Unknown emails are locked on
+ * the same failure rule as accounts so the response never reveals whether
+ * an account exists.
+ * @param {Object} user - User row with locked_until, or undefined
+ * @param {String} email - Email used for the attempt
+ */
+const isLockedOut = async (user, email) => {
+  if (user) {
+    return Boolean(user.locked_until) && new Date(user.locked_until) > new Date();
+  }
+
+  return LoginAttempt.hasReachedLockout(
+    email,
+    AccountLock.MAX_FAILED_ATTEMPTS,
+    AccountLock.LOCKOUT_MINUTES
+  );
+};
+
+/**
+ * Send an account unlock link to a locked user
+ * @param {Object} user - User row (id, email, first_name)
+ */
+const sendUnlockEmail = async (user) => {
+  const unlockToken = await UserToken.create(user.id, 'account_unlock', 24 * 60);
+  const unlockUrl = `${process.env.APP_URL || 'http://localhost:3000'}/unlock-account?token=${unlockToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your account has been locked',
+    text: `Hi ${user.first_name},\n\n` +
+      'We locked your account after several failed login attempts. ' +
+      `It will unlock automatically in ${AccountLock.LOCKOUT_MINUTES} minutes, ` +
+      `or you can unlock it now with the link below.\n\n${unlockUrl}\n\n` +
+      'If these attempts were not you, consider resetting your password.'
+  });
+};
+
+/**
+ * Find a user with the fields returned on login. Emails match case-insensitively.
+ * @param {String} field - Column to match (email or id)
+ * @param {String|Number} value - Value to match (a lowercased email)
+ */
+const findLoginUser = async (field, value) => {
+  const result = await query(
+    `SELECT u.id, u.email, u.password, u.first_name, u.last_name, u.role, u.email_verified_at,
+    u.locked_until, u.suspended_at, u.password_reset_required_at,
+    CASE 
+      WHEN u.role = 'employer' THEN ep.company_name
+      ELSE NULL
+    END AS company_name
+    FROM users u
+    LEFT JOIN LATERAL (
+      SELECT ep.company_name
+      FROM company_members cm
+      JOIN employer_profiles ep ON cm.employer_id = ep.id
+      WHERE cm.user_id = u.id
+      ORDER BY (cm.role = 'owner') DESC, cm.created_at ASC
+      LIMIT 1
+    ) ep ON true
+    WHERE ${field === 'id' ? 'u.id' : 'LOWER(u.email)'} = $1`,
+    [value]
   );
+
+  return result.rows[0];
+};
+
+/**
+ * Generate a fresh set of two-factor backup codes
+ * @returns {Object} { codes, hashes } - Raw codes for the user, hashes for storage
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: 10 }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(code.replace('-', '')))
+  };
+};
+
+/**
+ * Check a TOTP code or backup code against a user's enrolled secret
+ * @param {Object} twoFactor - user_two_factor row
+ * @param {String} code - TOTP code
+ * @param {String} backupCode - Backup code
+ */
+const verifySecondFactor = async (twoFactor, code, backupCode) => {
+  if (code) {
+    const step = totp.verifyCode(twoFactor.secret, code);
+    return step !== null && TwoFactor.markStepUsed(twoFactor.user_id, step);
+  }
+
+  if (backupCode) {
+    return TwoFactor.consumeBackupCode(twoFactor.user_id, backupCode);
+  }
+
+  return false;
 };
 
 /**
@@ -26,7 +180,8 @@ const generateToken = (id, role) => {
  */
 exports.register = async (req, res, next) => {
   try {
-    const { email, password, firstName, lastName, phone, role } = req.body;
+    const { password, firstName, lastName, phone, role, inviteToken } = req.body;
+    const email = String(req.body.email).toLowerCase();
 
     // Check if valid role
     if (!['job_seeker', 'employer'].includes(role)) {
@@ -34,7 +189,7 @@ exports.register = async (req, res, next) => {
     }
 
     // Check if user already exists
-    const userExists = await query('SELECT * FROM users WHERE email = $1', [email]);
+    const userExists = await query('SELECT id FROM users WHERE LOWER(email) = $1', [email]);
     
     if (userExists.rows.length > 0) {
       return next(new ApiError(400, 'User with this email already exists'));
@@ -45,7 +200,8 @@ exports.register = async (req, res, next) => {
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // Begin transaction
-    const client = await query.pool.connect();
+    const client = await pool.connect();
+    let user;
     
     try {
       await client.query('BEGIN');
@@ -55,11 +211,11 @@ exports.register = async (req, res, next) => {
         `INSERT INTO users 
         (email, password, first_name, last_name, phone, role) 
         VALUES ($1, $2, $3, $4, $5, $6) 
-        RETURNING id, email, first_name, last_name, role`,
+        RETURNING id, email, first_name, last_name, role, email_verified_at`,
         [email, hashedPassword, firstName, lastName, phone, role]
       );
       
-      const user = userResult.rows[0];
+      user = userResult.rows[0];
       
       // Create profile based on role
       if (role === 'job_seeker') {
@@ -67,25 +223,31 @@ exports.register = async (req, res, next) => {
           'INSERT INTO job_seeker_profiles (user_id) VALUES ($1)',
           [user.id]
         );
+      } else if (role === 'employer' && inviteToken) {
+        // Joining an existing company instead of creating one
+        const invitation = await Company.acceptInvitation(inviteToken, user, client);
+        
+        if (invitation.outcome !== 'accepted') {
+          await client.query('ROLLBACK');
+          return next(new ApiError(400, 'Invitation is invalid, expired or for a different email'));
+        }
+        
+        // The invitation was delivered by email, so the address is verified
+        const verifiedResult = await client.query(
+          'UPDATE users SET email_verified_at = NOW() WHERE id = $1 RETURNING email_verified_at',
+          [user.id]
+        );
+        user.email_verified_at = verifiedResult.rows[0].email_verified_at;
       } else if (role === 'employer') {
         const { companyName = '' } = req.body;
-        await client.query(
-          'INSERT INTO employer_profiles (user_id, company_name) VALUES ($1, $2)',
+        const profileResult = await client.query(
+          'INSERT INTO employer_profiles (user_id, company_name) VALUES ($1, $2) RETURNING id',
           [user.id, companyName]
         );
+        await Company.addMember(profileResult.rows[0].id, user.id, 'owner', null, client);
       }
       
       await client.query('COMMIT');
-      
-      // Generate token
-      const token = generateToken(user.id, user.role);
-      
-      return successResponse(
-        res, 
-        201, 
-        'User registered successfully', 
-        { user, token }
-      );
     } catch (error) {
       await client.query('ROLLBACK');
       logger.error('Transaction error during registration', { error });
@@ -93,6 +255,25 @@ exports.register = async (req, res, next) => {
     } finally {
       client.release();
     }
+    
+    // Send verification email; registration still succeeds if delivery fails
+    if (!user.email_verified_at) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error('Error sending verification email', { error: mailError, userId: user.id });
+      }
+    }
+    
+    // Generate tokens
+    const tokens = await issueTokens(user, req);
+    
+    return successResponse(
+      res, 
+      201, 
+      'User registered successfully', 
+      { user, ...tokens }
+    );
   } catch (error) {
     logger.error('Registration error', { error });
     return next(error);
@@ -106,45 +287,112 @@ exports.register = async (req, res, next) => {
  */
 exports.login = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = String(req.body.email).toLowerCase();
+    const ipAddress = req.ip;
 
-    // Check if user exists
-    const result = await query(
-      `SELECT u.id, u.email, u.password, u.first_name, u.last_name, u.role,
-      CASE 
-        WHEN u.role = 'employer' THEN ep.company_name
-        ELSE NULL
-      END AS company_name
-      FROM users u
-      LEFT JOIN employer_profiles ep ON u.id = ep.user_id
-      WHERE u.email = $1`,
-      [email]
-    );
+    // Progressive delay based on recent failures for this email and IP
+    const retryAfter = await LoginAttempt.getRetryAfter(email, ipAddress);
 
-    if (result.rows.length === 0) {
-      return next(new ApiError(401, 'Invalid credentials'));
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return next(new ApiError(429, `Too many login attempts. Please try again in ${retryAfter} seconds`));
     }
 
-    const user = result.rows[0];
+    // Check if user exists
+    const user = await findLoginUser('email', email);
+
+    // Locked accounts and unknown emails with as many failures get the same response
+    if (await isLockedOut(user, email)) {
+      return next(new ApiError(423, ACCOUNT_LOCKED_MESSAGE));
+    }
 
     // Check if password matches
-    const isMatch = await bcrypt.compare(password, user.password);
+    const isMatch = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH) &&
+      Boolean(user);
 
     if (!isMatch) {
+      await LoginAttempt.record({ email, ipAddress, success: false, userId: user && user.id });
+
+      const locked = user
+        ? await AccountLock.recordFailure(user.id, email, ipAddress)
+        : await isLockedOut(null, email);
+
+      if (locked) {
+        if (user) {
+          try {
+            await sendUnlockEmail(user);
+          } catch (mailError) {
+            logger.error('Error sending unlock email', { error: mailError, userId: user.id });
+          }
+        }
+        return next(new ApiError(423, ACCOUNT_LOCKED_MESSAGE));
+      }
+
       return next(new ApiError(401, 'Invalid credentials'));
     }
 
-    // Remove password from response
+    if (user.suspended_at) {
+      return next(new ApiError(403, 'Your account has been suspended'));
+    }
+
+    if (user.password_reset_required_at) {
+      return next(new ApiError(403, 'A password reset is required. Check your email for a reset link'));
+    }
+
+    // With 2FA enabled the password only earns a short-lived challenge token
+    const twoFactor = await TwoFactor.findByUser(user.id);
+
+    if (twoFactor && twoFactor.enabled_at) {
+      const challengeToken = generateAccessToken(
+        { id: user.id, purpose: TOKEN_PURPOSES.TWO_FACTOR_CHALLENGE },
+        '5m'
+      );
+
+      return successResponse(
+        res, 
+        200, 
+        'Two-factor authentication required', 
+        { twoFactorRequired: true, challengeToken }
+      );
+    }
+
+    // Only a completed login clears the failures counting towards a lockout,
+    // so a known password cannot be used to reset guesses at the second factor
+    await LoginAttempt.record({ email, ipAddress, success: true, userId: user.id });
+
+    const roles = await User.getRoles(user.id);
+    
+    // A policy on any role the user holds applies to the whole account
+    if (await TwoFactor.isRequiredForRole(roles)) {
+      const setupToken = generateAccessToken(
+        { id: user.id, purpose: TOKEN_PURPOSES.TWO_FACTOR_SETUP },
+        '15m'
+      );
+
+      return successResponse(
+        res, 
+        200, 
+        'Two-factor authentication must be set up before logging in', 
+        { twoFactorSetupRequired: true, setupToken }
+      );
+    }
+
+    // Remove password and account state details from response
     delete user.password;
+    delete user.locked_until;
+    delete user.suspended_at;
+    delete user.password_reset_required_at;
+    user.roles = roles;
 
-    // Generate token
-    const token = generateToken(user.id, user.role);
+    // Generate tokens
+    const tokens = await issueTokens(user, req);
 
     return successResponse(
       res, 
       200, 
       'Login successful', 
-      { user, token }
+      { user, ...tokens }
     );
   } catch (error) {
     logger.error('Login error', { error });
@@ -167,7 +415,7 @@ exports.getMe = async (req, res, next) => {
     if (userRole === 'job_seeker') {
       const result = await query(
         `SELECT u.id, u.email, u.first_name, u.last_name, u.phone, u.role, u.profile_picture,
-        jsp.bio, jsp.skills, jsp.experience_years, jsp.education, jsp.availability,
+        u.email_verified_at, u.phone_verified_at, jsp.bio, jsp.skills, jsp.experience_years, jsp.education, jsp.availability,
         jsp.location_latitude, jsp.location_longitude, jsp.location_address
         FROM users u
         JOIN job_seeker_profiles jsp ON u.id = jsp.user_id
@@ -179,10 +427,17 @@ exports.getMe = async (req, res, next) => {
     } else if (userRole === 'employer') {
       const result = await query(
         `SELECT u.id, u.email, u.first_name, u.last_name, u.phone, u.role, u.profile_picture,
-        ep.company_name, ep.company_description, ep.company_website, ep.company_logo, ep.industry,
-        ep.location_latitude, ep.location_longitude, ep.location_address
+        u.email_verified_at, u.phone_verified_at, ep.company_name, ep.company_description, ep.company_website, ep.company_logo, ep.industry,
+        ep.location_latitude, ep.location_longitude, ep.location_address, ep.company_role
         FROM users u
-        JOIN employer_profiles ep ON u.id = ep.user_id
+        JOIN LATERAL (
+          SELECT ep.*, cm.role as company_role
+          FROM company_members cm
+          JOIN employer_profiles ep ON cm.employer_id = ep.id
+          WHERE cm.user_id = u.id
+          ORDER BY (cm.role = 'owner') DESC, cm.created_at ASC
+          LIMIT 1
+        ) ep ON true
         WHERE u.id = $1`,
         [userId]
       );
@@ -190,7 +445,8 @@ exports.getMe = async (req, res, next) => {
       userData = result.rows[0];
     } else {
       const result = await query(
-        `SELECT id, email, first_name, last_name, phone, role, profile_picture
+        `SELECT id, email, first_name, last_name, phone, role, profile_picture, email_verified_at,
+        phone_verified_at
         FROM users 
         WHERE id = $1`,
         [userId]
@@ -203,6 +459,9 @@ exports.getMe = async (req, res, next) => {
       return next(new ApiError(404, 'User not found'));
     }
     
+    userData.active_role = userRole;
+    userData.roles = req.user.roles;
+    
     return successResponse(
       res, 
       200, 
@@ -254,6 +513,9 @@ exports.updatePassword = async (req, res, next) => {
       [hashedPassword, userId]
     );
     
+    // Sign out every other device; the current session stays valid
+    await Session.revokeAllForUser(userId, 'password_change', req.user.sessionId);
+    
     return successResponse(
       res, 
       200, 
@@ -263,4 +525,521 @@ exports.updatePassword = async (req, res, next) => {
     logger.error('Update password error', { error });
     return next(error);
   }
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @route POST /api/auth/refresh
+ * @access Public
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const result = await Session.rotate(refreshToken, getSessionMeta(req));
+    
+    if (!result) {
+      return next(new ApiError(401, 'Invalid or expired refresh token'));
+    }
+    
+    if (result.reused) {
+      return next(new ApiError(401, 'Refresh token has already been used. Please log in again'));
+    }
+    
+    const { user, session } = result;
+    
+    // Fall back to the primary role if the user no longer holds the one they switched to
+    const roles = await User.getRoles(user.id);
+    const activeRole = roles.includes(user.activeRole) ? user.activeRole : user.role;
+    const token = generateAccessToken({ id: user.id, role: activeRole, sid: session.family_id });
+    
+    return successResponse(
+      res, 
+      200, 
+      'Token refreshed successfully', 
+      { token, refreshToken: result.refreshToken }
+    );
+  } catch (error) {
+    logger.error('Refresh token error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Logout from the session a refresh token belongs to
+ * @route POST /api/auth/logout
+ * @access Public
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const session = await Session.findByToken(refreshToken);
+    
+    // Respond the same way for unknown tokens so logout is idempotent
+    if (session) {
+      await Session.revokeFamily(session.family_id, 'logout');
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Logged out successfully'
+    );
+  } catch (error) {
+    logger.error('Logout error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Logout from all sessions
+ * @route POST /api/auth/logout-all
+ * @access Private
+ */
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const revokedCount = await Session.revokeAllForUser(req.user.id, 'logout_all');
+    
+    return successResponse(
+      res, 
+      200, 
+      'Logged out from all sessions', 
+      { revokedCount }
+    );
+  } catch (error) {
+    logger.error('Logout all error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Switch the active role of the current login
+ * @route POST /api/auth/switch-role
+ * @access Private
+ */
+exports.switchRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    
+    if (!req.user.roles.includes(role)) {
+      return next(new ApiError(403, `You do not have a ${role} profile`));
+    }
+    
+    // Stored on the session so refreshed access tokens keep the role
+    await Session.setActiveRole(req.user.sessionId, role);
+    
+    const token = generateAccessToken({ id: req.user.id, role, sid: req.user.sessionId });
+    
+    return successResponse(
+      res, 
+      200, 
+      'Active role switched successfully', 
+      { token, activeRole: role, roles: req.user.roles }
+    );
+  } catch (error) {
+    logger.error('Switch role error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Request a password reset email
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const email = String(req.body.email).toLowerCase();
+    
+    const result = await query(
+      'SELECT id, email, first_name FROM users WHERE LOWER(email) = $1',
+      [email]
+    );
+    
+    // Only send mail when the account exists, but never reveal that to the caller
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const ttlMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+      const resetToken = await UserToken.create(user.id, 'password_reset', ttlMinutes);
+      const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+      
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.first_name},\n\n` +
+          `Use the link below to reset your password. It expires in ${ttlMinutes} minutes ` +
+          `and can only be used once.\n\n${resetUrl}\n\n` +
+          'If you did not request a password reset, you can ignore this email.'
+      });
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'If an account exists for this email, a password reset link has been sent'
+    );
+  } catch (error) {
+    logger.error('Forgot password error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Reset password using a token from the reset email
+ * @route POST /api/auth/reset-password
+ * @access Public
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+    
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+    
+    const client = await pool.connect();
+    let userId;
+    
+    try {
+      await client.query('BEGIN');
+      
+      userId = await UserToken.consume(token, 'password_reset', client);
+      
+      if (!userId) {
+        await client.query('ROLLBACK');
+        return next(new ApiError(400, 'Password reset token is invalid or has expired'));
+      }
+      
+      await client.query(
+        `UPDATE users
+         SET password = $1, password_reset_required_at = NULL, updated_at = NOW()
+         WHERE id = $2`,
+        [hashedPassword, userId]
+      );
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Transaction error during password reset', { error });
+      return next(error);
+    } finally {
+      client.release();
+    }
+    
+    // Sign the user out everywhere
+    await Session.revokeAllForUser(userId, 'password_reset');
+    
+    return successResponse(
+      res, 
+      200, 
+      'Password has been reset. Please log in with your new password'
+    );
+  } catch (error) {
+    logger.error('Reset password error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Verify email address using a token from the verification email
+ * @route GET /api/auth/verify-email
+ * @access Public
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const userId = await UserToken.consume(req.query.token, 'email_verification');
+    
+    if (!userId) {
+      return next(new ApiError(400, 'Verification token is invalid or has expired'));
+    }
+    
+    await query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+       WHERE id = $1`,
+      [userId]
+    );
+    
+    return successResponse(
+      res, 
+      200, 
+      'Email verified successfully'
+    );
+  } catch (error) {
+    logger.error('Verify email error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Resend the email verification link
+ * @route POST /api/auth/resend-verification
+ * @access Private
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const result = await query(
+      'SELECT id, email, first_name, email_verified_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    
+    const user = result.rows[0];
+    
+    if (user.email_verified_at) {
+      return next(new ApiError(400, 'Email is already verified'));
+    }
+    
+    await sendVerificationEmail(user);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Verification email sent'
+    );
+  } catch (error) {
+    logger.error('Resend verification error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Unlock an account using a token from the lockout email
+ * @route POST /api/auth/unlock-account
+ * @access Public
+ */
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    const userId = await UserToken.consume(req.body.token, 'account_unlock');
+    
+    if (!userId) {
+      return next(new ApiError(400, 'Unlock token is invalid or has expired'));
+    }
+    
+    await AccountLock.unlock(userId, { reason: 'email_link', ipAddress: req.ip });
+    
+    return successResponse(
+      res, 
+      200, 
+      'Account unlocked successfully'
+    );
+  } catch (error) {
+    logger.error('Unlock account error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Complete a login with a TOTP code or backup code
+ * @route POST /api/auth/2fa/verify
+ * @access Public (requires a challenge token from login)
+ */
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+    
+    const decoded = verifyPurposeToken(challengeToken, TOKEN_PURPOSES.TWO_FACTOR_CHALLENGE);
+    
+    if (!decoded) {
+      return next(new ApiError(401, 'Invalid challenge token'));
+    }
+    
+    const user = await findLoginUser('id', decoded.id);
+    const twoFactor = user && await TwoFactor.findByUser(user.id);
+    
+    if (!user || !twoFactor || !twoFactor.enabled_at) {
+      return next(new ApiError(401, 'Invalid challenge token'));
+    }
+    
+    if (await isLockedOut(user, user.email)) {
+      return next(new ApiError(423, ACCOUNT_LOCKED_MESSAGE));
+    }
+    
+    const verified = await verifySecondFactor(twoFactor, code, backupCode);
+    
+    if (!verified) {
+      await LoginAttempt.record({ email: user.email, ipAddress: req.ip, success: false, userId: user.id });
+      
+      if (await AccountLock.recordFailure(user.id, user.email, req.ip)) {
+        return next(new ApiError(423, ACCOUNT_LOCKED_MESSAGE));
+      }
+      
+      return next(new ApiError(401, 'Invalid two-factor code'));
+    }
+    
+    await LoginAttempt.record({ email: user.email, ipAddress: req.ip, success: true, userId: user.id });
+    
+    delete user.password;
+    delete user.locked_until;
+    delete user.suspended_at;
+    delete user.password_reset_required_at;
+    
+    const tokens = await issueTokens(user, req);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Login successful', 
+      { user, ...tokens }
+    );
+  } catch (error) {
+    logger.error('Two-factor login error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Start two-factor enrollment: generate a secret and otpauth URI
+ * @route POST /api/auth/2fa/setup
+ * @access Private (access token or 2FA setup token)
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const secret = totp.generateSecret();
+    const pending = await TwoFactor.createPending(req.user.id, secret);
+    
+    if (!pending) {
+      return next(new ApiError(400, 'Two-factor authentication is already enabled'));
+    }
+    
+    const issuer = process.env.TWO_FACTOR_ISSUER || 'Urgent Jobs';
+    
+    return successResponse(
+      res, 
+      200, 
+      'Scan the code with your authenticator app, then confirm with a code', 
+      {
+        secret,
+        otpauthUri: totp.buildOtpauthUri(secret, req.user.email, issuer)
+      }
+    );
+  } catch (error) {
+    logger.error('Two-factor setup error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @route POST /api/auth/2fa/enable
+ * @access Private (access token or 2FA setup token)
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const twoFactor = await TwoFactor.findByUser(req.user.id);
+    
+    if (!twoFactor) {
+      return next(new ApiError(400, 'Start two-factor setup first'));
+    }
+    
+    if (twoFactor.enabled_at) {
+      return next(new ApiError(400, 'Two-factor authentication is already enabled'));
+    }
+    
+    const step = totp.verifyCode(twoFactor.secret, req.body.code);
+    
+    if (step === null) {
+      return next(new ApiError(400, 'Invalid two-factor code'));
+    }
+    
+    const { codes, hashes } = generateBackupCodes();
+    await TwoFactor.enable(req.user.id, step, hashes);
+    
+    const data = { backupCodes: codes };
+    
+    // Enrolling with a setup token completes the login that issued it
+    if (req.user.viaSetupToken) {
+      const user = await findLoginUser('id', req.user.id);
+      delete user.password;
+      delete user.locked_until;
+      delete user.suspended_at;
+      delete user.password_reset_required_at;
+      Object.assign(data, { user }, await issueTokens(user, req));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Two-factor authentication enabled. Store your backup codes somewhere safe', 
+      data
+    );
+  } catch (error) {
+    logger.error('Enable two-factor error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    
+    if (await TwoFactor.isRequiredForRole(req.user.roles)) {
+      return next(new ApiError(403, 'Two-factor authentication is required for your role'));
+    }
+    
+    const twoFactor = await TwoFactor.findByUser(req.user.id);
+    
+    if (!twoFactor || !twoFactor.enabled_at) {
+      return next(new ApiError(400, 'Two-factor authentication is not enabled'));
+    }
+    
+    const result = await query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+    const isMatch = await bcrypt.compare(password, result.rows[0].password);
+    
+    if (!isMatch || !(await verifySecondFactor(twoFactor, code, backupCode))) {
+      return next(new ApiError(401, 'Invalid password or two-factor code'));
+    }
+    
+    await TwoFactor.disable(req.user.id);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Two-factor authentication disabled'
+    );
+  } catch (error) {
+    logger.error('Disable two-factor error', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Replace backup codes
+ * @route POST /api/auth/2fa/backup-codes
+ * @access Private
+ */
+exports.regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const twoFactor = await TwoFactor.findByUser(req.user.id);
+    
+    if (!twoFactor || !twoFactor.enabled_at) {
+      return next(new ApiError(400, 'Two-factor authentication is not enabled'));
+    }
+    
+    if (!(await verifySecondFactor(twoFactor, req.body.code))) {
+      return next(new ApiError(401, 'Invalid two-factor code'));
+    }
+    
+    const { codes, hashes } = generateBackupCodes();
+    await TwoFactor.replaceBackupCodes(req.user.id, hashes);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Backup codes regenerated', 
+      { backupCodes: codes }
+    );
+  } catch (error) {
+    logger.error('Regenerate backup codes error', { error });
+    return next(error);
+  }
 };
\ No newline at end of file
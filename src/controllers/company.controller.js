@@ -0,0 +1,341 @@
+const Company = require('../models/company.model');
+const ApiKey = require('../models/apiKey.model');
+const { ApiError } = require('../middlewares/errorHandler');
+const { successResponse } = require('../utils/responseHandler');
+const { sendMail } = require('../utils/mailer');
+const logger = require('../utils/logger');
+
+/**
+ * Get companies the current user belongs to
+ * @route GET /api/companies/mine
+ * @access Private (Employers only)
+ */
+exports.getMyCompanies = async (req, res, next) => {
+  try {
+    const companies = await Company.findByUser(req.user.id);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Companies retrieved successfully', 
+      companies
+    );
+  } catch (error) {
+    logger.error('Error getting user companies', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Get members of a company
+ * @route GET /api/companies/:id/members
+ * @access Private (Company members only)
+ */
+exports.getMembers = async (req, res, next) => {
+  try {
+    const employerId = req.params.id;
+    const memberRole = await Company.getRole(employerId, req.user.id);
+    
+    if (!memberRole) {
+      return next(new ApiError(404, 'Company not found or you are not a member'));
+    }
+    
+    const members = await Company.findMembers(employerId);
+    const invitations = memberRole === 'owner'
+      ? await Company.findPendingInvitations(employerId)
+      : undefined;
+    
+    return successResponse(
+      res, 
+      200, 
+      'Company members retrieved successfully', 
+      { members, invitations }
+    );
+  } catch (error) {
+    logger.error('Error getting company members', { error, employerId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Invite a user to join a company
+ * @route POST /api/companies/:id/invitations
+ * @access Private (Company owners only)
+ */
+exports.inviteMember = async (req, res, next) => {
+  try {
+    const employerId = req.params.id;
+    const { email, role } = req.body;
+    
+    const memberRole = await Company.getRole(employerId, req.user.id);
+    
+    if (memberRole !== 'owner') {
+      return next(new ApiError(403, 'Only company owners can invite members'));
+    }
+    
+    // Members change roles through PATCH /members/:userId, which keeps an owner
+    if (await Company.hasMemberWithEmail(employerId, email)) {
+      return next(new ApiError(409, 'This user is already a member of the company. Change their role instead'));
+    }
+    
+    const membership = await Company.resolveForUser(req.user.id, employerId);
+    const { invitation, token } = await Company.createInvitation(employerId, email, role, req.user.id);
+    const inviteUrl = `${process.env.APP_URL || 'http://localhost:3000'}/join-company?token=${token}`;
+    
+    try {
+      await sendMail({
+        to: email,
+        subject: `You've been invited to join ${membership.company_name}`,
+        text: `${membership.company_name} has invited you to join their team as a ${role}.\n\n` +
+          `Accept the invitation here:\n\n${inviteUrl}\n\n` +
+          'If you do not have an account yet, you can create one from the same link.'
+      });
+    } catch (mailError) {
+      logger.error('Error sending company invitation', { error: mailError, invitationId: invitation.id });
+    }
+    
+    return successResponse(
+      res, 
+      201, 
+      'Invitation sent successfully', 
+      invitation
+    );
+  } catch (error) {
+    logger.error('Error inviting company member', { error, employerId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ * @route DELETE /api/companies/:id/invitations/:invitationId
+ * @access Private (Company owners only)
+ */
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const employerId = req.params.id;
+    
+    const memberRole = await Company.getRole(employerId, req.user.id);
+    
+    if (memberRole !== 'owner') {
+      return next(new ApiError(403, 'Only company owners can revoke invitations'));
+    }
+    
+    const revoked = await Company.revokeInvitation(employerId, req.params.invitationId);
+    
+    if (!revoked) {
+      return next(new ApiError(404, 'Pending invitation not found'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Invitation revoked successfully'
+    );
+  } catch (error) {
+    logger.error('Error revoking company invitation', { error, employerId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Accept an invitation with an existing employer account
+ * @route POST /api/companies/invitations/accept
+ * @access Private (Employers only)
+ */
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const result = await Company.acceptInvitation(req.body.token, req.user);
+    
+    if (result.outcome === 'invalid') {
+      return next(new ApiError(400, 'Invitation is invalid, expired or for a different email'));
+    }
+    
+    if (result.outcome === 'already_member') {
+      return next(new ApiError(409, 'You are already a member of this company'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Invitation accepted successfully', 
+      result.membership
+    );
+  } catch (error) {
+    logger.error('Error accepting company invitation', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Change a member's role
+ * @route PATCH /api/companies/:id/members/:userId
+ * @access Private (Company owners only)
+ */
+exports.updateMemberRole = async (req, res, next) => {
+  try {
+    const employerId = req.params.id;
+    const memberId = parseInt(req.params.userId);
+    const { role } = req.body;
+    
+    const memberRole = await Company.getRole(employerId, req.user.id);
+    
+    if (memberRole !== 'owner') {
+      return next(new ApiError(403, 'Only company owners can change member roles'));
+    }
+    
+    // A company must always keep at least one owner
+    const { outcome, member } = await Company.updateMemberRole(employerId, memberId, role);
+    
+    if (outcome === 'not_found') {
+      return next(new ApiError(404, 'Member not found'));
+    }
+    
+    if (outcome === 'last_owner') {
+      return next(new ApiError(400, 'A company must have at least one owner'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Member role updated successfully', 
+      member
+    );
+  } catch (error) {
+    logger.error('Error updating company member role', { error, employerId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Remove a member from a company (owners can remove anyone, members can leave)
+ * @route DELETE /api/companies/:id/members/:userId
+ * @access Private (Company owners, or the member themselves)
+ */
+exports.removeMember = async (req, res, next) => {
+  try {
+    const employerId = req.params.id;
+    const memberId = parseInt(req.params.userId);
+    
+    const memberRole = await Company.getRole(employerId, req.user.id);
+    
+    if (memberRole !== 'owner' && memberId !== req.user.id) {
+      return next(new ApiError(403, 'Only company owners can remove other members'));
+    }
+    
+    const { outcome } = await Company.removeMember(employerId, memberId);
+    
+    if (outcome === 'not_found') {
+      return next(new ApiError(404, 'Member not found'));
+    }
+    
+    if (outcome === 'last_owner') {
+      return next(new ApiError(400, 'A company must have at least one owner'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Member removed successfully'
+    );
+  } catch (error) {
+    logger.error('Error removing company member', { error, employerId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * List API keys for a company
+ * @route GET /api/companies/:id/api-keys
+ * @access Private (Company owners and managers only)
+ */
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const employerId = req.params.id;
+    const memberRole = await Company.getRole(employerId, req.user.id);
+    
+    if (!Company.MANAGE_ROLES.includes(memberRole)) {
+      return next(new ApiError(403, 'Only company owners and managers can manage API keys'));
+    }
+    
+    const apiKeys = await ApiKey.findByEmployer(employerId);
+    
+    return successResponse(
+      res, 
+      200, 
+      'API keys retrieved successfully', 
+      apiKeys
+    );
+  } catch (error) {
+    logger.error('Error getting API keys', { error, employerId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Create an API key for a company. The key is only returned once.
+ * @route POST /api/companies/:id/api-keys
+ * @access Private (Company owners and managers only)
+ */
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const employerId = req.params.id;
+    const { name, scopes, expiresInDays } = req.body;
+    
+    const memberRole = await Company.getRole(employerId, req.user.id);
+    
+    if (!Company.MANAGE_ROLES.includes(memberRole)) {
+      return next(new ApiError(403, 'Only company owners and managers can manage API keys'));
+    }
+    
+    const { apiKey, key } = await ApiKey.create({
+      employerId,
+      createdBy: req.user.id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresInDays
+    });
+    
+    return successResponse(
+      res, 
+      201, 
+      'API key created successfully. Store it now, it will not be shown again', 
+      { ...apiKey, key }
+    );
+  } catch (error) {
+    logger.error('Error creating API key', { error, employerId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/companies/:id/api-keys/:keyId
+ * @access Private (Company owners and managers only)
+ */
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const employerId = req.params.id;
+    
+    const memberRole = await Company.getRole(employerId, req.user.id);
+    
+    if (!Company.MANAGE_ROLES.includes(memberRole)) {
+      return next(new ApiError(403, 'Only company owners and managers can manage API keys'));
+    }
+    
+    const revoked = await ApiKey.revoke(employerId, req.params.keyId);
+    
+    if (!revoked) {
+      return next(new ApiError(404, 'API key not found'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'API key revoked successfully'
+    );
+  } catch (error) {
+    logger.error('Error revoking API key', { error, keyId: req.params.keyId });
+    return next(error);
+  }
+};
@@ -1,7 +1,13 @@
 const Job = require('../models/job.model');
-const { query } = require('../db/connection');
+const Company = require('../models/company.model');
+const User = require('../models/user.model');
+const JobInvitation = require('../models/jobInvitation.model');
+const JobBroadcast = require('../models/jobBroadcast.model');
+const JobShift = require('../models/jobShift.model');
+const Notification = require('../models/notification.model');
 const { ApiError } = require('../middlewares/errorHandler');
 const { successResponse } = require('../utils/responseHandler');
+const { announceJob } = require('../utils/announcer');
 const logger = require('../utils/logger');
 
 /**
@@ -13,17 +19,19 @@ exports.createJob = async (req, res, next) => {
   try {
     const userId = req.user.id;
     
-    // Get employer profile ID
-    const employerResult = await query(
-      'SELECT id FROM employer_profiles WHERE user_id = $1',
-      [userId]
-    );
+    // Resolve the company the job is posted for (API keys are bound to one company)
+    const companyId = req.apiKey ? req.apiKey.employerId : req.body.companyId;
+    const membership = await Company.resolveForUser(userId, companyId);
     
-    if (employerResult.rows.length === 0) {
+    if (!membership) {
       return next(new ApiError(404, 'Employer profile not found'));
     }
     
-    const employerId = employerResult.rows[0].id;
+    if (!Company.MANAGE_ROLES.includes(membership.role)) {
+      return next(new ApiError(403, 'Only company owners and managers can post jobs'));
+    }
+    
+    const employerId = membership.employer_id;
     
     // Create job
     const jobData = {
@@ -40,11 +48,20 @@ exports.createJob = async (req, res, next) => {
       startDate: req.body.startDate,
       endDate: req.body.endDate,
       estimatedHours: req.body.estimatedHours,
+      positions: req.body.positions,
+      instantBook: req.body.instantBook,
+      instantBookMinRating: req.body.instantBookMinRating,
+      instantBookVerifiedPhone: req.body.instantBookVerifiedPhone,
+      requiredSkills: req.body.requiredSkills,
       status: req.body.status || 'active'
     };
     
     const job = await Job.create(jobData, employerId);
     
+    if (job.status === 'active') {
+      announceJob(job);
+    }
+    
     return successResponse(
       res, 
       201, 
@@ -80,21 +97,39 @@ exports.getJobs = async (req, res, next) => {
       sortOrder: req.query.sortOrder
     };
     
-    // Location-based search
-    if (req.query.latitude && req.query.longitude && req.query.radius) {
+    // Location-based search (distance is returned whenever a location is given)
+    if (req.query.latitude && req.query.longitude) {
       filters.latitude = parseFloat(req.query.latitude);
       filters.longitude = parseFloat(req.query.longitude);
-      filters.radius = parseFloat(req.query.radius);
+      
+      if (req.query.radius) {
+        filters.radius = parseFloat(req.query.radius);
+      }
+    }
+    
+    // Requested facet counts (e.g. facets=category,urgency)
+    const facetNames = req.query.facets
+      ? [...new Set(String(req.query.facets).split(',').map(name => name.trim()).filter(Boolean))]
+      : [];
+    const unknownFacets = facetNames.filter(name => !Job.FACETS.includes(name));
+    
+    if (unknownFacets.length > 0) {
+      return next(new ApiError(400, `Facets must be one of: ${Job.FACETS.join(', ')}`));
     }
     
     const result = await Job.findAll(filters, page, limit);
+    const meta = { ...result.pagination };
+    
+    if (facetNames.length > 0) {
+      meta.facets = await Job.findFacets(filters, facetNames);
+    }
     
     return successResponse(
       res, 
       200, 
       'Jobs retrieved successfully', 
       result.jobs,
-      result.pagination
+      meta
     );
   } catch (error) {
     logger.error('Error getting jobs', { error });
@@ -102,6 +137,282 @@ exports.getJobs = async (req, res, next) => {
   }
 };
 
+/**
+ * Turn the score parts of a recommended job into a recommendation summary
+ * with plain-language reasons
+ * @param {Object} row - Job row from Job.findRecommended
+ */
+const toRecommendation = (row) => {
+  const {
+    matched_skills: matchedSkills,
+    preferred_pay: preferredPay,
+    category_applications: categoryApplications,
+    skills_score: skillsScore,
+    distance_score: distanceScore,
+    pay_score: payScore,
+    history_score: historyScore,
+    score,
+    ...job
+  } = row;
+  const reasons = [];
+  
+  if (matchedSkills.length > 0) {
+    reasons.push(`Matches your skills: ${matchedSkills.join(', ')}`);
+  }
+  
+  if (distanceScore > 0) {
+    reasons.push(`${job.distance_km.toFixed(1)} km from you`);
+  }
+  
+  if (payScore > 0) {
+    const payRatio = parseFloat(job.pay_amount) / preferredPay;
+    reasons.push(payRatio >= 1
+      ? `Pays at or above the ${job.pay_type} rate you usually apply for`
+      : `Pays ${Math.round(payRatio * 100)}% of the ${job.pay_type} rate you usually apply for`);
+  }
+  
+  if (categoryApplications > 0) {
+    reasons.push(`You have applied to ${categoryApplications} ${job.category} job${categoryApplications === 1 ? '' : 's'} before`);
+  }
+  
+  return {
+    ...job,
+    recommendation: {
+      score,
+      breakdown: {
+        skills: Math.round(skillsScore * 10) / 10,
+        distance: Math.round(distanceScore * 10) / 10,
+        pay: Math.round(payScore * 10) / 10,
+        history: Math.round(historyScore * 10) / 10
+      },
+      reasons
+    }
+  };
+};
+
+/**
+ * Get jobs recommended for the current job seeker
+ * @route GET /api/jobs/recommended
+ * @access Private (Job seekers only)
+ */
+exports.getRecommendedJobs = async (req, res, next) => {
+  try {
+    const profile = await User.findJobSeekerProfile(req.user.id);
+    
+    if (!profile) {
+      return next(new ApiError(404, 'Job seeker profile not found'));
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    
+    const result = await Job.findRecommended(profile, page, limit, {
+      matchAvailability: req.query.matchAvailability === 'true'
+    });
+    
+    return successResponse(
+      res, 
+      200, 
+      'Recommended jobs retrieved successfully', 
+      result.jobs.map(toRecommendation),
+      result.pagination
+    );
+  } catch (error) {
+    logger.error('Error getting recommended jobs', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Shape a discovered candidate for an employer. Contact details (email,
+ * phone, full last name) are only included once the job seeker has applied
+ * to the job or accepted an invitation to it.
+ * @param {Object} row - Candidate row from Job.findCandidates
+ */
+const toCandidate = (row) => {
+  const {
+    email,
+    phone,
+    last_name: lastName,
+    skills_score: skillsScore,
+    distance_score: distanceScore,
+    rating_score: ratingScore,
+    reliability_score: reliabilityScore,
+    score,
+    ...candidate
+  } = row;
+  const contactVisible = candidate.has_applied || candidate.invitation_status === 'accepted';
+  
+  return {
+    ...candidate,
+    last_name: contactVisible ? lastName : `${lastName.charAt(0)}.`,
+    distance_km: Math.round(candidate.distance_km * 10) / 10,
+    contact: contactVisible ? { email, phone } : null,
+    ranking: {
+      score,
+      breakdown: {
+        skills: Math.round(skillsScore * 10) / 10,
+        distance: Math.round(distanceScore * 10) / 10,
+        rating: Math.round(ratingScore * 10) / 10,
+        reliability: Math.round(reliabilityScore * 10) / 10
+      }
+    }
+  };
+};
+
+/**
+ * Find and rank job seekers near a job
+ * @route GET /api/jobs/:id/candidates
+ * @access Private (Job owner only)
+ */
+exports.getJobCandidates = async (req, res, next) => {
+  try {
+    const jobId = req.params.id;
+    
+    // Check if job exists and the user can manage it for the company
+    const memberRole = await Company.getRoleForJob(req.user.id, jobId);
+    
+    if (!Company.MANAGE_ROLES.includes(memberRole)) {
+      return next(new ApiError(404, 'Job not found or you are not authorized to view its candidates'));
+    }
+    
+    const job = await Job.findById(jobId);
+    
+    if (job.status !== 'active') {
+      return next(new ApiError(400, 'Candidates can only be found for active jobs'));
+    }
+    
+    if (job.location_latitude === null || job.location_longitude === null) {
+      return next(new ApiError(400, 'Add a location to the job to find nearby candidates'));
+    }
+    
+    const maxRadius = parseFloat(process.env.CANDIDATE_MAX_RADIUS_KM) || 100;
+    const radius = Math.min(parseFloat(req.query.radius) || 25, maxRadius);
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const filters = {
+      availableNow: req.query.availableNow === 'true',
+      matchAvailability: req.query.matchAvailability === 'true'
+    };
+    
+    const result = await Job.findCandidates(job, radius, page, limit, filters);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Candidates retrieved successfully', 
+      result.candidates.map(toCandidate),
+      result.pagination
+    );
+  } catch (error) {
+    logger.error('Error getting job candidates', { error, jobId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Get the progress of a job's urgent broadcast
+ * @route GET /api/jobs/:id/broadcast
+ * @access Private (Company members only)
+ */
+exports.getJobBroadcast = async (req, res, next) => {
+  try {
+    const jobId = req.params.id;
+    
+    const memberRole = await Company.getRoleForJob(req.user.id, jobId);
+    
+    if (!memberRole) {
+      return next(new ApiError(404, 'Job not found or you are not authorized to view it'));
+    }
+    
+    const broadcast = await JobBroadcast.findByJob(jobId);
+    
+    if (!broadcast) {
+      return next(new ApiError(404, 'This job has not been broadcast'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Job broadcast retrieved successfully', 
+      {
+        ...broadcast,
+        total_waves: JobBroadcast.WAVE_RADII_KM.length,
+        recipients: broadcast.waves.reduce((total, wave) => total + wave.recipients, 0)
+      }
+    );
+  } catch (error) {
+    logger.error('Error getting job broadcast', { error, jobId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Invite a discovered job seeker to a job
+ * @route POST /api/jobs/:id/candidates/:jobSeekerId/invite
+ * @access Private (Job owner only)
+ */
+exports.inviteCandidate = async (req, res, next) => {
+  try {
+    const jobId = req.params.id;
+    const jobSeekerId = req.params.jobSeekerId;
+    
+    // Check if job exists and the user can manage it for the company
+    const memberRole = await Company.getRoleForJob(req.user.id, jobId);
+    
+    if (!Company.MANAGE_ROLES.includes(memberRole)) {
+      return next(new ApiError(404, 'Job not found or you are not authorized to invite candidates'));
+    }
+    
+    const job = await Job.findById(jobId);
+    
+    if (job.status !== 'active') {
+      return next(new ApiError(400, 'Candidates can only be invited to active jobs'));
+    }
+    
+    const jobSeeker = await JobInvitation.findInvitableJobSeeker(jobSeekerId, jobId);
+    
+    if (!jobSeeker) {
+      return next(new ApiError(404, 'Candidate not found'));
+    }
+    
+    if (jobSeeker.has_applied) {
+      return next(new ApiError(400, 'This candidate has already applied for the job'));
+    }
+    
+    const invitation = await JobInvitation.create({
+      jobId,
+      jobSeekerId,
+      invitedBy: req.user.id,
+      message: req.body.message
+    });
+    
+    if (!invitation) {
+      return next(new ApiError(409, 'This candidate has already been invited to the job'));
+    }
+    
+    try {
+      await Notification.createJobInvitationNotification(invitation, job, jobSeeker.user_id);
+    } catch (notificationError) {
+      // Log but don't fail the request if notification creation fails
+      logger.error('Error creating job invitation notification', {
+        error: notificationError,
+        invitationId: invitation.id
+      });
+    }
+    
+    return successResponse(
+      res, 
+      201, 
+      'Candidate invited successfully', 
+      invitation
+    );
+  } catch (error) {
+    logger.error('Error inviting candidate', { error, jobId: req.params.id });
+    return next(error);
+  }
+};
+
 /**
  * Get job by ID
  * @route GET /api/jobs/:id
@@ -116,6 +427,8 @@ exports.getJobById = async (req, res, next) => {
       return next(new ApiError(404, 'Job not found'));
     }
     
+    job.shifts = await JobShift.findByJob(jobId);
+    
     return successResponse(
       res, 
       200, 
@@ -138,16 +451,10 @@ exports.updateJob = async (req, res, next) => {
     const jobId = req.params.id;
     const userId = req.user.id;
     
-    // Check if job exists and belongs to the employer
-    const jobCheck = await query(
-      `SELECT j.* 
-       FROM jobs j
-       JOIN employer_profiles ep ON j.employer_id = ep.id
-       WHERE j.id = $1 AND ep.user_id = $2`,
-      [jobId, userId]
-    );
+    // Check if job exists and the user can manage it for the company
+    const memberRole = await Company.getRoleForJob(userId, jobId);
     
-    if (jobCheck.rows.length === 0) {
+    if (!Company.MANAGE_ROLES.includes(memberRole)) {
       return next(new ApiError(404, 'Job not found or you are not authorized to update it'));
     }
     
@@ -156,7 +463,8 @@ exports.updateJob = async (req, res, next) => {
     const allowedFields = [
       'title', 'description', 'requirements', 'payAmount', 'payType',
       'locationLatitude', 'locationLongitude', 'locationAddress',
-      'urgency', 'category', 'startDate', 'endDate', 'estimatedHours', 'status'
+      'urgency', 'category', 'startDate', 'endDate', 'estimatedHours',
+      'instantBook', 'instantBookMinRating', 'instantBookVerifiedPhone', 'requiredSkills'
     ];
     
     allowedFields.forEach(field => {
@@ -165,8 +473,30 @@ exports.updateJob = async (req, res, next) => {
       }
     });
     
-    // Update job
-    const updatedJob = await Job.update(jobId, updateData);
+    let updatedJob;
+    
+    // Changing positions may fill or reopen the job
+    if (req.body.positions !== undefined) {
+      const synced = await Job.setPositions(jobId, parseInt(req.body.positions), updateData);
+      
+      if (synced.outcome === 'has_shifts') {
+        return next(new ApiError(400, 'This job has shifts; change the positions of its shifts instead'));
+      }
+      
+      if (synced.outcome === 'below_accepted') {
+        return next(new ApiError(400, 'Positions cannot be fewer than the applications already accepted'));
+      }
+      
+      updatedJob = synced.job;
+      
+      if (synced.reopened) {
+        announceJob(updatedJob);
+      }
+    } else {
+      updatedJob = Object.keys(updateData).length > 0
+        ? await Job.update(jobId, updateData)
+        : await Job.findById(jobId);
+    }
     
     return successResponse(
       res, 
@@ -180,6 +510,194 @@ exports.updateJob = async (req, res, next) => {
   }
 };
 
+/**
+ * Change job status (draft, active, filled, expired) along the allowed transitions
+ * @route PATCH /api/jobs/:id/status
+ * @access Private (Job owner only)
+ */
+exports.updateJobStatus = async (req, res, next) => {
+  try {
+    const jobId = req.params.id;
+    const userId = req.user.id;
+    const { status } = req.body;
+    
+    // Check if job exists and the user can manage it for the company
+    const memberRole = await Company.getRoleForJob(userId, jobId);
+    
+    if (!Company.MANAGE_ROLES.includes(memberRole)) {
+      return next(new ApiError(404, 'Job not found or you are not authorized to update it'));
+    }
+    
+    const job = await Job.findById(jobId);
+    
+    if (job.status === status) {
+      return next(new ApiError(400, `Job is already ${status}`));
+    }
+    
+    if (!Job.canTransition(job.status, status)) {
+      return next(new ApiError(400, `Cannot change job status from ${job.status} to ${status}`));
+    }
+    
+    if (status === 'active' && job.end_date && new Date(job.end_date) < new Date()) {
+      return next(new ApiError(400, 'The job end date has passed. Update the end date before reactivating it'));
+    }
+    
+    const result = await Job.updateStatus(jobId, job.status, status);
+    
+    if (result.outcome === 'changed') {
+      return next(new ApiError(409, 'Job status has changed. Please try again'));
+    }
+    
+    if (result.outcome === 'full') {
+      return next(new ApiError(400, 'All positions for this job have been filled. Add positions before reactivating it'));
+    }
+    
+    if (status === 'active') {
+      announceJob(result.job);
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Job status updated successfully', 
+      result.job
+    );
+  } catch (error) {
+    logger.error('Error updating job status', { error, jobId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * List the shifts of a job with their staffing
+ * @route GET /api/jobs/:id/shifts
+ * @access Public
+ */
+exports.getJobShifts = async (req, res, next) => {
+  try {
+    const jobId = req.params.id;
+    const job = await Job.findById(jobId);
+    
+    if (!job) {
+      return next(new ApiError(404, 'Job not found'));
+    }
+    
+    const shifts = await JobShift.findByJob(jobId);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Job shifts retrieved successfully', 
+      shifts
+    );
+  } catch (error) {
+    logger.error('Error getting job shifts', { error, jobId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Add a shift to a job
+ * @route POST /api/jobs/:id/shifts
+ * @access Private (Job owner only)
+ */
+exports.createJobShift = async (req, res, next) => {
+  try {
+    const jobId = req.params.id;
+    
+    // Check if job exists and the user can manage it for the company
+    const memberRole = await Company.getRoleForJob(req.user.id, jobId);
+    
+    if (!Company.MANAGE_ROLES.includes(memberRole)) {
+      return next(new ApiError(404, 'Job not found or you are not authorized to update it'));
+    }
+    
+    if (new Date(req.body.startsAt) <= new Date()) {
+      return next(new ApiError(400, 'Shifts must start in the future'));
+    }
+    
+    if (new Date(req.body.endsAt) <= new Date(req.body.startsAt)) {
+      return next(new ApiError(400, 'A shift must end after it starts'));
+    }
+    
+    const result = await JobShift.create(jobId, {
+      label: req.body.label,
+      startsAt: req.body.startsAt,
+      endsAt: req.body.endsAt,
+      positions: req.body.positions
+    });
+    
+    if (result.outcome === 'has_unshifted_applications') {
+      return next(new ApiError(400, 'Shifts cannot be added to a job that already has applications without a shift'));
+    }
+    
+    if (result.reopened) {
+      announceJob(result.job);
+    }
+    
+    return successResponse(
+      res, 
+      201, 
+      'Job shift created successfully', 
+      { ...result.shift, job_status: result.job.status }
+    );
+  } catch (error) {
+    logger.error('Error creating job shift', { error, jobId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Update a shift of a job
+ * @route PUT /api/jobs/:id/shifts/:shiftId
+ * @access Private (Job owner only)
+ */
+exports.updateJobShift = async (req, res, next) => {
+  try {
+    const { id: jobId, shiftId } = req.params;
+    
+    // Check if job exists and the user can manage it for the company
+    const memberRole = await Company.getRoleForJob(req.user.id, jobId);
+    
+    if (!Company.MANAGE_ROLES.includes(memberRole)) {
+      return next(new ApiError(404, 'Job not found or you are not authorized to update it'));
+    }
+    
+    const result = await JobShift.update(shiftId, jobId, {
+      label: req.body.label,
+      startsAt: req.body.startsAt,
+      endsAt: req.body.endsAt,
+      positions: req.body.positions
+    });
+    
+    if (result.outcome === 'not_found') {
+      return next(new ApiError(404, 'Shift not found'));
+    }
+    
+    if (result.outcome === 'invalid_times') {
+      return next(new ApiError(400, 'A shift must end after it starts'));
+    }
+    
+    if (result.outcome === 'below_accepted') {
+      return next(new ApiError(400, 'Positions cannot be fewer than the applications already accepted for this shift'));
+    }
+    
+    if (result.reopened) {
+      announceJob(result.job);
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Job shift updated successfully', 
+      { ...result.shift, job_status: result.job.status }
+    );
+  } catch (error) {
+    logger.error('Error updating job shift', { error, shiftId: req.params.shiftId });
+    return next(error);
+  }
+};
+
 /**
  * Delete job
  * @route DELETE /api/jobs/:id
@@ -190,16 +708,10 @@ exports.deleteJob = async (req, res, next) => {
     const jobId = req.params.id;
     const userId = req.user.id;
     
-    // Check if job exists and belongs to the employer
-    const jobCheck = await query(
-      `SELECT j.* 
-       FROM jobs j
-       JOIN employer_profiles ep ON j.employer_id = ep.id
-       WHERE j.id = $1 AND ep.user_id = $2`,
-      [jobId, userId]
-    );
+    // Check if job exists and the user can manage it for the company
+    const memberRole = await Company.getRoleForJob(userId, jobId);
     
-    if (jobCheck.rows.length === 0) {
+    if (!Company.MANAGE_ROLES.includes(memberRole)) {
       return next(new ApiError(404, 'Job not found or you are not authorized to delete it'));
     }
     
@@ -226,17 +738,14 @@ exports.getEmployerJobs = async (req, res, next) => {
   try {
     const userId = req.user.id;
     
-    // Get employer profile ID
-    const employerResult = await query(
-      'SELECT id FROM employer_profiles WHERE user_id = $1',
-      [userId]
-    );
+    // Resolve the company whose listings to show
+    const membership = await Company.resolveForUser(userId, req.query.companyId);
     
-    if (employerResult.rows.length === 0) {
+    if (!membership) {
       return next(new ApiError(404, 'Employer profile not found'));
     }
     
-    const employerId = employerResult.rows[0].id;
+    const employerId = membership.employer_id;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     
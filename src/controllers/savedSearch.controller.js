@@ -0,0 +1,168 @@
+const SavedSearch = require('../models/savedSearch.model');
+const Job = require('../models/job.model');
+const { ApiError } = require('../middlewares/errorHandler');
+const { successResponse } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+const NUMERIC_FILTERS = ['minPay', 'maxPay', 'latitude', 'longitude', 'radius'];
+
+/**
+ * Keep only the filter keys a saved search may store, with numbers parsed
+ * @param {Object} input - Filters from the request body
+ */
+const pickFilters = (input = {}) => {
+  const filters = {};
+  
+  SavedSearch.FILTER_KEYS.forEach(key => {
+    if (input[key] !== undefined && input[key] !== null && input[key] !== '') {
+      filters[key] = NUMERIC_FILTERS.includes(key) ? parseFloat(input[key]) : String(input[key]).trim();
+    }
+  });
+  
+  return filters;
+};
+
+/**
+ * Get the current user's saved searches
+ * @route GET /api/saved-searches
+ * @access Private (Job seekers only)
+ */
+exports.getSavedSearches = async (req, res, next) => {
+  try {
+    const savedSearches = await SavedSearch.findByUser(req.user.id);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Saved searches retrieved successfully', 
+      savedSearches
+    );
+  } catch (error) {
+    logger.error('Error getting saved searches', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Save a search
+ * @route POST /api/saved-searches
+ * @access Private (Job seekers only)
+ */
+exports.createSavedSearch = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const maxSearches = parseInt(process.env.SAVED_SEARCH_MAX_PER_USER) || 20;
+    
+    if (await SavedSearch.countByUser(userId) >= maxSearches) {
+      return next(new ApiError(400, `You can have at most ${maxSearches} saved searches`));
+    }
+    
+    const savedSearch = await SavedSearch.create({
+      userId,
+      name: req.body.name,
+      filters: pickFilters(req.body.filters),
+      frequency: req.body.frequency || 'instant'
+    });
+    
+    return successResponse(
+      res, 
+      201, 
+      'Search saved successfully', 
+      savedSearch
+    );
+  } catch (error) {
+    logger.error('Error creating saved search', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Update a saved search
+ * @route PUT /api/saved-searches/:id
+ * @access Private (Owner only)
+ */
+exports.updateSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await SavedSearch.update(req.params.id, req.user.id, {
+      name: req.body.name,
+      filters: req.body.filters !== undefined ? pickFilters(req.body.filters) : null,
+      frequency: req.body.frequency
+    });
+    
+    if (!savedSearch) {
+      return next(new ApiError(404, 'Saved search not found'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Saved search updated successfully', 
+      savedSearch
+    );
+  } catch (error) {
+    logger.error('Error updating saved search', { error, savedSearchId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Delete a saved search
+ * @route DELETE /api/saved-searches/:id
+ * @access Private (Owner only)
+ */
+exports.deleteSavedSearch = async (req, res, next) => {
+  try {
+    const deleted = await SavedSearch.delete(req.params.id, req.user.id);
+    
+    if (!deleted) {
+      return next(new ApiError(404, 'Saved search not found'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Saved search deleted successfully'
+    );
+  } catch (error) {
+    logger.error('Error deleting saved search', { error, savedSearchId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Run a saved search against the active job listings
+ * @route GET /api/saved-searches/:id/jobs
+ * @access Private (Owner only)
+ */
+exports.getSavedSearchJobs = async (req, res, next) => {
+  try {
+    const savedSearch = await SavedSearch.findById(req.params.id, req.user.id);
+    
+    if (!savedSearch) {
+      return next(new ApiError(404, 'Saved search not found'));
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    
+    const filters = {
+      ...savedSearch.filters,
+      status: 'active',
+      sortBy: req.query.sortBy,
+      sortOrder: req.query.sortOrder
+    };
+    
+    const result = await Job.findAll(filters, page, limit);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Jobs retrieved successfully', 
+      result.jobs,
+      result.pagination
+    );
+  } catch (error) {
+    logger.error('Error running saved search', { error, savedSearchId: req.params.id });
+    return next(error);
+  }
+};
@@ -1,6 +1,16 @@
+const bcrypt = require('bcryptjs');
+const { query } = require('../db/connection');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const PhoneVerification = require('../models/phoneVerification.model');
+const JobInvitation = require('../models/jobInvitation.model');
+const Presence = require('../models/presence.model');
+const Availability = require('../models/availability.model');
+const Notification = require('../models/notification.model');
 const { ApiError } = require('../middlewares/errorHandler');
 const { successResponse } = require('../utils/responseHandler');
+const { sendMail } = require('../utils/mailer');
+const { sendSms } = require('../utils/sms');
 const logger = require('../utils/logger');
 
 /**
@@ -11,12 +21,15 @@ const logger = require('../utils/logger');
 exports.getUserProfile = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const userData = await User.findById(userId);
+    const userData = await User.findById(userId, req.user.role);
     
     if (!userData) {
       return next(new ApiError(404, 'User profile not found'));
     }
     
+    userData.active_role = req.user.role;
+    userData.roles = req.user.roles;
+    
     return successResponse(
       res, 
       200, 
@@ -83,7 +96,8 @@ exports.updateJobSeekerProfile = async (req, res, next) => {
       availability: req.body.availability,
       locationLatitude: req.body.locationLatitude,
       locationLongitude: req.body.locationLongitude,
-      locationAddress: req.body.locationAddress
+      locationAddress: req.body.locationAddress,
+      discoverable: req.body.discoverable
     };
     
     const updatedProfile = await User.updateJobSeekerProfile(userId, profileData);
@@ -116,6 +130,7 @@ exports.updateEmployerProfile = async (req, res, next) => {
     
     // Extract profile data
     const profileData = {
+      companyId: req.body.companyId,
       companyName: req.body.companyName,
       companyDescription: req.body.companyDescription,
       companyWebsite: req.body.companyWebsite,
@@ -148,14 +163,18 @@ exports.updateEmployerProfile = async (req, res, next) => {
 exports.getDashboardStats = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    let stats;
-    
-    // Get stats based on user role
-    if (req.user.role === 'job_seeker') {
-      stats = await User.getJobSeekerStats(userId);
-    } else if (req.user.role === 'employer') {
-      stats = await User.getEmployerStats(userId);
-    } else {
+    const stats = {};
+    
+    // Report stats for every role the user holds, keyed by role
+    if (req.user.roles.includes('job_seeker')) {
+      stats.job_seeker = await User.getJobSeekerStats(userId);
+    }
+    
+    if (req.user.roles.includes('employer')) {
+      stats.employer = await User.getEmployerStats(userId);
+    }
+    
+    if (Object.keys(stats).length === 0) {
       return next(new ApiError(403, 'Dashboard stats not available for this user role'));
     }
     
@@ -163,10 +182,545 @@ exports.getDashboardStats = async (req, res, next) => {
       res, 
       200, 
       'Dashboard statistics retrieved successfully', 
-      stats
+      { activeRole: req.user.role, stats }
     );
   } catch (error) {
     logger.error('Error getting dashboard stats', { error });
     return next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Export all data stored about the current user
+ * @route GET /api/users/me/export
+ * @access Private
+ */
+exports.exportMyData = async (req, res, next) => {
+  try {
+    const data = await User.exportData(req.user.id);
+    
+    if (!data) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    
+    res.set(
+      'Content-Disposition',
+      `attachment; filename="urgent-jobs-export-${req.user.id}.json"`
+    );
+    
+    return successResponse(
+      res, 
+      200, 
+      'Data export generated successfully', 
+      data
+    );
+  } catch (error) {
+    logger.error('Error exporting user data', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Schedule deletion of the current user's account. Signing in again
+ * before the grace period ends cancels the deletion.
+ * @route DELETE /api/users/me
+ * @access Private
+ */
+exports.deleteMyAccount = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    
+    const result = await query(
+      'SELECT email, first_name, password FROM users WHERE id = $1',
+      [userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    
+    const user = result.rows[0];
+    
+    // Require the password so a stolen access token cannot delete the account
+    const isMatch = await bcrypt.compare(req.body.password, user.password);
+    
+    if (!isMatch) {
+      return next(new ApiError(401, 'Password is incorrect'));
+    }
+    
+    // A company with members or applicants needs someone to hand it over to
+    const companies = await User.findUntransferableCompanies(userId);
+    
+    if (companies.length > 0) {
+      const names = companies.map(company => company.company_name).join(', ');
+      return next(new ApiError(
+        409,
+        `Make another member an owner or manager of ${names} before deleting your account`
+      ));
+    }
+    
+    const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+    const deletion = await User.requestDeletion(userId, graceDays);
+    
+    if (!deletion) {
+      return next(new ApiError(409, 'Account deletion is already scheduled'));
+    }
+    
+    await Session.revokeAllForUser(userId, 'account_deletion');
+    
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your account is scheduled for deletion',
+        text: `Hi ${user.first_name},\n\n` +
+          `Your account will be permanently deleted on ${deletion.deletion_scheduled_for.toUTCString()}. ` +
+          'You have been signed out everywhere.\n\n' +
+          'Changed your mind? Just log in again before then and the deletion will be cancelled.'
+      });
+    } catch (mailError) {
+      logger.error('Error sending account deletion email', { error: mailError, userId });
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Account scheduled for deletion', 
+      { deletionScheduledFor: deletion.deletion_scheduled_for }
+    );
+  } catch (error) {
+    logger.error('Error deleting account', { error });
+    return next(error);
+  }
+};
+
+
+/**
+ * Send a one-time code to verify a phone number
+ * @route POST /api/users/me/phone/send-code
+ * @access Private
+ */
+exports.sendPhoneCode = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { phone } = req.body;
+    
+    const retryAfter = await PhoneVerification.getSendRetryAfter(userId, phone);
+    
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return next(new ApiError(429, `Too many codes requested. Please try again in ${retryAfter} seconds`));
+    }
+    
+    const { verification, code } = await PhoneVerification.create(userId, phone);
+    
+    await sendSms({
+      to: phone,
+      body: `Your Urgent Jobs verification code is ${code}. ` +
+        `It expires in ${PhoneVerification.CODE_TTL_MINUTES} minutes.`
+    });
+    
+    return successResponse(
+      res, 
+      200, 
+      'Verification code sent', 
+      { phone: verification.phone, expiresAt: verification.expires_at }
+    );
+  } catch (error) {
+    logger.error('Error sending phone verification code', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Verify a phone number with the code that was sent to it
+ * @route POST /api/users/me/phone/verify
+ * @access Private
+ */
+exports.verifyPhone = async (req, res, next) => {
+  try {
+    const phone = await PhoneVerification.verify(req.user.id, req.body.code);
+    
+    if (!phone) {
+      return next(new ApiError(400, 'Invalid or expired verification code'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Phone number verified successfully', 
+      { phone }
+    );
+  } catch (error) {
+    logger.error('Error verifying phone number', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Add a second role to the current user (job seeker or employer)
+ * @route POST /api/users/me/roles
+ * @access Private
+ */
+exports.addRole = async (req, res, next) => {
+  try {
+    const { role, companyName } = req.body;
+    
+    if (req.user.primaryRole === 'admin') {
+      return next(new ApiError(403, 'Admin accounts cannot hold other roles'));
+    }
+    
+    if (req.user.roles.includes(role)) {
+      return next(new ApiError(409, `You already have a ${role} profile`));
+    }
+    
+    const profile = await User.addRole(req.user.id, role, { companyName });
+    
+    return successResponse(
+      res, 
+      201, 
+      'Role added successfully. Switch to it with POST /api/auth/switch-role', 
+      { role, roles: [...req.user.roles, role], profile }
+    );
+  } catch (error) {
+    logger.error('Error adding role', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Get job invitations sent to the current job seeker
+ * @route GET /api/users/me/job-invitations
+ * @access Private (Job seekers only)
+ */
+exports.getJobInvitations = async (req, res, next) => {
+  try {
+    const profile = await User.findJobSeekerProfile(req.user.id);
+    
+    if (!profile) {
+      return next(new ApiError(404, 'Job seeker profile not found'));
+    }
+    
+    const invitations = await JobInvitation.findByJobSeeker(profile.id, req.query.status || null);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Job invitations retrieved successfully', 
+      invitations
+    );
+  } catch (error) {
+    logger.error('Error getting job invitations', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Accept or decline a job invitation. Accepting shares the job seeker's
+ * contact details with the inviting company.
+ * @route PATCH /api/users/me/job-invitations/:id
+ * @access Private (Job seekers only)
+ */
+exports.respondToJobInvitation = async (req, res, next) => {
+  try {
+    const { status } = req.body;
+    const profile = await User.findJobSeekerProfile(req.user.id);
+    
+    if (!profile) {
+      return next(new ApiError(404, 'Job seeker profile not found'));
+    }
+    
+    const invitation = await JobInvitation.respond(req.params.id, profile.id, status);
+    
+    if (!invitation) {
+      return next(new ApiError(404, 'Pending invitation not found'));
+    }
+    
+    if (status === 'accepted' && invitation.invited_by) {
+      try {
+        await Notification.createInvitationAcceptedNotification(invitation, invitation.invited_by);
+      } catch (notificationError) {
+        // Log but don't fail the request if notification creation fails
+        logger.error('Error creating invitation accepted notification', {
+          error: notificationError,
+          invitationId: invitation.id
+        });
+      }
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      `Invitation ${status}`, 
+      invitation
+    );
+  } catch (error) {
+    logger.error('Error responding to job invitation', { error, invitationId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Get the current job seeker's "available now" status
+ * @route GET /api/users/me/presence
+ * @access Private (Job seekers only)
+ */
+exports.getPresence = async (req, res, next) => {
+  try {
+    const profile = await User.findJobSeekerProfile(req.user.id);
+    
+    if (!profile) {
+      return next(new ApiError(404, 'Job seeker profile not found'));
+    }
+    
+    const presence = await Presence.findByJobSeeker(profile.id);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Presence retrieved successfully', 
+      presence || {
+        job_seeker_id: profile.id,
+        on_duty: false,
+        on_duty_until: null,
+        latitude: null,
+        longitude: null,
+        location_updated_at: null
+      }
+    );
+  } catch (error) {
+    logger.error('Error getting presence', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Go on or off duty. Going on duty lasts `minutes` and can include a location.
+ * @route PUT /api/users/me/presence
+ * @access Private (Job seekers only)
+ */
+exports.updatePresence = async (req, res, next) => {
+  try {
+    const { onDuty, latitude, longitude } = req.body;
+    const profile = await User.findJobSeekerProfile(req.user.id);
+    
+    if (!profile) {
+      return next(new ApiError(404, 'Job seeker profile not found'));
+    }
+    
+    if ((latitude === undefined) !== (longitude === undefined)) {
+      return next(new ApiError(400, 'Latitude and longitude must be given together'));
+    }
+    
+    if (!onDuty) {
+      const presence = await Presence.goOffDuty(profile.id);
+      
+      return successResponse(
+        res, 
+        200, 
+        'You are now off duty', 
+        presence || { job_seeker_id: profile.id, on_duty: false, on_duty_until: null }
+      );
+    }
+    
+    const minutes = parseInt(req.body.minutes)
+      || parseInt(process.env.PRESENCE_DEFAULT_DURATION_MINUTES)
+      || 120;
+    const location = latitude !== undefined ? { latitude, longitude } : null;
+    
+    const presence = await Presence.goOnDuty(profile.id, minutes, location);
+    
+    return successResponse(
+      res, 
+      200, 
+      'You are now on duty', 
+      presence
+    );
+  } catch (error) {
+    logger.error('Error updating presence', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Ping the current location while on duty
+ * @route POST /api/users/me/presence/location
+ * @access Private (Job seekers only)
+ */
+exports.updatePresenceLocation = async (req, res, next) => {
+  try {
+    const { latitude, longitude } = req.body;
+    const profile = await User.findJobSeekerProfile(req.user.id);
+    
+    if (!profile) {
+      return next(new ApiError(404, 'Job seeker profile not found'));
+    }
+    
+    const presence = await Presence.updateLocation(profile.id, latitude, longitude);
+    
+    if (!presence) {
+      return next(new ApiError(400, 'Go on duty before sharing your location'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Location updated successfully', 
+      presence
+    );
+  } catch (error) {
+    logger.error('Error updating presence location', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Get the current job seeker's weekly availability and date exceptions
+ * @route GET /api/users/profile/availability
+ * @access Private (Job seekers only)
+ */
+exports.getAvailability = async (req, res, next) => {
+  try {
+    const profile = await User.findJobSeekerProfile(req.user.id);
+    
+    if (!profile) {
+      return next(new ApiError(404, 'Job seeker profile not found'));
+    }
+    
+    const availability = await Availability.findByJobSeeker(
+      profile.id,
+      req.query.from || null,
+      req.query.to || null
+    );
+    
+    return successResponse(
+      res, 
+      200, 
+      'Availability retrieved successfully', 
+      availability
+    );
+  } catch (error) {
+    logger.error('Error getting availability', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Replace the weekly availability schedule and/or set the timezone
+ * @route PUT /api/users/profile/availability
+ * @access Private (Job seekers only)
+ */
+exports.updateAvailability = async (req, res, next) => {
+  try {
+    const { weekly, timezone } = req.body;
+    const profile = await User.findJobSeekerProfile(req.user.id);
+    
+    if (!profile) {
+      return next(new ApiError(404, 'Job seeker profile not found'));
+    }
+    
+    if (weekly && weekly.some(slot => slot.endTime <= slot.startTime)) {
+      return next(new ApiError(400, 'Each weekly slot must end after it starts'));
+    }
+    
+    await Availability.replaceWeekly(profile.id, weekly, timezone);
+    const availability = await Availability.findByJobSeeker(profile.id);
+    
+    return successResponse(
+      res, 
+      200, 
+      'Availability updated successfully', 
+      availability
+    );
+  } catch (error) {
+    logger.error('Error updating availability', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Add a date exception to the availability schedule
+ * @route POST /api/users/profile/availability/exceptions
+ * @access Private (Job seekers only)
+ */
+exports.createAvailabilityException = async (req, res, next) => {
+  try {
+    const profile = await User.findJobSeekerProfile(req.user.id);
+    
+    if (!profile) {
+      return next(new ApiError(404, 'Job seeker profile not found'));
+    }
+    
+    const exception = await Availability.createException(profile.id, req.body);
+    
+    return successResponse(
+      res, 
+      201, 
+      'Availability exception created successfully', 
+      exception
+    );
+  } catch (error) {
+    logger.error('Error creating availability exception', { error });
+    return next(error);
+  }
+};
+
+/**
+ * Replace a date exception
+ * @route PUT /api/users/profile/availability/exceptions/:id
+ * @access Private (Job seekers only)
+ */
+exports.updateAvailabilityException = async (req, res, next) => {
+  try {
+    const profile = await User.findJobSeekerProfile(req.user.id);
+    
+    if (!profile) {
+      return next(new ApiError(404, 'Job seeker profile not found'));
+    }
+    
+    const exception = await Availability.updateException(req.params.id, profile.id, req.body);
+    
+    if (!exception) {
+      return next(new ApiError(404, 'Availability exception not found'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Availability exception updated successfully', 
+      exception
+    );
+  } catch (error) {
+    logger.error('Error updating availability exception', { error, exceptionId: req.params.id });
+    return next(error);
+  }
+};
+
+/**
+ * Delete a date exception
+ * @route DELETE /api/users/profile/availability/exceptions/:id
+ * @access Private (Job seekers only)
+ */
+exports.deleteAvailabilityException = async (req, res, next) => {
+  try {
+    const profile = await User.findJobSeekerProfile(req.user.id);
+    
+    if (!profile) {
+      return next(new ApiError(404, 'Job seeker profile not found'));
+    }
+    
+    const deleted = await Availability.deleteException(req.params.id, profile.id);
+    
+    if (!deleted) {
+      return next(new ApiError(404, 'Availability exception not found'));
+    }
+    
+    return successResponse(
+      res, 
+      200, 
+      'Availability exception deleted successfully'
+    );
+  } catch (error) {
+    logger.error('Error deleting availability exception', { error, exceptionId: req.params.id });
+    return next(error);
+  }
+};
@@ -88,9 +88,10 @@ CREATE TABLE IF NOT EXISTS job_applications (
 );
 
 -- Reviews (employers can review job seekers and vice versa)
+-- Reviews outlive a deleted reviewer's account; reviewer_id is set to NULL
 CREATE TABLE IF NOT EXISTS reviews (
     id SERIAL PRIMARY KEY,
-    reviewer_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    reviewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
     reviewee_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     job_id INTEGER REFERENCES jobs(id) ON DELETE SET NULL,
     rating INTEGER CHECK (rating BETWEEN 1 AND 5),
@@ -111,27 +112,496 @@ CREATE TABLE IF NOT EXISTS notifications (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Refresh token sessions (one row per refresh token, grouped by login family)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    family_id UUID NOT NULL,
+    refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50),
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single-use tokens sent by email (password reset, etc.)
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(50) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Login attempts (used for brute-force throttling)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    ip_address VARCHAR(45),
+    success BOOLEAN NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Account lock/unlock audit trail
+CREATE TABLE IF NOT EXISTS account_lock_events (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    event VARCHAR(20) NOT NULL CHECK (event IN ('locked', 'unlocked')),
+    reason VARCHAR(100),
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- TOTP two-factor authentication
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret VARCHAR(64) NOT NULL,
+    enabled_at TIMESTAMP,
+    last_used_step BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Roles that must use two-factor authentication
+CREATE TABLE IF NOT EXISTS two_factor_role_policies (
+    role VARCHAR(20) PRIMARY KEY CHECK (role IN ('job_seeker', 'employer', 'admin')),
+    required BOOLEAN NOT NULL DEFAULT FALSE,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Company team members (employer profile = company)
+CREATE TABLE IF NOT EXISTS company_members (
+    id SERIAL PRIMARY KEY,
+    employer_id INTEGER REFERENCES employer_profiles(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'viewer')),
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (employer_id, user_id)
+);
+
+-- Pending invitations to join a company
+CREATE TABLE IF NOT EXISTS company_invitations (
+    id SERIAL PRIMARY KEY,
+    employer_id INTEGER REFERENCES employer_profiles(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('manager', 'viewer')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create API keys table (company-owned keys for integrations)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    employer_id INTEGER REFERENCES employer_profiles(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    expires_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create phone verifications table (one-time SMS codes, stored hashed)
+CREATE TABLE IF NOT EXISTS phone_verifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    phone VARCHAR(20) NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    verified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create admin audit log (append-only; actor and target are not foreign keys
+-- so deleting users never rewrites history)
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER,
+    actor_email VARCHAR(255),
+    action VARCHAR(100) NOT NULL,
+    target_type VARCHAR(50),
+    target_id INTEGER,
+    details JSONB,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE OR REPLACE FUNCTION prevent_admin_audit_log_changes() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS admin_audit_log_immutable ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_immutable
+    BEFORE UPDATE OR DELETE ON admin_audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_admin_audit_log_changes();
+
+DROP TRIGGER IF EXISTS admin_audit_log_no_truncate ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_no_truncate
+    BEFORE TRUNCATE ON admin_audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_admin_audit_log_changes();
+
+-- Create saved searches table (job filters with new-job alerts)
+CREATE TABLE IF NOT EXISTS saved_searches (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}',
+    frequency VARCHAR(10) NOT NULL DEFAULT 'instant' CHECK (frequency IN ('instant', 'hourly', 'daily')),
+    last_checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create job invitations table (employers inviting discovered job seekers)
+CREATE TABLE IF NOT EXISTS job_invitations (
+    id SERIAL PRIMARY KEY,
+    job_id INTEGER REFERENCES jobs(id) ON DELETE CASCADE,
+    job_seeker_id INTEGER REFERENCES job_seeker_profiles(id) ON DELETE CASCADE,
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    message TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined')),
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (job_id, job_seeker_id)
+);
+
+-- Create job shifts table (jobs covering several shifts, each with its own headcount)
+CREATE TABLE IF NOT EXISTS job_shifts (
+    id SERIAL PRIMARY KEY,
+    job_id INTEGER REFERENCES jobs(id) ON DELETE CASCADE,
+    label VARCHAR(100),
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    positions INTEGER NOT NULL DEFAULT 1 CHECK (positions > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'filled')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at > starts_at)
+);
+
+-- Create availability slots table (weekly recurring hours in the job seeker's timezone;
+-- day_of_week 0 = Sunday, end_time may be 24:00)
+CREATE TABLE IF NOT EXISTS availability_slots (
+    id SERIAL PRIMARY KEY,
+    job_seeker_id INTEGER REFERENCES job_seeker_profiles(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time)
+);
+
+-- Create availability exceptions table (dates that differ from the weekly schedule;
+-- no times means the whole day)
+CREATE TABLE IF NOT EXISTS availability_exceptions (
+    id SERIAL PRIMARY KEY,
+    job_seeker_id INTEGER REFERENCES job_seeker_profiles(id) ON DELETE CASCADE,
+    on_date DATE NOT NULL,
+    available BOOLEAN NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    note VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((start_time IS NULL) = (end_time IS NULL)),
+    CHECK (end_time > start_time)
+);
+
+-- Create job seeker presence table ("available now" status and live location,
+-- kept apart from the profile address; coordinates are stored rounded)
+CREATE TABLE IF NOT EXISTS job_seeker_presence (
+    job_seeker_id INTEGER PRIMARY KEY REFERENCES job_seeker_profiles(id) ON DELETE CASCADE,
+    on_duty_until TIMESTAMP,
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
+    location_updated_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create job broadcasts table (urgent jobs pushed to nearby job seekers in waves)
+CREATE TABLE IF NOT EXISTS job_broadcasts (
+    job_id INTEGER PRIMARY KEY REFERENCES jobs(id) ON DELETE CASCADE,
+    current_wave INTEGER NOT NULL DEFAULT 0,
+    next_wave_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Job seekers reached by a broadcast (each one is notified at most once per job)
+CREATE TABLE IF NOT EXISTS job_broadcast_recipients (
+    job_id INTEGER REFERENCES jobs(id) ON DELETE CASCADE,
+    job_seeker_id INTEGER REFERENCES job_seeker_profiles(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    wave INTEGER NOT NULL,
+    distance_km DECIMAL(8, 2),
+    notified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (job_id, job_seeker_id)
+);
+
+-- Employer profiles without any members are owned by the user who created them
+INSERT INTO company_members (employer_id, user_id, role)
+SELECT ep.id, ep.user_id, 'owner'
+FROM employer_profiles ep
+WHERE ep.user_id IS NOT NULL
+AND NOT EXISTS (SELECT 1 FROM company_members cm WHERE cm.employer_id = ep.id);
+
+-- Column additions (safe to re-run against existing databases)
+DO $$
+BEGIN
+    -- Email verification: accounts that predate verification are treated as verified
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'email_verified_at'
+    ) THEN
+        ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+        UPDATE users SET email_verified_at = created_at;
+    END IF;
+
+    -- Account deletion: anonymize reviews instead of deleting them with their author
+    IF EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'reviews_reviewer_id_fkey' AND confdeltype = 'c'
+    ) THEN
+        ALTER TABLE reviews DROP CONSTRAINT reviews_reviewer_id_fkey;
+        ALTER TABLE reviews ADD CONSTRAINT reviews_reviewer_id_fkey
+            FOREIGN KEY (reviewer_id) REFERENCES users(id) ON DELETE SET NULL;
+    END IF;
+END
+$$;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMP;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS active_role VARCHAR(20);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_reset_required_at TIMESTAMP;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS published_at TIMESTAMP;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS positions INTEGER NOT NULL DEFAULT 1 CHECK (positions > 0);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS instant_book BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS instant_book_min_rating DECIMAL(2, 1)
+    CHECK (instant_book_min_rating BETWEEN 1 AND 5);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS instant_book_verified_phone BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS required_skills TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE job_seeker_profiles ADD COLUMN IF NOT EXISTS discoverable BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE job_applications ADD COLUMN IF NOT EXISTS shift_id INTEGER REFERENCES job_shifts(id) ON DELETE CASCADE;
+ALTER TABLE job_seeker_profiles ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+-- Full-text search document for jobs, weighted title > requirements > description
+CREATE OR REPLACE FUNCTION jobs_search_vector_update() RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(NEW.requirements, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'C');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS jobs_search_vector ON jobs;
+CREATE TRIGGER jobs_search_vector
+    BEFORE INSERT OR UPDATE OF title, requirements, description ON jobs
+    FOR EACH ROW EXECUTE FUNCTION jobs_search_vector_update();
+
+-- Build the search document for jobs created before the trigger existed
+UPDATE jobs SET title = title WHERE search_vector IS NULL;
+
+-- Whether a job seeker is available on a local date from one time to another:
+-- an available exception covers the hours, or one weekly slot does and no
+-- unavailable exception overlaps them
+CREATE OR REPLACE FUNCTION job_seeker_available_on(
+    seeker_id INTEGER, check_date DATE, from_time TIME, to_time TIME
+) RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM availability_exceptions
+        WHERE job_seeker_id = seeker_id AND on_date = check_date AND available
+        AND COALESCE(start_time, '00:00') <= from_time
+        AND COALESCE(end_time, '24:00') >= to_time
+    ) OR (
+        EXISTS (
+            SELECT 1 FROM availability_slots
+            WHERE job_seeker_id = seeker_id AND day_of_week = EXTRACT(DOW FROM check_date)
+            AND start_time <= from_time AND end_time >= to_time
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM availability_exceptions
+            WHERE job_seeker_id = seeker_id AND on_date = check_date AND NOT available
+            AND COALESCE(start_time, '00:00') < to_time
+            AND COALESCE(end_time, '24:00') > from_time
+        )
+    )
+$$ LANGUAGE sql STABLE;
+
+-- Whether a job seeker is available across a job's window (UTC timestamps, read
+-- in the seeker's timezone). Without an end the window lasts estimated_hours
+-- (or 1 hour). A window of up to 24 hours must be covered in full; a longer one
+-- means the same daily hours on every day it spans. Jobs without a start match.
+CREATE OR REPLACE FUNCTION job_seeker_available(
+    seeker_id INTEGER, window_start TIMESTAMP, window_end TIMESTAMP, estimated_hours INTEGER
+) RETURNS BOOLEAN AS $$
+DECLARE
+    local_start TIMESTAMP;
+    local_end TIMESTAMP;
+    local_day DATE;
+BEGIN
+    IF window_start IS NULL THEN
+        RETURN TRUE;
+    END IF;
+
+    SELECT (window_start AT TIME ZONE 'UTC') AT TIME ZONE jsp.timezone,
+           (COALESCE(window_end, window_start + make_interval(hours => COALESCE(estimated_hours, 1)))
+               AT TIME ZONE 'UTC') AT TIME ZONE jsp.timezone
+    INTO local_start, local_end
+    FROM job_seeker_profiles jsp
+    WHERE jsp.id = seeker_id;
+
+    IF local_end <= local_start THEN
+        RETURN FALSE;
+    END IF;
+
+    IF local_end - local_start <= INTERVAL '24 hours' THEN
+        -- Each local day the window touches, up to midnight
+        FOR local_day IN SELECT generate_series(local_start::DATE, (local_end - INTERVAL '1 second')::DATE, INTERVAL '1 day')::DATE LOOP
+            IF NOT job_seeker_available_on(
+                seeker_id,
+                local_day,
+                CASE WHEN local_day = local_start::DATE THEN local_start::TIME ELSE '00:00' END,
+                CASE WHEN local_day = local_end::DATE THEN local_end::TIME ELSE '24:00' END
+            ) THEN
+                RETURN FALSE;
+            END IF;
+        END LOOP;
+    ELSIF local_end::TIME > local_start::TIME THEN
+        -- Same daytime hours every day
+        FOR local_day IN SELECT generate_series(local_start::DATE, local_end::DATE, INTERVAL '1 day')::DATE LOOP
+            IF NOT job_seeker_available_on(seeker_id, local_day, local_start::TIME, local_end::TIME) THEN
+                RETURN FALSE;
+            END IF;
+        END LOOP;
+    ELSE
+        -- Same overnight hours every night: until midnight, then on into the next day
+        FOR local_day IN SELECT generate_series(local_start::DATE, local_end::DATE - 1, INTERVAL '1 day')::DATE LOOP
+            IF NOT job_seeker_available_on(seeker_id, local_day, local_start::TIME, '24:00')
+                OR (local_end::TIME > '00:00'
+                    AND NOT job_seeker_available_on(seeker_id, local_day + 1, '00:00', local_end::TIME)) THEN
+                RETURN FALSE;
+            END IF;
+        END LOOP;
+    END IF;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Whether a job seeker is available for a job: for any of its open shifts, or
+-- else across the job's own window (from default_start when it has no start_date)
+CREATE OR REPLACE FUNCTION job_seeker_available_for_job(
+    seeker_id INTEGER, target_job_id INTEGER, default_start TIMESTAMP DEFAULT NULL
+) RETURNS BOOLEAN AS $$
+    SELECT CASE
+        WHEN EXISTS (SELECT 1 FROM job_shifts WHERE job_id = target_job_id) THEN EXISTS (
+            SELECT 1 FROM job_shifts
+            WHERE job_id = target_job_id AND status = 'open'
+            AND job_seeker_available(seeker_id, starts_at, ends_at, NULL)
+        )
+        ELSE (
+            SELECT job_seeker_available(
+                seeker_id, COALESCE(start_date, default_start), end_date, estimated_hours
+            )
+            FROM jobs
+            WHERE id = target_job_id
+        )
+    END
+$$ LANGUAGE sql STABLE;
+
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_jobs_employer_id ON jobs(employer_id);
 CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
 CREATE INDEX IF NOT EXISTS idx_jobs_urgency ON jobs(urgency);
+CREATE INDEX IF NOT EXISTS idx_jobs_active_end_date ON jobs(end_date) WHERE status = 'active';
 CREATE INDEX IF NOT EXISTS idx_jobs_category ON jobs(category);
+CREATE INDEX IF NOT EXISTS idx_jobs_location ON jobs(location_latitude, location_longitude);
+CREATE INDEX IF NOT EXISTS idx_jobs_search_vector ON jobs USING GIN(search_vector);
 CREATE INDEX IF NOT EXISTS idx_applications_job_id ON job_applications(job_id);
 CREATE INDEX IF NOT EXISTS idx_applications_job_seeker_id ON job_applications(job_seeker_id);
 CREATE INDEX IF NOT EXISTS idx_applications_status ON job_applications(status);
 CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_lower ON users(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_for ON users(deletion_scheduled_for)
+    WHERE deletion_scheduled_for IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_family_id ON user_sessions(family_id);
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_account_lock_events_user_id ON account_lock_events(user_id);
+CREATE INDEX IF NOT EXISTS idx_backup_codes_user_id ON two_factor_backup_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_company_members_user_id ON company_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_company_invitations_employer_id ON company_invitations(employer_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_employer_id ON api_keys(employer_id);
+CREATE INDEX IF NOT EXISTS idx_phone_verifications_user_id ON phone_verifications(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor_id ON admin_audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON saved_searches(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_frequency ON saved_searches(frequency, last_checked_at);
+CREATE INDEX IF NOT EXISTS idx_job_seeker_profiles_location
+    ON job_seeker_profiles(location_latitude, location_longitude) WHERE discoverable;
+CREATE INDEX IF NOT EXISTS idx_job_invitations_job_seeker_id ON job_invitations(job_seeker_id);
+CREATE INDEX IF NOT EXISTS idx_reviews_reviewee_id ON reviews(reviewee_id);
+CREATE INDEX IF NOT EXISTS idx_job_shifts_job_id ON job_shifts(job_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_applications_shift_id ON job_applications(shift_id);
+CREATE INDEX IF NOT EXISTS idx_availability_slots_job_seeker_id ON availability_slots(job_seeker_id, day_of_week);
+CREATE INDEX IF NOT EXISTS idx_availability_exceptions_job_seeker_id ON availability_exceptions(job_seeker_id, on_date);
+CREATE INDEX IF NOT EXISTS idx_job_seeker_presence_location
+    ON job_seeker_presence(latitude, longitude) WHERE latitude IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_job_broadcasts_next_wave_at ON job_broadcasts(next_wave_at)
+    WHERE completed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_job_broadcast_recipients_user_id ON job_broadcast_recipients(user_id);
+CREATE INDEX IF NOT EXISTS idx_phone_verifications_phone ON phone_verifications(phone, created_at);
 
 -- Create admin user if not exists
 DO $$
 BEGIN
     IF NOT EXISTS (SELECT * FROM users WHERE email = 'admin@example.com') THEN
-        INSERT INTO users (email, password, first_name, last_name, role)
+        INSERT INTO users (email, password, first_name, last_name, role, email_verified_at)
         VALUES (
             'admin@example.com',
             crypt('admin123', gen_salt('bf')), -- Replace with your actual password
             'Admin',
             'User',
-            'admin'
+            'admin',
+            NOW()
         );
     END IF;
 END
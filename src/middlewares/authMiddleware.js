@@ -1,12 +1,128 @@
 const jwt = require('jsonwebtoken');
-const { query } = require('../db/connection');
 const { ApiError } = require('./errorHandler');
+const Session = require('../models/session.model');
+const ApiKey = require('../models/apiKey.model');
+const User = require('../models/user.model');
+const AuditLog = require('../models/auditLog.model');
+const logger = require('../utils/logger');
+const { TOKEN_PURPOSES, verifyPurposeToken } = require('../utils/tokens');
 
 /**
- * Middleware to protect routes by verifying JWT token
+ * Map JWT verification errors to API errors
+ * @param {Error} error - Error thrown while verifying a token
+ */
+const toAuthError = (error) => {
+  if (error.name === 'JsonWebTokenError') {
+    return new ApiError(401, 'Invalid token');
+  }
+  if (error.name === 'TokenExpiredError') {
+    return new ApiError(401, 'Token expired');
+  }
+  return error;
+};
+
+/**
+ * Load and check the admin behind an impersonation token
+ * @param {Number} adminId - Impersonating admin's user ID
+ * @returns {Object|null} Admin (id, email), or null if they may no longer impersonate
+ */
+const findImpersonator = async (adminId) => {
+  const admin = await User.findAuthById(adminId);
+  
+  if (!admin || admin.role !== 'admin' || admin.suspended_at) {
+    return null;
+  }
+  
+  return { id: admin.id, email: admin.email };
+};
+
+/**
+ * Write every mutating request made while impersonating to the audit log,
+ * with both the admin's and the impersonated user's identity
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const auditImpersonatedRequest = (req, res) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return;
+  }
+  
+  res.on('finish', () => {
+    AuditLog.record({
+      actor: req.user.impersonator,
+      action: 'impersonation.request',
+      targetType: 'user',
+      targetId: req.user.id,
+      details: {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        impersonatedEmail: req.user.email
+      },
+      ipAddress: req.ip
+    }).catch(error => {
+      logger.error('Error auditing impersonated request', { error, userId: req.user.id });
+    });
+  });
+};
+
+/**
+ * Authenticate a request made with an X-Api-Key header. Keys are only
+ * accepted on routes that opted in through allowApiKey(scope).
+ */
+const authenticateApiKey = async (req, next) => {
+  if (!req.apiKeyScope) {
+    return next(new ApiError(403, 'API keys are not permitted on this route'));
+  }
+  
+  const apiKey = await ApiKey.authenticate(req.headers['x-api-key'], req.ip);
+  
+  if (!apiKey) {
+    return next(new ApiError(401, 'Invalid API key'));
+  }
+  
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    return next(new ApiError(403, `API key is missing the ${req.apiKeyScope} scope`));
+  }
+  
+  // The key acts on behalf of the member who created it, within its company
+  req.user = {
+    id: apiKey.user_id,
+    email: apiKey.email,
+    role: 'employer',
+    roles: ['employer'],
+    primaryRole: apiKey.role,
+    email_verified_at: apiKey.email_verified_at
+  };
+  req.apiKey = {
+    id: apiKey.id,
+    employerId: apiKey.employer_id,
+    scopes: apiKey.scopes
+  };
+  next();
+};
+
+/**
+ * Mark a route as callable with an API key holding the given scope.
+ * Must be registered before protect runs for the route.
+ * @param {String} scope - Required API key scope
+ */
+exports.allowApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+/**
+ * Middleware to protect routes by verifying JWT token (or API key)
  */
 exports.protect = async (req, res, next) => {
   try {
+    if (req.headers['x-api-key']) {
+      return await authenticateApiKey(req, next);
+    }
+    
     let token;
     
     // Check if token exists in headers
@@ -22,32 +138,112 @@ exports.protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Purpose-bound tokens (2FA challenge, setup) are not access tokens
+    if (decoded.purpose) {
+      return next(new ApiError(401, 'Invalid token'));
+    }
+    
+    // Check that the session the token was issued for has not been revoked.
+    // Impersonation tokens live on the impersonating admin's session.
+    const sessionUserId = decoded.imp || decoded.id;
+    
+    if (!decoded.sid || !(await Session.isActive(decoded.sid, sessionUserId))) {
+      return next(new ApiError(401, 'Session has been revoked. Please log in again'));
+    }
+    
+    let impersonator = null;
+    
+    if (decoded.imp) {
+      impersonator = await findImpersonator(decoded.imp);
+      
+      if (!impersonator) {
+        return next(new ApiError(401, 'Impersonation is no longer allowed'));
+      }
+    }
+    
     // Check if user still exists
-    const result = await query(
-      'SELECT id, email, role FROM users WHERE id = $1',
-      [decoded.id]
-    );
+    const user = await User.findAuthById(decoded.id);
     
-    if (result.rows.length === 0) {
+    if (!user) {
       return next(new ApiError(401, 'User no longer exists'));
     }
     
+    if (user.suspended_at) {
+      return next(new ApiError(403, 'Your account has been suspended'));
+    }
+    
+    // The token carries the active role; it must still be one the user holds
+    if (!user.roles.includes(decoded.role)) {
+      return next(new ApiError(401, 'Your active role is no longer available. Please log in again'));
+    }
+    
     // Add user to request object
-    req.user = result.rows[0];
+    req.user = {
+      ...user,
+      role: decoded.role,
+      primaryRole: user.role,
+      sessionId: decoded.sid,
+      impersonator
+    };
+    
+    if (impersonator) {
+      auditImpersonatedRequest(req, res);
+    }
+    
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return next(new ApiError(401, 'Invalid token'));
+    next(toAuthError(error));
+  }
+};
+
+/**
+ * Middleware for two-factor enrollment routes. Accepts a normal access token,
+ * or the setup token handed out at login when a role requires 2FA and the
+ * user has not enrolled yet.
+ */
+exports.protectTwoFactorSetup = async (req, res, next) => {
+  if (!req.body || !req.body.setupToken) {
+    return exports.protect(req, res, next);
+  }
+  
+  try {
+    const decoded = verifyPurposeToken(req.body.setupToken, TOKEN_PURPOSES.TWO_FACTOR_SETUP);
+    
+    if (!decoded) {
+      return next(new ApiError(401, 'Invalid setup token'));
+    }
+    
+    const user = await User.findAuthById(decoded.id);
+    
+    if (!user) {
+      return next(new ApiError(401, 'User no longer exists'));
     }
-    if (error.name === 'TokenExpiredError') {
-      return next(new ApiError(401, 'Token expired'));
+    
+    if (user.suspended_at) {
+      return next(new ApiError(403, 'Your account has been suspended'));
     }
-    next(error);
+    
+    req.user = { ...user, primaryRole: user.role, viaSetupToken: true };
+    next();
+  } catch (error) {
+    next(toAuthError(error));
+  }
+};
+
+/**
+ * Middleware to block sensitive actions (password change, account deletion,
+ * 2FA changes, ...) while an admin is impersonating the user
+ */
+exports.forbidImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonator) {
+    return next(new ApiError(403, 'This action is not allowed while impersonating a user'));
   }
+  next();
 };
 
 /**
- * Middleware to authorize specific roles
+ * Middleware to authorize specific roles. Checks the active role carried
+ * in the access token, not every role the user holds.
  * @param {...String} roles - Roles to authorize
  */
 exports.authorize = (...roles) => {
@@ -57,4 +253,17 @@ exports.authorize = (...roles) => {
     }
     next();
   };
+};
+
+/**
+ * Middleware to require a verified email address for specific roles
+ * @param {...String} roles - Roles that must have verified their email
+ */
+exports.requireVerifiedEmail = (...roles) => {
+  return (req, res, next) => {
+    if (req.user && roles.includes(req.user.role) && !req.user.email_verified_at) {
+      return next(new ApiError(403, 'Please verify your email address to access this route'));
+    }
+    next();
+  };
 };
\ No newline at end of file
@@ -0,0 +1,185 @@
+const { query, pool } = require('../db/connection');
+const LoginAttempt = require('./loginAttempt.model');
+const logger = require('../utils/logger');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+
+/**
+ * Account lock model. Every lock and unlock is written to
+ * account_lock_events so lockouts can be audited.
+ */
+module.exports = class AccountLock {
+  static get MAX_FAILED_ATTEMPTS() {
+    return MAX_FAILED_ATTEMPTS;
+  }
+
+  static get LOCKOUT_MINUTES() {
+    return LOCKOUT_MINUTES;
+  }
+
+  /**
+   * Lock the account once its recent failed logins reach the limit.
+   * Call after the failure has been recorded as a login attempt.
+   * @param {Number} userId - User ID
+   * @param {String} email - Email used for the attempt
+   * @param {String} ipAddress - Client IP address
+   * @returns {Boolean} Whether this failure locked the account
+   */
+  static async recordFailure(userId, email, ipAddress) {
+    try {
+      const reached = await LoginAttempt.hasReachedLockout(
+        email, MAX_FAILED_ATTEMPTS, LOCKOUT_MINUTES, userId
+      );
+
+      if (!reached) {
+        return false;
+      }
+
+      await this.lock(userId, { reason: 'too_many_failed_logins', ipAddress });
+      return true;
+    } catch (error) {
+      logger.error('Error recording failed login', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lock an account
+   * @param {Number} userId - User ID
+   * @param {Object} details - Event details (reason, ipAddress, actorId, minutes)
+   */
+  static async lock(userId, details = {}) {
+    const { reason, ipAddress, actorId, minutes = LOCKOUT_MINUTES } = details;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE users
+         SET locked_until = NOW() + make_interval(mins => $2::INT)
+         WHERE id = $1
+         RETURNING locked_until`,
+        [userId, minutes]
+      );
+
+      await client.query(
+        `INSERT INTO account_lock_events (user_id, event, reason, actor_id, ip_address)
+         VALUES ($1, 'locked', $2, $3, $4)`,
+        [userId, reason, actorId || null, ipAddress || null]
+      );
+
+      await client.query('COMMIT');
+
+      logger.warn('Account locked', { userId, reason });
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error locking account', { error, userId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Unlock an account. Failures before the unlock no longer count
+   * towards a lockout.
+   * @param {Number} userId - User ID
+   * @param {Object} details - Event details (reason, ipAddress, actorId)
+   * @param {Object} client - Optional transaction client
+   * @returns {Boolean} Whether the user exists
+   */
+  static async unlock(userId, details = {}, client = null) {
+    const { reason, ipAddress, actorId } = details;
+    const ownClient = !client;
+    const executor = client || await pool.connect();
+
+    try {
+      if (ownClient) {
+        await executor.query('BEGIN');
+      }
+
+      const result = await executor.query(
+        `UPDATE users
+         SET locked_until = NULL
+         WHERE id = $1
+         RETURNING id`,
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        if (ownClient) {
+          await executor.query('ROLLBACK');
+        }
+        return false;
+      }
+
+      await executor.query(
+        `INSERT INTO account_lock_events (user_id, event, reason, actor_id, ip_address)
+         VALUES ($1, 'unlocked', $2, $3, $4)`,
+        [userId, reason, actorId || null, ipAddress || null]
+      );
+
+      if (ownClient) {
+        await executor.query('COMMIT');
+      }
+
+      logger.info('Account unlocked', { userId, reason, actorId });
+      return true;
+    } catch (error) {
+      if (ownClient) {
+        await executor.query('ROLLBACK');
+      }
+      logger.error('Error unlocking account', { error, userId });
+      throw error;
+    } finally {
+      if (ownClient) {
+        executor.release();
+      }
+    }
+  }
+
+  /**
+   * Get lock/unlock history for a user
+   * @param {Number} userId - User ID
+   * @param {Number} page - Page number
+   * @param {Number} limit - Items per page
+   */
+  static async findEventsByUser(userId, page = 1, limit = 20) {
+    try {
+      const offset = (page - 1) * limit;
+
+      const result = await query(
+        `SELECT ale.*, actor.email as actor_email
+         FROM account_lock_events ale
+         LEFT JOIN users actor ON ale.actor_id = actor.id
+         WHERE ale.user_id = $1
+         ORDER BY ale.created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      );
+
+      const countResult = await query(
+        'SELECT COUNT(*) FROM account_lock_events WHERE user_id = $1',
+        [userId]
+      );
+
+      const totalCount = parseInt(countResult.rows[0].count);
+
+      return {
+        events: result.rows,
+        pagination: {
+          total: totalCount,
+          page,
+          limit,
+          pages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding account lock events', { error, userId });
+      throw error;
+    }
+  }
+};
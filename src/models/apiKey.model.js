@@ -0,0 +1,122 @@
+const { query } = require('../db/connection');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+/**
+ * API key model for employer integrations. Keys belong to a company, act on
+ * behalf of the member who created them and are stored as SHA-256 hashes.
+ */
+module.exports = class ApiKey {
+  /**
+   * Scopes that can be granted to a key
+   */
+  static get SCOPES() {
+    return ['jobs:write', 'applications:read'];
+  }
+
+  /**
+   * Create a new API key
+   * @param {Object} keyData - Key data (employerId, createdBy, name, scopes, expiresInDays)
+   * @returns {Object} { apiKey, key } - Stored row and the raw key (shown once)
+   */
+  static async create(keyData) {
+    try {
+      const { employerId, createdBy, name, scopes, expiresInDays } = keyData;
+      const prefix = generateRandomToken(4);
+      const key = `uj_${prefix}_${generateRandomToken(24)}`;
+
+      const result = await query(
+        `INSERT INTO api_keys (
+          employer_id, created_by, name, key_prefix, key_hash, scopes, expires_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6,
+          CASE WHEN $7::INT IS NULL THEN NULL ELSE NOW() + make_interval(days => $7::INT) END
+        )
+        RETURNING id, employer_id, created_by, name, key_prefix, scopes, expires_at, created_at`,
+        [employerId, createdBy, name, prefix, hashToken(key), scopes, expiresInDays || null]
+      );
+
+      return { apiKey: result.rows[0], key };
+    } catch (error) {
+      logger.error('Error creating API key', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a live key and record its use. The key stops working if it is
+   * revoked, expired, or its creator is no longer a member of the company,
+   * is suspended or has scheduled their account for deletion.
+   * @param {String} key - Raw API key
+   * @param {String} ipAddress - Client IP address
+   * @returns {Object|null} Key with the creator's id, email, role and email_verified_at
+   */
+  static async authenticate(key, ipAddress) {
+    try {
+      const result = await query(
+        `UPDATE api_keys k
+         SET last_used_at = NOW(), last_used_ip = $2
+         FROM users u, company_members cm
+         WHERE k.key_hash = $1
+         AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > NOW())
+         AND u.id = k.created_by AND u.deletion_scheduled_for IS NULL AND u.suspended_at IS NULL
+         AND cm.employer_id = k.employer_id AND cm.user_id = k.created_by
+         RETURNING k.id, k.employer_id, k.scopes,
+         u.id as user_id, u.email, u.role, u.email_verified_at`,
+        [hashToken(key), ipAddress]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error authenticating API key', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * List keys for a company (never includes the key itself)
+   * @param {Number} employerId - Employer profile ID
+   */
+  static async findByEmployer(employerId) {
+    try {
+      const result = await query(
+        `SELECT k.id, k.name, k.key_prefix, k.scopes, k.last_used_at, k.last_used_ip,
+         k.expires_at, k.revoked_at, k.created_at,
+         u.email as created_by_email
+         FROM api_keys k
+         LEFT JOIN users u ON k.created_by = u.id
+         WHERE k.employer_id = $1
+         ORDER BY k.created_at DESC`,
+        [employerId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding API keys', { error, employerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a key
+   * @param {Number} employerId - Employer profile ID
+   * @param {Number} keyId - API key ID
+   */
+  static async revoke(employerId, keyId) {
+    try {
+      const result = await query(
+        `UPDATE api_keys
+         SET revoked_at = NOW()
+         WHERE id = $1 AND employer_id = $2 AND revoked_at IS NULL
+         RETURNING id`,
+        [keyId, employerId]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error revoking API key', { error, employerId, keyId });
+      throw error;
+    }
+  }
+};
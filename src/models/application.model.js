@@ -1,4 +1,6 @@
-const { query } = require('../db/connection');
+const { query, pool } = require('../db/connection');
+const Job = require('./job.model');
+const Review = require('./review.model');
 const logger = require('../utils/logger');
 
 /**
@@ -7,20 +9,20 @@ const logger = require('../utils/logger');
 module.exports = class JobApplication {
   /**
    * Create a new job application
-   * @param {Object} applicationData - Application data
+   * @param {Object} applicationData - Application data (coverLetter, shiftId for jobs with shifts)
    * @param {Number} jobSeekerId - Job seeker profile ID
    * @param {Number} jobId - Job ID
    */
   static async create(applicationData, jobSeekerId, jobId) {
     try {
-      const { coverLetter } = applicationData;
+      const { coverLetter, shiftId } = applicationData;
 
       const result = await query(
         `INSERT INTO job_applications (
-          job_id, job_seeker_id, cover_letter, status
-        ) VALUES ($1, $2, $3, 'pending')
+          job_id, job_seeker_id, cover_letter, status, shift_id
+        ) VALUES ($1, $2, $3, 'pending', $4)
         RETURNING *`,
-        [jobId, jobSeekerId, coverLetter]
+        [jobId, jobSeekerId, coverLetter, shiftId || null]
       );
 
       return result.rows[0];
@@ -93,15 +95,223 @@ module.exports = class JobApplication {
   }
 
   /**
-   * Check if a job seeker has already applied to a job
+   * Change an application's status and keep the job's filled status in step,
+   * in one transaction: accepting the last open position fills the job and
+   * rejects the other pending applications; withdrawing or rejecting an
+   * accepted application reopens a filled job. For jobs with shifts the same
+   * happens per shift, and an application without a shift (made before the
+   * job had shifts) can no longer be accepted.
+   * @param {Number} id - Application ID
+   * @param {String} status - New status
+   * @returns {Object} { outcome, application, job, shifts, rejected, reopened }
+   * where outcome is updated, filled (every position of the job or shift is
+   * taken) or needs_shift
+   */
+  static async changeStatus(id, status) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the job so concurrent acceptances cannot overfill it
+      const jobResult = await client.query(
+        `SELECT j.id, j.status, j.positions, ja.status AS application_status,
+         ja.shift_id, s.status AS shift_status, s.positions AS shift_positions,
+         EXISTS (SELECT 1 FROM job_shifts WHERE job_id = j.id) AS has_shifts,
+         (
+           SELECT COUNT(*)
+           FROM job_applications
+           WHERE job_id = j.id AND status = 'accepted'
+         )::INT AS accepted_count,
+         (
+           SELECT COUNT(*)
+           FROM job_applications
+           WHERE shift_id = ja.shift_id AND status = 'accepted'
+         )::INT AS shift_accepted_count
+         FROM jobs j
+         JOIN job_applications ja ON ja.job_id = j.id
+         LEFT JOIN job_shifts s ON ja.shift_id = s.id
+         WHERE ja.id = $1
+         FOR UPDATE OF j`,
+        [id]
+      );
+
+      const job = jobResult.rows[0];
+
+      // Count the accepted applications rather than trusting the status, which
+      // is only kept in step while the job is active
+      const isFull = job.shift_id
+        ? job.shift_accepted_count >= job.shift_positions
+        : job.accepted_count >= job.positions;
+
+      if (
+        status === 'accepted' &&
+        job.application_status !== 'accepted' &&
+        (isFull || job.status === 'filled' || job.shift_status === 'filled')
+      ) {
+        await client.query('ROLLBACK');
+        return { outcome: 'filled' };
+      }
+
+      // Accepted applications without a shift would not count towards any shift
+      if (status === 'accepted' && job.has_shifts && !job.shift_id) {
+        await client.query('ROLLBACK');
+        return { outcome: 'needs_shift' };
+      }
+
+      const result = await client.query(
+        `UPDATE job_applications
+         SET status = $1, updated_at = NOW()
+         WHERE id = $2
+         RETURNING *`,
+        [status, id]
+      );
+
+      const synced = await Job.syncFilledStatus(job.id, client);
+
+      await client.query('COMMIT');
+      return { outcome: 'updated', application: result.rows[0], ...synced, job: Job.toPublic(synced.job) };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error changing application status', { error, id, status });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Apply for an instant-book job. Applicants who meet the job's criteria
+   * (minimum rating, verified phone, required skills) are accepted on the
+   * spot until every position is filled; the others wait for review. The job
+   * row is locked, so concurrent applicants are booked one at a time and
+   * nobody is booked once the last position (of the job, or of the chosen
+   * shift) has gone.
+   * @param {Object} applicationData - Application data (coverLetter, shiftId)
    * @param {Number} jobSeekerId - Job seeker profile ID
    * @param {Number} jobId - Job ID
+   * @returns {Object} { outcome, application, job, rejected, unmetCriteria } where
+   * outcome is booked, pending, filled, closed (not active) or already_applied
    */
-  static async hasApplied(jobSeekerId, jobId) {
+  static async instantBook(applicationData, jobSeekerId, jobId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const jobResult = await client.query(
+        'SELECT * FROM jobs WHERE id = $1 FOR UPDATE',
+        [jobId]
+      );
+
+      const lockedJob = jobResult.rows[0];
+
+      if (!lockedJob || lockedJob.status !== 'active') {
+        await client.query('ROLLBACK');
+        return { outcome: lockedJob && lockedJob.status === 'filled' ? 'filled' : 'closed' };
+      }
+
+      if (applicationData.shiftId) {
+        const shiftResult = await client.query(
+          'SELECT status FROM job_shifts WHERE id = $1 AND job_id = $2',
+          [applicationData.shiftId, jobId]
+        );
+
+        if (shiftResult.rows.length === 0 || shiftResult.rows[0].status === 'filled') {
+          await client.query('ROLLBACK');
+          return { outcome: 'filled' };
+        }
+      }
+
+      const appliedResult = await client.query(
+        `SELECT 1 FROM job_applications
+         WHERE job_seeker_id = $1 AND job_id = $2
+         AND ($3::INT IS NULL OR shift_id = $3::INT)`,
+        [jobSeekerId, jobId, applicationData.shiftId || null]
+      );
+
+      if (appliedResult.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return { outcome: 'already_applied' };
+      }
+
+      const seekerResult = await client.query(
+        `SELECT u.phone_verified_at,
+         ${Review.averageRatingSql('jsp.user_id')}::FLOAT AS average_rating,
+         ARRAY(
+           SELECT required FROM UNNEST($2::TEXT[]) required
+           WHERE NOT EXISTS (
+             SELECT 1 FROM UNNEST(COALESCE(jsp.skills, '{}')) skill
+             WHERE LOWER(skill) = LOWER(required)
+           )
+         ) AS missing_skills
+         FROM job_seeker_profiles jsp
+         JOIN users u ON jsp.user_id = u.id
+         WHERE jsp.id = $1`,
+        [jobSeekerId, lockedJob.required_skills]
+      );
+
+      const seeker = seekerResult.rows[0];
+      const unmetCriteria = [];
+
+      if (lockedJob.instant_book_min_rating !== null
+        && (seeker.average_rating === null
+          || seeker.average_rating < parseFloat(lockedJob.instant_book_min_rating))) {
+        unmetCriteria.push(`an average rating of at least ${lockedJob.instant_book_min_rating}`);
+      }
+
+      if (lockedJob.instant_book_verified_phone && !seeker.phone_verified_at) {
+        unmetCriteria.push('a verified phone number');
+      }
+
+      if (seeker.missing_skills.length > 0) {
+        unmetCriteria.push(`skills: ${seeker.missing_skills.join(', ')}`);
+      }
+
+      const status = unmetCriteria.length === 0 ? 'accepted' : 'pending';
+
+      const result = await client.query(
+        `INSERT INTO job_applications (
+          job_id, job_seeker_id, cover_letter, status, shift_id
+        ) VALUES ($1, $2, $3, $4, $5)
+        RETURNING *`,
+        [jobId, jobSeekerId, applicationData.coverLetter, status, applicationData.shiftId || null]
+      );
+
+      // Booking the last position fills the job and closes pending applications
+      const synced = status === 'accepted'
+        ? await Job.syncFilledStatus(jobId, client)
+        : { job: lockedJob, rejected: [] };
+
+      await client.query('COMMIT');
+      return {
+        outcome: status === 'accepted' ? 'booked' : 'pending',
+        application: result.rows[0],
+        ...synced,
+        unmetCriteria
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error instant booking job', { error, jobId, jobSeekerId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check if a job seeker has already applied to a job (or to one of its shifts)
+   * @param {Number} jobSeekerId - Job seeker profile ID
+   * @param {Number} jobId - Job ID
+   * @param {Number} shiftId - Optional shift ID
+   */
+  static async hasApplied(jobSeekerId, jobId, shiftId = null) {
     try {
       const result = await query(
-        'SELECT * FROM job_applications WHERE job_seeker_id = $1 AND job_id = $2',
-        [jobSeekerId, jobId]
+        `SELECT * FROM job_applications
+         WHERE job_seeker_id = $1 AND job_id = $2
+         AND ($3::INT IS NULL OR shift_id = $3::INT)`,
+        [jobSeekerId, jobId, shiftId]
       );
       
       return result.rows.length > 0;
@@ -111,6 +321,27 @@ module.exports = class JobApplication {
     }
   }
 
+  /**
+   * Get the user IDs of job seekers with a pending application for a job
+   * @param {Number} jobId - Job ID
+   */
+  static async findPendingApplicantUserIds(jobId) {
+    try {
+      const result = await query(
+        `SELECT jsp.user_id
+         FROM job_applications ja
+         JOIN job_seeker_profiles jsp ON ja.job_seeker_id = jsp.id
+         WHERE ja.job_id = $1 AND ja.status = 'pending'`,
+        [jobId]
+      );
+      
+      return result.rows.map(row => row.user_id);
+    } catch (error) {
+      logger.error('Error finding pending applicants', { error, jobId });
+      throw error;
+    }
+  }
+
   /**
    * Get applications for a specific job
    * @param {Number} jobId - Job ID
@@ -127,10 +358,12 @@ module.exports = class JobApplication {
       let queryText = `
         SELECT ja.*,
         u.first_name, u.last_name, u.profile_picture,
-        jsp.skills, jsp.experience_years, jsp.education
+        jsp.skills, jsp.experience_years, jsp.education,
+        s.label AS shift_label, s.starts_at AS shift_starts_at, s.ends_at AS shift_ends_at
         FROM job_applications ja
         JOIN job_seeker_profiles jsp ON ja.job_seeker_id = jsp.id
         JOIN users u ON jsp.user_id = u.id
+        LEFT JOIN job_shifts s ON ja.shift_id = s.id
         WHERE ja.job_id = $1
       `;
       
@@ -139,11 +372,18 @@ module.exports = class JobApplication {
       
       // Add status filter if provided
       if (filters.status) {
-        queryText += ` AND ja.status = ${paramCounter}`;
+        queryText += ` AND ja.status = $${paramCounter}`;
         queryParams.push(filters.status);
         paramCounter++;
       }
       
+      // Add shift filter if provided
+      if (filters.shiftId) {
+        queryText += ` AND ja.shift_id = $${paramCounter}`;
+        queryParams.push(filters.shiftId);
+        paramCounter++;
+      }
+      
       // Add sorting
       const sortField = filters.sortBy || 'created_at';
       const sortOrder = filters.sortOrder === 'asc' ? 'ASC' : 'DESC';
@@ -151,7 +391,9 @@ module.exports = class JobApplication {
       queryText += ` ORDER BY ja.${sortField} ${sortOrder}`;
       
       // Add pagination
-      queryText += ` LIMIT ${paramCounter} OFFSET ${paramCounter + 1}`;
+      const countParams = [...queryParams];
+      
+      queryText += ` LIMIT $${paramCounter} OFFSET $${paramCounter + 1}`;
       queryParams.push(limit, offset);
       
       // Execute query
@@ -164,12 +406,18 @@ module.exports = class JobApplication {
         WHERE job_id = $1
       `;
       
-      // Add status filter to count query if provided
+      // Add the same filters to the count query
+      let countParamCounter = 2;
+      
       if (filters.status) {
-        countQueryText += ` AND status = $2`;
+        countQueryText += ` AND status = $${countParamCounter}`;
+        countParamCounter++;
+      }
+      
+      if (filters.shiftId) {
+        countQueryText += ` AND shift_id = $${countParamCounter}`;
       }
       
-      const countParams = filters.status ? [jobId, filters.status] : [jobId];
       const countResult = await query(countQueryText, countParams);
       const totalCount = parseInt(countResult.rows[0].count);
       
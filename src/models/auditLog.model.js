@@ -0,0 +1,121 @@
+const { query } = require('../db/connection');
+const logger = require('../utils/logger');
+
+/**
+ * Admin audit log. Rows are append-only: the database rejects updates and
+ * deletes, and actor/target are plain IDs so deleting users never rewrites
+ * history.
+ */
+module.exports = class AuditLog {
+  /**
+   * Record an admin action
+   * @param {Object} entry - Entry data
+   * @param {Object} entry.actor - Acting user (id, email)
+   * @param {String} entry.action - Action name (e.g. user.suspend)
+   * @param {String} entry.targetType - Type of the affected record (e.g. user)
+   * @param {Number} entry.targetId - ID of the affected record
+   * @param {Object} entry.details - Additional details (reason, old and new values, ...)
+   * @param {String} entry.ipAddress - Client IP address
+   * @param {Object} client - Optional transaction client, to commit the entry with the action
+   */
+  static async record(entry, client = null) {
+    try {
+      const { actor, action, targetType, targetId, details, ipAddress } = entry;
+      const executor = client || { query };
+
+      const result = await executor.query(
+        `INSERT INTO admin_audit_log (
+          actor_id, actor_email, action, target_type, target_id, details, ip_address
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *`,
+        [
+          actor.id,
+          actor.email,
+          action,
+          targetType || null,
+          targetId || null,
+          details ? JSON.stringify(details) : null,
+          ipAddress || null
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error recording audit log entry', { error, action: entry.action });
+      throw error;
+    }
+  }
+
+  /**
+   * Find audit log entries
+   * @param {Object} filters - Filters (actorId, action, targetType, targetId)
+   * @param {Number} page - Page number
+   * @param {Number} limit - Items per page
+   */
+  static async find(filters = {}, page = 1, limit = 20) {
+    try {
+      const offset = (page - 1) * limit;
+
+      // Build WHERE clauses
+      const whereConditions = [];
+      const queryParams = [];
+      let paramCounter = 1;
+
+      if (filters.actorId) {
+        whereConditions.push(`actor_id = $${paramCounter}`);
+        queryParams.push(filters.actorId);
+        paramCounter++;
+      }
+
+      if (filters.action) {
+        whereConditions.push(`action = $${paramCounter}`);
+        queryParams.push(filters.action);
+        paramCounter++;
+      }
+
+      if (filters.targetType) {
+        whereConditions.push(`target_type = $${paramCounter}`);
+        queryParams.push(filters.targetType);
+        paramCounter++;
+      }
+
+      if (filters.targetId) {
+        whereConditions.push(`target_id = $${paramCounter}`);
+        queryParams.push(filters.targetId);
+        paramCounter++;
+      }
+
+      const whereClause = whereConditions.length > 0
+        ? `WHERE ${whereConditions.join(' AND ')}`
+        : '';
+
+      const result = await query(
+        `SELECT * FROM admin_audit_log
+         ${whereClause}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${paramCounter} OFFSET $${paramCounter + 1}`,
+        [...queryParams, limit, offset]
+      );
+
+      const countResult = await query(
+        `SELECT COUNT(*) FROM admin_audit_log ${whereClause}`,
+        queryParams
+      );
+
+      const totalCount = parseInt(countResult.rows[0].count);
+
+      return {
+        entries: result.rows,
+        pagination: {
+          total: totalCount,
+          page,
+          limit,
+          pages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding audit log entries', { error });
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,184 @@
+const { query, pool } = require('../db/connection');
+const logger = require('../utils/logger');
+
+/**
+ * Availability model (weekly recurring hours plus date exceptions, in the job
+ * seeker's timezone). Matching against jobs is done in SQL by job_seeker_available().
+ */
+module.exports = class Availability {
+  /**
+   * Check that a timezone is a known IANA name (e.g. Europe/Berlin)
+   * @param {String} timezone - Timezone name
+   */
+  static isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get a job seeker's weekly schedule and exceptions
+   * @param {Number} jobSeekerId - Job seeker profile ID
+   * @param {String} from - First exception date (YYYY-MM-DD, default today)
+   * @param {String} to - Last exception date (optional)
+   * @returns {Object} { timezone, weekly, exceptions }
+   */
+  static async findByJobSeeker(jobSeekerId, from = null, to = null) {
+    try {
+      const profileResult = await query(
+        'SELECT timezone FROM job_seeker_profiles WHERE id = $1',
+        [jobSeekerId]
+      );
+
+      const slotsResult = await query(
+        `SELECT id, day_of_week, start_time, end_time
+         FROM availability_slots
+         WHERE job_seeker_id = $1
+         ORDER BY day_of_week ASC, start_time ASC`,
+        [jobSeekerId]
+      );
+
+      // Exceptions default to those from today on, in the seeker's timezone
+      const exceptionsResult = await query(
+        `SELECT ae.id, TO_CHAR(ae.on_date, 'YYYY-MM-DD') AS date, ae.available,
+         ae.start_time, ae.end_time, ae.note
+         FROM availability_exceptions ae
+         JOIN job_seeker_profiles jsp ON ae.job_seeker_id = jsp.id
+         WHERE ae.job_seeker_id = $1
+         AND ae.on_date >= COALESCE($2::DATE, (NOW() AT TIME ZONE jsp.timezone)::DATE)
+         AND ($3::DATE IS NULL OR ae.on_date <= $3::DATE)
+         ORDER BY ae.on_date ASC, ae.start_time ASC NULLS FIRST`,
+        [jobSeekerId, from, to]
+      );
+
+      return {
+        timezone: profileResult.rows[0].timezone,
+        weekly: slotsResult.rows,
+        exceptions: exceptionsResult.rows
+      };
+    } catch (error) {
+      logger.error('Error finding availability', { error, jobSeekerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a job seeker's weekly schedule and/or timezone
+   * @param {Number} jobSeekerId - Job seeker profile ID
+   * @param {Array|undefined} slots - [{ dayOfWeek, startTime, endTime }], left alone if undefined
+   * @param {String|undefined} timezone - IANA timezone, left alone if undefined
+   */
+  static async replaceWeekly(jobSeekerId, slots, timezone) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (timezone !== undefined) {
+        await client.query(
+          'UPDATE job_seeker_profiles SET timezone = $2, updated_at = NOW() WHERE id = $1',
+          [jobSeekerId, timezone]
+        );
+      }
+
+      if (slots !== undefined) {
+        await client.query(
+          'DELETE FROM availability_slots WHERE job_seeker_id = $1',
+          [jobSeekerId]
+        );
+
+        for (const slot of slots) {
+          await client.query(
+            `INSERT INTO availability_slots (job_seeker_id, day_of_week, start_time, end_time)
+             VALUES ($1, $2, $3, $4)`,
+            [jobSeekerId, slot.dayOfWeek, slot.startTime, slot.endTime]
+          );
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error replacing weekly availability', { error, jobSeekerId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Add a date exception
+   * @param {Number} jobSeekerId - Job seeker profile ID
+   * @param {Object} data - { date, available, startTime, endTime, note }
+   */
+  static async createException(jobSeekerId, data) {
+    try {
+      const { date, available, startTime, endTime, note } = data;
+
+      const result = await query(
+        `INSERT INTO availability_exceptions
+         (job_seeker_id, on_date, available, start_time, end_time, note)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, TO_CHAR(on_date, 'YYYY-MM-DD') AS date, available,
+         start_time, end_time, note`,
+        [jobSeekerId, date, available, startTime || null, endTime || null, note || null]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating availability exception', { error, jobSeekerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a date exception
+   * @param {Number} id - Exception ID
+   * @param {Number} jobSeekerId - Job seeker profile ID (owner)
+   * @param {Object} data - { date, available, startTime, endTime, note }
+   * @returns {Object|null} Updated exception, or null if not found
+   */
+  static async updateException(id, jobSeekerId, data) {
+    try {
+      const { date, available, startTime, endTime, note } = data;
+
+      const result = await query(
+        `UPDATE availability_exceptions
+         SET on_date = $3, available = $4, start_time = $5, end_time = $6,
+         note = $7, updated_at = NOW()
+         WHERE id = $1 AND job_seeker_id = $2
+         RETURNING id, TO_CHAR(on_date, 'YYYY-MM-DD') AS date, available,
+         start_time, end_time, note`,
+        [id, jobSeekerId, date, available, startTime || null, endTime || null, note || null]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating availability exception', { error, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a date exception
+   * @param {Number} id - Exception ID
+   * @param {Number} jobSeekerId - Job seeker profile ID (owner)
+   * @returns {Boolean} Whether an exception was deleted
+   */
+  static async deleteException(id, jobSeekerId) {
+    try {
+      const result = await query(
+        'DELETE FROM availability_exceptions WHERE id = $1 AND job_seeker_id = $2',
+        [id, jobSeekerId]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting availability exception', { error, id });
+      throw error;
+    }
+  }
+};
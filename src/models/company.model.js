@@ -0,0 +1,418 @@
+const { query, pool } = require('../db/connection');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+/**
+ * Whether a user is the only owner of a company. Locks the company's owner
+ * rows until the transaction ends, so a concurrent demotion or removal
+ * waits and then sees the result of this one.
+ * @param {Number} employerId - Employer profile ID
+ * @param {Number} userId - User ID
+ * @param {Object} client - Transaction client
+ */
+const isLastOwner = async (employerId, userId, client) => {
+  const result = await client.query(
+    `SELECT user_id FROM company_members
+     WHERE employer_id = $1 AND role = 'owner'
+     FOR UPDATE`,
+    [employerId]
+  );
+
+  const ownerIds = result.rows.map(row => row.user_id);
+  return ownerIds.length <= 1 && ownerIds.includes(parseInt(userId));
+};
+
+/**
+ * Company model encapsulating team membership for employer profiles.
+ * An employer profile is the company; users reach it through
+ * company_members with an owner, manager or viewer role.
+ */
+module.exports = class Company {
+  /**
+   * Roles allowed to post and edit jobs and decide on applications
+   */
+  static get MANAGE_ROLES() {
+    return ['owner', 'manager'];
+  }
+
+  /**
+   * Every member role (read access to jobs and applications)
+   */
+  static get ALL_ROLES() {
+    return ['owner', 'manager', 'viewer'];
+  }
+
+  /**
+   * Add a user to a company
+   * @param {Number} employerId - Employer profile ID
+   * @param {Number} userId - User ID
+   * @param {String} role - Member role
+   * @param {Number} invitedBy - Inviting user ID
+   * @param {Object} client - Optional transaction client
+   * @returns {Object|null} New membership, or null if the user is already a
+   * member (roles only change through updateMemberRole)
+   */
+  static async addMember(employerId, userId, role, invitedBy = null, client = null) {
+    try {
+      const executor = client || { query };
+
+      const result = await executor.query(
+        `INSERT INTO company_members (employer_id, user_id, role, invited_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (employer_id, user_id) DO NOTHING
+         RETURNING *`,
+        [employerId, userId, role, invitedBy]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error adding company member', { error, employerId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the company a user is acting for
+   * @param {Number} userId - User ID
+   * @param {Number} employerId - Requested company (defaults to the user's own, then oldest membership)
+   * @returns {Object|null} Membership with employer_id, role and company_name
+   */
+  static async resolveForUser(userId, employerId = null) {
+    try {
+      const result = await query(
+        `SELECT cm.employer_id, cm.role, ep.company_name
+         FROM company_members cm
+         JOIN employer_profiles ep ON cm.employer_id = ep.id
+         WHERE cm.user_id = $1 AND ($2::INT IS NULL OR cm.employer_id = $2::INT)
+         ORDER BY (cm.role = 'owner') DESC, cm.created_at ASC
+         LIMIT 1`,
+        [userId, employerId || null]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error resolving company for user', { error, userId, employerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's member role for the company that owns a job
+   * @param {Number} userId - User ID
+   * @param {Number} jobId - Job ID
+   * @param {Number} employerId - Optional company the job must belong to
+   * @returns {String|null} Member role, or null if the user is not a member
+   */
+  static async getRoleForJob(userId, jobId, employerId = null) {
+    try {
+      const result = await query(
+        `SELECT cm.role
+         FROM jobs j
+         JOIN company_members cm ON cm.employer_id = j.employer_id
+         WHERE j.id = $1 AND cm.user_id = $2
+         AND ($3::INT IS NULL OR j.employer_id = $3::INT)`,
+        [jobId, userId, employerId]
+      );
+
+      return result.rows.length > 0 ? result.rows[0].role : null;
+    } catch (error) {
+      logger.error('Error getting company role for job', { error, userId, jobId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's member role in a company
+   * @param {Number} employerId - Employer profile ID
+   * @param {Number} userId - User ID
+   */
+  static async getRole(employerId, userId) {
+    try {
+      const result = await query(
+        'SELECT role FROM company_members WHERE employer_id = $1 AND user_id = $2',
+        [employerId, userId]
+      );
+
+      return result.rows.length > 0 ? result.rows[0].role : null;
+    } catch (error) {
+      logger.error('Error getting company role', { error, employerId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether the user with an email address is a member of a company
+   * @param {Number} employerId - Employer profile ID
+   * @param {String} email - Email address
+   */
+  static async hasMemberWithEmail(employerId, email) {
+    try {
+      const result = await query(
+        `SELECT 1
+         FROM company_members cm
+         JOIN users u ON cm.user_id = u.id
+         WHERE cm.employer_id = $1 AND LOWER(u.email) = $2`,
+        [employerId, email.toLowerCase()]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking company member email', { error, employerId });
+      throw error;
+    }
+  }
+
+  /**
+   * List companies a user belongs to
+   * @param {Number} userId - User ID
+   */
+  static async findByUser(userId) {
+    try {
+      const result = await query(
+        `SELECT ep.id, ep.company_name, ep.company_logo, ep.industry, cm.role, cm.created_at as joined_at
+         FROM company_members cm
+         JOIN employer_profiles ep ON cm.employer_id = ep.id
+         WHERE cm.user_id = $1
+         ORDER BY (cm.role = 'owner') DESC, cm.created_at ASC`,
+        [userId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding companies by user', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * List members of a company
+   * @param {Number} employerId - Employer profile ID
+   */
+  static async findMembers(employerId) {
+    try {
+      const result = await query(
+        `SELECT cm.user_id, cm.role, cm.created_at as joined_at,
+         u.email, u.first_name, u.last_name, u.profile_picture
+         FROM company_members cm
+         JOIN users u ON cm.user_id = u.id
+         WHERE cm.employer_id = $1
+         ORDER BY cm.created_at ASC`,
+        [employerId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding company members', { error, employerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Change a member's role. The company's owners are locked first so that
+   * concurrent demotions cannot leave it without an owner.
+   * @param {Number} employerId - Employer profile ID
+   * @param {Number} userId - Member user ID
+   * @param {String} role - New role
+   * @returns {Object} { outcome: 'updated', member } or { outcome: 'not_found' | 'last_owner' }
+   */
+  static async updateMemberRole(employerId, userId, role) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (role !== 'owner' && await isLastOwner(employerId, userId, client)) {
+        await client.query('ROLLBACK');
+        return { outcome: 'last_owner' };
+      }
+
+      const result = await client.query(
+        `UPDATE company_members
+         SET role = $3
+         WHERE employer_id = $1 AND user_id = $2
+         RETURNING *`,
+        [employerId, userId, role]
+      );
+
+      await client.query('COMMIT');
+
+      if (result.rows.length === 0) {
+        return { outcome: 'not_found' };
+      }
+
+      return { outcome: 'updated', member: result.rows[0] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error updating company member role', { error, employerId, userId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Remove a member from a company, unless they are its last owner
+   * @param {Number} employerId - Employer profile ID
+   * @param {Number} userId - Member user ID
+   * @returns {Object} { outcome: 'removed' | 'not_found' | 'last_owner' }
+   */
+  static async removeMember(employerId, userId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (await isLastOwner(employerId, userId, client)) {
+        await client.query('ROLLBACK');
+        return { outcome: 'last_owner' };
+      }
+
+      const result = await client.query(
+        'DELETE FROM company_members WHERE employer_id = $1 AND user_id = $2 RETURNING id',
+        [employerId, userId]
+      );
+
+      await client.query('COMMIT');
+
+      return { outcome: result.rows.length > 0 ? 'removed' : 'not_found' };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error removing company member', { error, employerId, userId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create an invitation to join a company
+   * @param {Number} employerId - Employer profile ID
+   * @param {String} email - Invitee email
+   * @param {String} role - Role granted on acceptance
+   * @param {Number} invitedBy - Inviting user ID
+   * @returns {Object} { invitation, token }
+   */
+  static async createInvitation(employerId, email, role, invitedBy) {
+    try {
+      const token = generateRandomToken(32);
+      const ttlDays = parseInt(process.env.COMPANY_INVITE_EXPIRES_DAYS) || 7;
+
+      const result = await query(
+        `INSERT INTO company_invitations (
+          employer_id, email, role, token_hash, invited_by, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6::INT))
+        RETURNING id, employer_id, email, role, expires_at, created_at`,
+        [employerId, email.toLowerCase(), role, hashToken(token), invitedBy, ttlDays]
+      );
+
+      return { invitation: result.rows[0], token };
+    } catch (error) {
+      logger.error('Error creating company invitation', { error, employerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Accept an invitation for the given user
+   * @param {String} token - Raw invitation token
+   * @param {Object} user - Accepting user (id, email)
+   * @param {Object} client - Optional transaction client (used during registration)
+   * @returns {Object} { outcome, membership } where outcome is accepted, invalid,
+   * or already_member (the invitation is left unused and the role unchanged)
+   */
+  static async acceptInvitation(token, user, client = null) {
+    const ownClient = !client;
+    const executor = client || await pool.connect();
+
+    try {
+      if (ownClient) {
+        await executor.query('BEGIN');
+      }
+
+      const result = await executor.query(
+        `UPDATE company_invitations
+         SET accepted_at = NOW(), accepted_by = $3
+         WHERE token_hash = $1 AND email = $2
+         AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+         RETURNING employer_id, role, invited_by`,
+        [hashToken(token), user.email.toLowerCase(), user.id]
+      );
+
+      if (result.rows.length === 0) {
+        if (ownClient) {
+          await executor.query('ROLLBACK');
+        }
+        return { outcome: 'invalid' };
+      }
+
+      const { employer_id: employerId, role, invited_by: invitedBy } = result.rows[0];
+      const membership = await this.addMember(employerId, user.id, role, invitedBy, executor);
+
+      if (!membership) {
+        if (ownClient) {
+          await executor.query('ROLLBACK');
+        }
+        return { outcome: 'already_member' };
+      }
+
+      if (ownClient) {
+        await executor.query('COMMIT');
+      }
+
+      return { outcome: 'accepted', membership };
+    } catch (error) {
+      if (ownClient) {
+        await executor.query('ROLLBACK');
+      }
+      logger.error('Error accepting company invitation', { error, userId: user.id });
+      throw error;
+    } finally {
+      if (ownClient) {
+        executor.release();
+      }
+    }
+  }
+
+  /**
+   * List pending invitations for a company
+   * @param {Number} employerId - Employer profile ID
+   */
+  static async findPendingInvitations(employerId) {
+    try {
+      const result = await query(
+        `SELECT id, email, role, invited_by, expires_at, created_at
+         FROM company_invitations
+         WHERE employer_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at DESC`,
+        [employerId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding company invitations', { error, employerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   * @param {Number} employerId - Employer profile ID
+   * @param {Number} invitationId - Invitation ID
+   */
+  static async revokeInvitation(employerId, invitationId) {
+    try {
+      const result = await query(
+        `UPDATE company_invitations
+         SET revoked_at = NOW()
+         WHERE id = $1 AND employer_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+         RETURNING id`,
+        [invitationId, employerId]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error revoking company invitation', { error, employerId, invitationId });
+      throw error;
+    }
+  }
+};
@@ -1,10 +1,368 @@
-const { query } = require('../db/connection');
+const { query, pool } = require('../db/connection');
+const Notification = require('./notification.model');
+const Review = require('./review.model');
+const { toTsQuery } = require('../utils/search');
+const { distanceSql, boundingBox } = require('../utils/geo');
+const { toUtc } = require('../utils/time');
+const {
+  PRESENCE_JOIN,
+  ON_DUTY_SQL,
+  LATITUDE_SQL,
+  LONGITUDE_SQL,
+  withinBoxSql
+} = require('../utils/presence');
 const logger = require('../utils/logger');
 
+// Allowed status changes: status => statuses it may move to
+const STATUS_TRANSITIONS = {
+  draft: ['active'],
+  active: ['filled', 'expired', 'draft'],
+  filled: ['active'],
+  expired: ['active']
+};
+
+// How long an active job stays listed, by urgency (flexible jobs only expire at end_date)
+const URGENCY_TTL_HOURS = {
+  immediate: parseInt(process.env.JOB_TTL_IMMEDIATE_HOURS) || 6,
+  today: parseInt(process.env.JOB_TTL_TODAY_HOURS) || 24,
+  this_week: parseInt(process.env.JOB_TTL_THIS_WEEK_HOURS) || 168
+};
+
+// Columns jobs can be sorted by (sortBy is user input, so it is never interpolated as-is)
+const SORT_FIELDS = ['created_at', 'updated_at', 'pay_amount', 'start_date', 'end_date', 'title'];
+
+// Pay ranges for the payBucket facet (min inclusive, max exclusive)
+const PAY_BUCKETS = [
+  { value: 'under_15', min: null, max: 15 },
+  { value: '15_to_25', min: 15, max: 25 },
+  { value: '25_to_50', min: 25, max: 50 },
+  { value: '50_to_100', min: 50, max: 100 },
+  { value: '100_plus', min: 100, max: null }
+];
+
+const PAY_BUCKET_SQL = `CASE
+  ${PAY_BUCKETS.filter(bucket => bucket.max !== null)
+    .map(bucket => `WHEN j.pay_amount < ${bucket.max} THEN '${bucket.value}'`)
+    .join('\n  ')}
+  WHEN j.pay_amount IS NOT NULL THEN '${PAY_BUCKETS[PAY_BUCKETS.length - 1].value}'
+END`;
+
+// Facets: the grouped expression and the filters left out when counting it
+const FACETS = {
+  category: { column: 'j.category', excludes: ['category'] },
+  urgency: { column: 'j.urgency', excludes: ['urgency'] },
+  payType: { column: 'j.pay_type', excludes: ['payType'] },
+  payBucket: { column: PAY_BUCKET_SQL, excludes: ['minPay', 'maxPay'] }
+};
+
+// Maximum points each part of a candidate score can contribute (100 in total)
+const CANDIDATE_WEIGHTS = {
+  skills: 40,
+  distance: 25,
+  rating: 20,
+  reliability: 15
+};
+
+// Maximum points each part of a recommendation score can contribute (100 in total)
+const RECOMMENDATION_WEIGHTS = {
+  skills: 40,
+  distance: 25,
+  pay: 20,
+  history: 15
+};
+
+// Jobs this far away (km) or further get no distance points
+const RECOMMENDATION_MAX_DISTANCE_KM = parseFloat(process.env.RECOMMENDATION_MAX_DISTANCE_KM) || 50;
+
+/**
+ * Drop internal columns (the full-text search document) from a job row
+ * @param {Object} job - Job row
+ */
+const toPublic = (row) => {
+  const job = { ...row };
+  delete job.search_vector;
+  return job;
+};
+
+/**
+ * Drop the window count used for pagination from a result row
+ * @param {Object} row - Row with total_count
+ */
+const withoutTotalCount = (row) => {
+  const rest = { ...row };
+  delete rest.total_count;
+  return rest;
+};
+
+/**
+ * Build the WHERE conditions shared by job listing and facet queries. Columns
+ * that only appear in the select list (distance, search rank and snippet) get
+ * their own parameters after the WHERE ones, so count queries can use
+ * queryParams alone.
+ * @param {Object} filters - Filter criteria (see Job.findAll)
+ * @returns {Object} { whereConditions, queryParams, selectColumns, selectParams, hasLocation, tsQuery }
+ */
+const buildFilters = (filters) => {
+  const whereConditions = [];
+  const queryParams = [];
+  let paramCounter = 1;
+
+  // Handle filters
+  if (filters.status) {
+    whereConditions.push(`j.status = $${paramCounter}`);
+    queryParams.push(filters.status);
+    paramCounter++;
+  }
+
+  if (filters.category) {
+    whereConditions.push(`j.category = $${paramCounter}`);
+    queryParams.push(filters.category);
+    paramCounter++;
+  }
+
+  if (filters.urgency) {
+    whereConditions.push(`j.urgency = $${paramCounter}`);
+    queryParams.push(filters.urgency);
+    paramCounter++;
+  }
+
+  if (filters.minPay) {
+    whereConditions.push(`j.pay_amount >= $${paramCounter}`);
+    queryParams.push(filters.minPay);
+    paramCounter++;
+  }
+
+  if (filters.maxPay) {
+    whereConditions.push(`j.pay_amount <= $${paramCounter}`);
+    queryParams.push(filters.maxPay);
+    paramCounter++;
+  }
+
+  if (filters.payType) {
+    whereConditions.push(`j.pay_type = $${paramCounter}`);
+    queryParams.push(filters.payType);
+    paramCounter++;
+  }
+
+  if (filters.publishedAfter) {
+    whereConditions.push(`j.published_at > $${paramCounter}`);
+    queryParams.push(filters.publishedAfter);
+    paramCounter++;
+  }
+
+  const hasLocation = filters.latitude !== undefined && filters.longitude !== undefined;
+
+  // Radius search: cheap indexed bounding-box check first, then the exact distance
+  if (hasLocation && filters.radius) {
+    const box = boundingBox(filters.latitude, filters.longitude, filters.radius);
+
+    whereConditions.push(`j.location_latitude BETWEEN $${paramCounter} AND $${paramCounter + 1}`);
+    queryParams.push(box.minLat, box.maxLat);
+    paramCounter += 2;
+
+    if (box.minLng !== null) {
+      whereConditions.push(`j.location_longitude BETWEEN $${paramCounter} AND $${paramCounter + 1}`);
+      queryParams.push(box.minLng, box.maxLng);
+      paramCounter += 2;
+    }
+
+    const distance = distanceSql(
+      `$${paramCounter}`,
+      `$${paramCounter + 1}`,
+      'j.location_latitude',
+      'j.location_longitude'
+    );
+
+    whereConditions.push(`${distance} <= $${paramCounter + 2}`);
+    queryParams.push(filters.latitude, filters.longitude, filters.radius);
+    paramCounter += 3;
+  }
+
+  // Full-text search on title, requirements and description
+  const tsQuery = filters.keyword ? toTsQuery(filters.keyword) : null;
+
+  if (tsQuery) {
+    whereConditions.push(`j.search_vector @@ to_tsquery('english', $${paramCounter})`);
+    queryParams.push(tsQuery);
+    paramCounter++;
+  }
+
+  // Columns returned with each job
+  const selectParams = [];
+  let selectColumns = '';
+
+  if (hasLocation) {
+    const distance = distanceSql(
+      `$${paramCounter}`,
+      `$${paramCounter + 1}`,
+      'j.location_latitude',
+      'j.location_longitude'
+    );
+
+    selectColumns += `,
+    ${distance} AS distance_km`;
+    selectParams.push(filters.latitude, filters.longitude);
+    paramCounter += 2;
+  }
+
+  if (tsQuery) {
+    const searchParam = `to_tsquery('english', $${paramCounter})`;
+
+    selectColumns += `,
+    ts_rank(j.search_vector, ${searchParam}) AS rank,
+    ts_headline('english', j.description, ${searchParam},
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2') AS snippet`;
+    selectParams.push(tsQuery);
+    paramCounter++;
+  }
+
+  return {
+    whereConditions,
+    queryParams,
+    selectColumns,
+    selectParams,
+    hasLocation,
+    tsQuery
+  };
+};
+
+// A job with the number of applications accepted for it
+const STAFFING_SQL = `SELECT j.*,
+  (
+    SELECT COUNT(*)
+    FROM job_applications
+    WHERE job_id = j.id AND status = 'accepted'
+  )::INT AS accepted_count
+  FROM jobs j
+  WHERE j.id = $1`;
+
+/**
+ * Check whether every position of a job (or every shift, if it has any) is taken
+ * @param {Object} job - Job row with accepted_count
+ * @param {Array} shifts - Shifts of the job (see syncShifts)
+ */
+const isStaffed = (job, shifts) => (shifts.length > 0
+  ? shifts.every(shift => shift.status === 'filled')
+  : job.accepted_count >= job.positions);
+
+/**
+ * Reject the pending applications for a job, or for one of its shifts, once
+ * every position has been filled, and tell the applicants
+ * @param {Object} job - Job row
+ * @param {Object|null} shift - Shift row, or null for the whole job
+ * @param {Object} client - Transaction client
+ * @returns {Array} Rejected applications
+ */
+const rejectPendingApplications = async (job, shift, client) => {
+  const result = await client.query(
+    `UPDATE job_applications ja
+     SET status = 'rejected', updated_at = NOW()
+     FROM job_seeker_profiles jsp
+     WHERE ja.job_seeker_id = jsp.id
+     AND ja.job_id = $1 AND ja.status = 'pending'
+     AND ($2::INT IS NULL OR ja.shift_id = $2::INT)
+     RETURNING ja.*, jsp.user_id AS job_seeker_user_id`,
+    [job.id, shift ? shift.id : null]
+  );
+
+  const jobTitle = shift && shift.label ? `${job.title} (${shift.label})` : job.title;
+
+  for (const application of result.rows) {
+    await Notification.createPositionsFilledNotification(
+      { ...application, job_title: jobTitle },
+      application.job_seeker_user_id,
+      client
+    );
+  }
+
+  return result.rows;
+};
+
+/**
+ * Fill shifts whose positions are all taken (rejecting their pending
+ * applications) and reopen filled shifts with a free position
+ * @param {Object} job - Job row (locked)
+ * @param {Object} client - Transaction client
+ * @returns {Object} { shifts, rejected } - Shifts after the change (empty if the job has none)
+ */
+const syncShifts = async (job, client) => {
+  const result = await client.query(
+    `SELECT s.*,
+     (
+       SELECT COUNT(*)
+       FROM job_applications
+       WHERE shift_id = s.id AND status = 'accepted'
+     )::INT AS accepted_count
+     FROM job_shifts s
+     WHERE s.job_id = $1
+     ORDER BY s.starts_at ASC`,
+    [job.id]
+  );
+
+  const rejected = [];
+
+  for (const shift of result.rows) {
+    const isFull = shift.accepted_count >= shift.positions;
+
+    if (shift.status === 'open' && isFull) {
+      shift.status = 'filled';
+      rejected.push(...await rejectPendingApplications(job, shift, client));
+    } else if (shift.status === 'filled' && !isFull) {
+      shift.status = 'open';
+    } else {
+      continue;
+    }
+
+    await client.query(
+      'UPDATE job_shifts SET status = $2, updated_at = NOW() WHERE id = $1',
+      [shift.id, shift.status]
+    );
+  }
+
+  return { shifts: result.rows, rejected };
+};
+
 /**
  * Job model encapsulating database operations for jobs
  */
 class Job {
+  /**
+   * Drop internal columns from a job row selected outside this model
+   * @param {Object} job - Job row
+   */
+  static toPublic(job) {
+    return toPublic(job);
+  }
+
+  static get RECOMMENDATION_WEIGHTS() {
+    return RECOMMENDATION_WEIGHTS;
+  }
+
+  static get RECOMMENDATION_MAX_DISTANCE_KM() {
+    return RECOMMENDATION_MAX_DISTANCE_KM;
+  }
+
+  static get CANDIDATE_WEIGHTS() {
+    return CANDIDATE_WEIGHTS;
+  }
+
+  static get FACETS() {
+    return Object.keys(FACETS);
+  }
+
+  static get STATUS_TRANSITIONS() {
+    return STATUS_TRANSITIONS;
+  }
+
+  /**
+   * Check whether a job may move from one status to another
+   * @param {String} from - Current status
+   * @param {String} to - New status
+   */
+  static canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
   /**
    * Create a new job
    * @param {Object} jobData - Job data
@@ -26,24 +384,37 @@ class Job {
         startDate,
         endDate,
         estimatedHours,
-        status = 'active'
+        positions = 1,
+        status = 'active',
+        instantBook = false,
+        instantBookMinRating = null,
+        instantBookVerifiedPhone = true,
+        requiredSkills = []
       } = jobData;
 
       const result = await query(
         `INSERT INTO jobs (
           employer_id, title, description, requirements, pay_amount,
           pay_type, location_latitude, location_longitude, location_address,
-          urgency, category, start_date, end_date, estimated_hours, status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+          urgency, category, start_date, end_date, estimated_hours, status,
+          positions, instant_book, instant_book_min_rating,
+          instant_book_verified_phone, required_skills, published_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+          $17, $18, $19, $20,
+          CASE WHEN $15::VARCHAR = 'active' THEN NOW() END
+        )
         RETURNING *`,
         [
           employerId, title, description, requirements, payAmount,
           payType, locationLatitude, locationLongitude, locationAddress,
-          urgency, category, startDate, endDate, estimatedHours, status
+          urgency, category, toUtc(startDate), toUtc(endDate), estimatedHours, status,
+          positions, instantBook, instantBookMinRating,
+          instantBookVerifiedPhone, requiredSkills
         ]
       );
 
-      return result.rows[0];
+      return toPublic(result.rows[0]);
     } catch (error) {
       logger.error('Error creating job', { error });
       throw error;
@@ -74,7 +445,7 @@ class Job {
       }
 
       const result = await query(queryText, [id]);
-      return result.rows[0] || null;
+      return result.rows[0] ? toPublic(result.rows[0]) : null;
     } catch (error) {
       logger.error('Error finding job by ID', { error, id });
       throw error;
@@ -85,9 +456,12 @@ class Job {
    * Update job by ID
    * @param {Number} id - Job ID
    * @param {Object} updateData - Data to update
+   * @param {Object} client - Optional transaction client
    */
-  static async update(id, updateData) {
+  static async update(id, updateData, client = null) {
     try {
+      const executor = client || { query };
+      
       // Build the dynamic update query
       const updates = Object.keys(updateData).map((key, index) => {
         // Convert camelCase to snake_case for DB columns
@@ -95,7 +469,10 @@ class Job {
         return `${column} = $${index + 2}`;
       });
       
-      const values = Object.values(updateData);
+      // Job dates are stored in UTC
+      const values = Object.entries(updateData).map(([key, value]) => (
+        ['startDate', 'endDate'].includes(key) ? toUtc(value) : value
+      ));
       
       // Add the ID as the first parameter
       const queryText = `
@@ -105,14 +482,215 @@ class Job {
         RETURNING *
       `;
       
-      const result = await query(queryText, [id, ...values]);
-      return result.rows[0];
+      const result = await executor.query(queryText, [id, ...values]);
+      return toPublic(result.rows[0]);
     } catch (error) {
       logger.error('Error updating job', { error, id });
       throw error;
     }
   }
 
+  /**
+   * Move a job to a new status in a transaction that locks the job row. The
+   * change only applies if the job still has the expected status, so it cannot
+   * race with another change (e.g. expiry). A job is not listed again while
+   * all its positions are taken, and filling a job by hand rejects its
+   * pending applications (with a notification). Publishing a job restarts
+   * its urgency-based listing time.
+   * @param {Number} id - Job ID
+   * @param {String} from - Expected current status
+   * @param {String} to - New status
+   * @returns {Object} { outcome, job, shifts, rejected } where outcome is updated,
+   * changed (the status had changed) or full (cannot be listed again)
+   */
+  static async updateStatus(id, from, to) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`${STAFFING_SQL} FOR UPDATE`, [id]);
+      const job = result.rows[0];
+
+      if (!job || job.status !== from) {
+        await client.query('ROLLBACK');
+        return { outcome: 'changed' };
+      }
+
+      const { shifts, rejected } = await syncShifts(job, client);
+
+      if (to === 'active' && isStaffed(job, shifts)) {
+        await client.query('ROLLBACK');
+        return { outcome: 'full' };
+      }
+
+      const updated = await client.query(
+        `UPDATE jobs
+         SET status = $2,
+         published_at = CASE WHEN $2::VARCHAR = 'active' THEN NOW() ELSE published_at END,
+         updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id, to]
+      );
+
+      if (to === 'filled') {
+        rejected.push(...await rejectPendingApplications(job, null, client));
+      }
+
+      await client.query('COMMIT');
+      return { outcome: 'updated', job: toPublic(updated.rows[0]), shifts, rejected };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error updating job status', { error, id, from, to });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Bring a job's status in line with its accepted applications. An active job
+   * whose positions are all taken becomes filled and its remaining pending
+   * applications are rejected (with a notification); a filled job with a free
+   * position becomes active again. Jobs with shifts are staffed shift by shift
+   * and count as full once every shift is filled. Must run inside a
+   * transaction that holds a lock on the job row.
+   * @param {Number} jobId - Job ID
+   * @param {Object} client - Transaction client
+   * @returns {Object} { job, shifts, rejected, reopened } - Job and shifts after
+   * the change, closed applications, and whether the job was listed again
+   * (callers announce it once the transaction has committed)
+   */
+  static async syncFilledStatus(jobId, client) {
+    try {
+      const result = await client.query(STAFFING_SQL, [jobId]);
+
+      const job = result.rows[0];
+      const { shifts, rejected } = await syncShifts(job, client);
+      const isFull = isStaffed(job, shifts);
+
+      let reopened = false;
+
+      if (job.status === 'active' && isFull) {
+        await client.query(
+          `UPDATE jobs SET status = 'filled', updated_at = NOW() WHERE id = $1`,
+          [jobId]
+        );
+        job.status = 'filled';
+
+        rejected.push(...await rejectPendingApplications(job, null, client));
+      } else if (job.status === 'filled' && !isFull) {
+        const reopenedResult = await client.query(
+          `UPDATE jobs
+           SET status = 'active', published_at = NOW(), updated_at = NOW()
+           WHERE id = $1
+           RETURNING published_at`,
+          [jobId]
+        );
+        job.status = 'active';
+        job.published_at = reopenedResult.rows[0].published_at;
+        reopened = true;
+      }
+
+      return { job, shifts, rejected, reopened };
+    } catch (error) {
+      logger.error('Error syncing job filled status', { error, jobId });
+      throw error;
+    }
+  }
+
+  /**
+   * Change the number of positions on a job and fill or reopen it to match.
+   * Other changes to the job are written in the same transaction, so the
+   * edit either applies as a whole or not at all. Jobs with shifts are
+   * staffed per shift, so their positions cannot be set here.
+   * @param {Number} id - Job ID
+   * @param {Number} positions - New number of positions
+   * @param {Object} updateData - Other fields to update (see Job.update)
+   * @returns {Object} { outcome, job, shifts, rejected, reopened } where outcome
+   * is updated, has_shifts, or below_accepted if more applications than that
+   * are accepted
+   */
+  static async setPositions(id, positions, updateData = {}) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT
+         (
+           SELECT COUNT(*)
+           FROM job_applications
+           WHERE job_id = j.id AND status = 'accepted'
+         )::INT AS accepted_count,
+         EXISTS (SELECT 1 FROM job_shifts WHERE job_id = j.id) AS has_shifts
+         FROM jobs j
+         WHERE j.id = $1
+         FOR UPDATE`,
+        [id]
+      );
+
+      if (result.rows[0].has_shifts) {
+        await client.query('ROLLBACK');
+        return { outcome: 'has_shifts' };
+      }
+
+      if (result.rows[0].accepted_count > positions) {
+        await client.query('ROLLBACK');
+        return { outcome: 'below_accepted' };
+      }
+
+      await this.update(id, { ...updateData, positions }, client);
+
+      const synced = await this.syncFilledStatus(id, client);
+
+      await client.query('COMMIT');
+      return { outcome: 'updated', ...synced, job: toPublic(synced.job) };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error setting job positions', { error, id, positions });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Expire active jobs that are past their end date or have been listed
+   * longer than their urgency allows
+   * @returns {Array} Expired jobs, with the user ID of the company owner
+   */
+  static async expireDue() {
+    try {
+      const result = await query(
+        `UPDATE jobs j
+         SET status = 'expired', updated_at = NOW()
+         FROM employer_profiles ep
+         WHERE j.employer_id = ep.id
+         AND j.status = 'active'
+         AND (
+           j.end_date < NOW()
+           OR COALESCE(j.published_at, j.created_at) + make_interval(hours => (
+             CASE j.urgency
+               WHEN 'immediate' THEN $1::INT
+               WHEN 'today' THEN $2::INT
+               WHEN 'this_week' THEN $3::INT
+             END
+           )) < NOW()
+         )
+         RETURNING j.*, ep.user_id AS employer_user_id`,
+        [URGENCY_TTL_HOURS.immediate, URGENCY_TTL_HOURS.today, URGENCY_TTL_HOURS.this_week]
+      );
+
+      return result.rows.map(toPublic);
+    } catch (error) {
+      logger.error('Error expiring jobs', { error });
+      throw error;
+    }
+  }
+
   /**
    * Delete job by ID
    * @param {Number} id - Job ID
@@ -138,6 +716,17 @@ class Job {
       // Calculate offset for pagination
       const offset = (page - 1) * limit;
       
+      // Build WHERE clauses
+      const {
+        whereConditions,
+        queryParams,
+        selectColumns,
+        selectParams,
+        hasLocation,
+        tsQuery
+      } = buildFilters(filters);
+      const paramCounter = queryParams.length + selectParams.length + 1;
+      
       // Start building the query
       let queryText = `
         SELECT j.*, 
@@ -146,101 +735,35 @@ class Job {
           SELECT COUNT(*) 
           FROM job_applications 
           WHERE job_id = j.id
-        ) AS application_count
+        ) AS application_count${selectColumns}
         FROM jobs j
         JOIN employer_profiles ep ON j.employer_id = ep.id
       `;
       
-      // Build WHERE clauses
-      const whereConditions = [];
-      const queryParams = [];
-      let paramCounter = 1;
-      
-      // Handle filters
-      if (filters.status) {
-        whereConditions.push(`j.status = $${paramCounter}`);
-        queryParams.push(filters.status);
-        paramCounter++;
-      }
-      
-      if (filters.category) {
-        whereConditions.push(`j.category = $${paramCounter}`);
-        queryParams.push(filters.category);
-        paramCounter++;
-      }
-      
-      if (filters.urgency) {
-        whereConditions.push(`j.urgency = $${paramCounter}`);
-        queryParams.push(filters.urgency);
-        paramCounter++;
-      }
-      
-      if (filters.minPay) {
-        whereConditions.push(`j.pay_amount >= $${paramCounter}`);
-        queryParams.push(filters.minPay);
-        paramCounter++;
-      }
-      
-      if (filters.maxPay) {
-        whereConditions.push(`j.pay_amount <= $${paramCounter}`);
-        queryParams.push(filters.maxPay);
-        paramCounter++;
-      }
-      
-      if (filters.payType) {
-        whereConditions.push(`j.pay_type = $${paramCounter}`);
-        queryParams.push(filters.payType);
-        paramCounter++;
-      }
-      
-      // Location-based search with radius
-      if (filters.latitude && filters.longitude && filters.radius) {
-        // Calculate distance using the Haversine formula
-        whereConditions.push(`
-          (6371 * acos(
-            cos(radians($${paramCounter})) * 
-            cos(radians(j.location_latitude)) * 
-            cos(radians(j.location_longitude) - radians($${paramCounter + 1})) + 
-            sin(radians($${paramCounter})) * 
-            sin(radians(j.location_latitude))
-          )) <= $${paramCounter + 2}
-        `);
-        queryParams.push(
-          filters.latitude,
-          filters.longitude,
-          filters.radius
-        );
-        paramCounter += 3;
-      }
-      
-      // Search by keyword in title or description
-      if (filters.keyword) {
-        whereConditions.push(`
-          (j.title ILIKE $${paramCounter} OR 
-          j.description ILIKE $${paramCounter} OR
-          j.requirements ILIKE $${paramCounter})
-        `);
-        queryParams.push(`%${filters.keyword}%`);
-        paramCounter++;
-      }
-      
       // Add WHERE clause if conditions exist
       if (whereConditions.length > 0) {
         queryText += ` WHERE ${whereConditions.join(' AND ')}`;
       }
       
-      // Sorting
-      const sortField = filters.sortBy || 'created_at';
+      // Sorting (relevance needs a search keyword, distance a location)
       const sortOrder = filters.sortOrder === 'asc' ? 'ASC' : 'DESC';
       
-      queryText += ` ORDER BY j.${sortField} ${sortOrder}`;
+      if (filters.sortBy === 'relevance' && tsQuery) {
+        queryText += ' ORDER BY rank DESC, j.created_at DESC';
+      } else if (filters.sortBy === 'distance' && hasLocation) {
+        // Nearest first unless asked otherwise; jobs without coordinates go last
+        const distanceOrder = filters.sortOrder === 'desc' ? 'DESC' : 'ASC';
+        queryText += ` ORDER BY distance_km ${distanceOrder} NULLS LAST, j.created_at DESC`;
+      } else {
+        const sortField = SORT_FIELDS.includes(filters.sortBy) ? filters.sortBy : 'created_at';
+        queryText += ` ORDER BY j.${sortField} ${sortOrder}`;
+      }
       
       // Add pagination
       queryText += ` LIMIT $${paramCounter} OFFSET $${paramCounter + 1}`;
-      queryParams.push(limit, offset);
       
       // Execute the query
-      const result = await query(queryText, queryParams);
+      const result = await query(queryText, [...queryParams, ...selectParams, limit, offset]);
       
       // Get total count for pagination
       let countQueryText = `
@@ -252,11 +775,11 @@ class Job {
         countQueryText += ` WHERE ${whereConditions.join(' AND ')}`;
       }
       
-      const countResult = await query(countQueryText, queryParams.slice(0, -2));
+      const countResult = await query(countQueryText, queryParams);
       const totalCount = parseInt(countResult.rows[0].count);
       
       return {
-        jobs: result.rows,
+        jobs: result.rows.map(toPublic),
         pagination: {
           total: totalCount,
           page,
@@ -270,6 +793,324 @@ class Job {
     }
   }
 
+  /**
+   * Check whether a job matches a set of search filters
+   * @param {Number} id - Job ID
+   * @param {Object} filters - Filter criteria (same as findAll)
+   */
+  static async matchesFilters(id, filters) {
+    try {
+      const { whereConditions, queryParams } = buildFilters(filters);
+      whereConditions.push(`j.id = $${queryParams.length + 1}`);
+
+      const result = await query(
+        `SELECT 1 FROM jobs j WHERE ${whereConditions.join(' AND ')}`,
+        [...queryParams, id]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error matching job against filters', { error, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Count jobs per value of each requested facet under the given filters.
+   * Each facet ignores its own filter, so the counts show what selecting
+   * another value would return.
+   * @param {Object} filters - Filter criteria (same as findAll)
+   * @param {Array} facetNames - Facets to count (category, urgency, payType, payBucket)
+   * @returns {Object} Facet name => [{ value, count }] (pay buckets also carry min and max)
+   */
+  static async findFacets(filters = {}, facetNames = []) {
+    try {
+      const facets = {};
+
+      for (const name of facetNames) {
+        const facet = FACETS[name];
+        const facetFilters = { ...filters };
+
+        facet.excludes.forEach(key => {
+          delete facetFilters[key];
+        });
+
+        const { whereConditions, queryParams } = buildFilters(facetFilters);
+        whereConditions.push(`(${facet.column}) IS NOT NULL`);
+
+        const result = await query(
+          `SELECT ${facet.column} AS value, COUNT(*)::INT AS count
+           FROM jobs j
+           WHERE ${whereConditions.join(' AND ')}
+           GROUP BY 1
+           ORDER BY count DESC, value ASC`,
+          queryParams
+        );
+
+        if (name === 'payBucket') {
+          // Always list every bucket, in pay order
+          facets[name] = PAY_BUCKETS.map(bucket => {
+            const row = result.rows.find(r => r.value === bucket.value);
+            return { ...bucket, count: row ? row.count : 0 };
+          });
+        } else {
+          facets[name] = result.rows;
+        }
+      }
+
+      return facets;
+    } catch (error) {
+      logger.error('Error counting job facets', { error, facetNames });
+      throw error;
+    }
+  }
+
+  /**
+   * Rank active jobs for a job seeker. Each job is scored on skills found in
+   * the job text, distance from the seeker, pay compared with what they usually
+   * apply for (same pay type), and how often they applied in the job's
+   * category. Jobs already applied to, jobs from the seeker's own companies and
+   * jobs with no score are left out.
+   * @param {Object} profile - Job seeker profile
+   * @param {Number} page - Page number
+   * @param {Number} limit - Items per page
+   * @param {Object} filters - { matchAvailability: only jobs whose start_date–end_date
+   * window, or one of whose open shifts, the seeker's availability covers }
+   * @returns {Object} { jobs, pagination } - Jobs carry score parts and the values behind them
+   */
+  static async findRecommended(profile, page = 1, limit = 10, filters = {}) {
+    try {
+      const offset = (page - 1) * limit;
+      const skills = (profile.skills || []).filter(skill => skill && skill.trim());
+      // NULL when either side has no coordinates
+      const distance = distanceSql('$3', '$4', 'j.location_latitude', 'j.location_longitude');
+
+      const result = await query(
+        `WITH history AS (
+           SELECT j.category, j.pay_type, j.pay_amount
+           FROM job_applications ja
+           JOIN jobs j ON ja.job_id = j.id
+           WHERE ja.job_seeker_id = $1
+         ),
+         pay_preference AS (
+           SELECT pay_type, AVG(pay_amount)::FLOAT AS preferred_pay
+           FROM history
+           WHERE pay_amount IS NOT NULL
+           GROUP BY pay_type
+         ),
+         category_history AS (
+           SELECT category, COUNT(*)::INT AS applications
+           FROM history
+           WHERE category IS NOT NULL
+           GROUP BY category
+         ),
+         candidates AS (
+           SELECT j.*,
+           ep.company_name, ep.company_logo,
+           ARRAY(
+             SELECT skill FROM UNNEST($2::TEXT[]) skill
+             WHERE j.search_vector @@ plainto_tsquery('english', skill)
+           ) AS matched_skills,
+           ${distance} AS distance_km,
+           pp.preferred_pay,
+           COALESCE(ch.applications, 0) AS category_applications
+           FROM jobs j
+           JOIN employer_profiles ep ON j.employer_id = ep.id
+           LEFT JOIN pay_preference pp ON pp.pay_type = j.pay_type
+           LEFT JOIN category_history ch ON ch.category = j.category
+           WHERE j.status = 'active'
+           AND NOT EXISTS (
+             SELECT 1 FROM job_applications ja
+             WHERE ja.job_id = j.id AND ja.job_seeker_id = $1
+           )
+           AND NOT EXISTS (
+             SELECT 1 FROM company_members cm
+             WHERE cm.employer_id = j.employer_id AND cm.user_id = $5
+           )
+           AND (NOT $13::BOOLEAN OR job_seeker_available_for_job($1, j.id))
+         ),
+         scored AS (
+           SELECT c.*,
+           CASE WHEN cardinality($2::TEXT[]) > 0
+             THEN $6::FLOAT * cardinality(c.matched_skills) / cardinality($2::TEXT[])
+             ELSE 0 END AS skills_score,
+           CASE WHEN c.distance_km IS NULL THEN 0
+             ELSE $7::FLOAT * GREATEST(0, 1 - c.distance_km / $10::FLOAT) END AS distance_score,
+           CASE WHEN c.preferred_pay > 0 AND c.pay_amount IS NOT NULL
+             THEN $8::FLOAT * LEAST(1, c.pay_amount::FLOAT / c.preferred_pay)
+             ELSE 0 END AS pay_score,
+           $9::FLOAT * LEAST(1, c.category_applications / 3.0)::FLOAT AS history_score
+           FROM candidates c
+         )
+         SELECT s.*,
+         ROUND((s.skills_score + s.distance_score + s.pay_score + s.history_score)::NUMERIC, 1)::FLOAT AS score,
+         COUNT(*) OVER() AS total_count
+         FROM scored s
+         WHERE s.skills_score + s.distance_score + s.pay_score + s.history_score > 0
+         ORDER BY score DESC, s.created_at DESC
+         LIMIT $11 OFFSET $12`,
+        [
+          profile.id,
+          skills,
+          profile.location_latitude,
+          profile.location_longitude,
+          profile.user_id,
+          RECOMMENDATION_WEIGHTS.skills,
+          RECOMMENDATION_WEIGHTS.distance,
+          RECOMMENDATION_WEIGHTS.pay,
+          RECOMMENDATION_WEIGHTS.history,
+          RECOMMENDATION_MAX_DISTANCE_KM,
+          limit,
+          offset,
+          Boolean(filters.matchAvailability)
+        ]
+      );
+
+      const totalCount = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+      return {
+        jobs: result.rows.map(row => toPublic(withoutTotalCount(row))),
+        pagination: {
+          total: totalCount,
+          page,
+          limit,
+          pages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding recommended jobs', { error, jobSeekerId: profile.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Rank discoverable job seekers near a job. Each candidate is scored on
+   * profile skills found in the job's requirements and category, distance,
+   * average review rating (unrated seekers get half the points) and
+   * reliability (accepted versus withdrawn applications, smoothed so a short
+   * history does not dominate). Suspended accounts, accounts pending deletion
+   * and members of the hiring company are left out. Distance is measured from
+   * the live location of on-duty job seekers, else from their profile address.
+   * @param {Object} job - Job (must have coordinates)
+   * @param {Number} radius - Search radius in km
+   * @param {Number} page - Page number
+   * @param {Number} limit - Items per page
+   * @param {Object} filters - { availableNow: only job seekers on duty,
+   * matchAvailability: only job seekers whose availability covers the job's window
+   * or one of its open shifts }
+   * @returns {Object} { candidates, pagination } - Candidates carry score parts and contact columns
+   */
+  static async findCandidates(job, radius, page = 1, limit = 10, filters = {}) {
+    try {
+      const offset = (page - 1) * limit;
+      const latitude = parseFloat(job.location_latitude);
+      const longitude = parseFloat(job.location_longitude);
+      const box = boundingBox(latitude, longitude, radius);
+      const distance = distanceSql('$2', '$3', LATITUDE_SQL, LONGITUDE_SQL);
+
+      const result = await query(
+        `WITH target AS (
+           SELECT id, employer_id,
+           to_tsvector('english', COALESCE(requirements, '') || ' ' || COALESCE(category, '')) AS document
+           FROM jobs
+           WHERE id = $1
+         ),
+         candidates AS (
+           SELECT jsp.id AS job_seeker_id, jsp.user_id,
+           u.first_name, u.last_name, u.email, u.phone, u.profile_picture,
+           jsp.bio, jsp.skills, jsp.experience_years, jsp.availability,
+           ${ON_DUTY_SQL} AS available_now,
+           CASE WHEN ${ON_DUTY_SQL} THEN p.on_duty_until END AS available_until,
+           ARRAY(
+             SELECT skill FROM UNNEST(COALESCE(jsp.skills, '{}')) skill
+             WHERE target.document @@ plainto_tsquery('english', skill)
+           ) AS matched_skills,
+           ${distance} AS distance_km,
+           ${Review.averageRatingSql('jsp.user_id')}::FLOAT AS average_rating,
+           (SELECT COUNT(*)::INT FROM reviews WHERE reviewee_id = jsp.user_id) AS total_reviews,
+           (
+             SELECT COUNT(*)::INT FROM job_applications
+             WHERE job_seeker_id = jsp.id AND status = 'accepted'
+           ) AS accepted_count,
+           (
+             SELECT COUNT(*)::INT FROM job_applications
+             WHERE job_seeker_id = jsp.id AND status = 'withdrawn'
+           ) AS withdrawn_count,
+           EXISTS (
+             SELECT 1 FROM job_applications
+             WHERE job_seeker_id = jsp.id AND job_id = target.id
+           ) AS has_applied,
+           ji.status AS invitation_status
+           FROM job_seeker_profiles jsp
+           CROSS JOIN target
+           JOIN users u ON jsp.user_id = u.id
+           LEFT JOIN job_invitations ji ON ji.job_id = target.id AND ji.job_seeker_id = jsp.id
+           ${PRESENCE_JOIN}
+           WHERE jsp.discoverable
+           AND u.suspended_at IS NULL
+           AND u.deletion_scheduled_for IS NULL
+           AND ${withinBoxSql('$4', '$5', '$6', '$7')}
+           AND ${distance} <= $8
+           AND (NOT $15::BOOLEAN OR ${ON_DUTY_SQL})
+           AND (NOT $16::BOOLEAN OR job_seeker_available_for_job(jsp.id, target.id))
+           AND NOT EXISTS (
+             SELECT 1 FROM company_members cm
+             WHERE cm.employer_id = target.employer_id AND cm.user_id = jsp.user_id
+           )
+         ),
+         scored AS (
+           SELECT c.*,
+           $9::FLOAT * LEAST(1, cardinality(c.matched_skills) / 3.0)::FLOAT AS skills_score,
+           $10::FLOAT * GREATEST(0, 1 - c.distance_km / $8::FLOAT) AS distance_score,
+           $11::FLOAT * CASE WHEN c.total_reviews > 0
+             THEN (c.average_rating - 1) / 4
+             ELSE 0.5 END AS rating_score,
+           $12::FLOAT * (c.accepted_count + 1)::FLOAT / (c.accepted_count + c.withdrawn_count + 2) AS reliability_score
+           FROM candidates c
+         )
+         SELECT s.*,
+         ROUND((s.skills_score + s.distance_score + s.rating_score + s.reliability_score)::NUMERIC, 1)::FLOAT AS score,
+         COUNT(*) OVER() AS total_count
+         FROM scored s
+         ORDER BY score DESC, s.distance_km ASC
+         LIMIT $13 OFFSET $14`,
+        [
+          job.id,
+          latitude,
+          longitude,
+          box.minLat,
+          box.maxLat,
+          box.minLng,
+          box.maxLng,
+          radius,
+          CANDIDATE_WEIGHTS.skills,
+          CANDIDATE_WEIGHTS.distance,
+          CANDIDATE_WEIGHTS.rating,
+          CANDIDATE_WEIGHTS.reliability,
+          limit,
+          offset,
+          Boolean(filters.availableNow),
+          Boolean(filters.matchAvailability)
+        ]
+      );
+
+      const totalCount = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+      return {
+        candidates: result.rows.map(withoutTotalCount),
+        pagination: {
+          total: totalCount,
+          page,
+          limit,
+          pages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding job candidates', { error, jobId: job.id });
+      throw error;
+    }
+  }
+
   /**
    * Find jobs by employer ID
    * @param {Number} employerId - Employer ID
@@ -309,7 +1150,7 @@ class Job {
       queryText += ` WHERE ${whereConditions.join(' AND ')}`;
       
       // Sorting
-      const sortField = filters.sortBy || 'created_at';
+      const sortField = SORT_FIELDS.includes(filters.sortBy) ? filters.sortBy : 'created_at';
       const sortOrder = filters.sortOrder === 'asc' ? 'ASC' : 'DESC';
       
       queryText += ` ORDER BY j.${sortField} ${sortOrder}`;
@@ -332,7 +1173,7 @@ class Job {
       const totalCount = parseInt(countResult.rows[0].count);
       
       return {
-        jobs: result.rows,
+        jobs: result.rows.map(toPublic),
         pagination: {
           total: totalCount,
           page,
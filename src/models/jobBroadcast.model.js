@@ -0,0 +1,260 @@
+const { query, pool } = require('../db/connection');
+const Notification = require('./notification.model');
+const { distanceSql, boundingBox } = require('../utils/geo');
+const {
+  PRESENCE_JOIN,
+  ON_DUTY_SQL,
+  LATITUDE_SQL,
+  LONGITUDE_SQL,
+  withinBoxSql
+} = require('../utils/presence');
+const logger = require('../utils/logger');
+
+// Urgencies that are broadcast when a job is published
+const BROADCAST_URGENCIES = ['immediate', 'today'];
+
+// Radius (km) of each wave, smallest first
+const WAVE_RADII_KM = (process.env.BROADCAST_WAVE_RADII_KM || '2,5,10')
+  .split(',')
+  .map(radius => parseFloat(radius))
+  .filter(radius => radius > 0);
+
+const WAVE_INTERVAL_MINUTES = parseInt(process.env.BROADCAST_WAVE_INTERVAL_MINUTES) || 5;
+
+// Free-text availability that signals a seeker takes work at this notice.
+// Only used for seekers who have not set up a structured schedule.
+const AVAILABILITY_PATTERNS = {
+  immediate: '\\m(immediate(ly)?|now|asap|any ?time|on[ -]call)\\M',
+  today: '\\m(immediate(ly)?|now|asap|any ?time|on[ -]call|today|same[ -]day|flexible)\\M'
+};
+
+/**
+ * Job broadcast model (urgent jobs pushed to nearby job seekers in
+ * expanding waves; every recipient is recorded so nobody is notified twice)
+ */
+module.exports = class JobBroadcast {
+  static get BROADCAST_URGENCIES() {
+    return BROADCAST_URGENCIES;
+  }
+
+  static get WAVE_RADII_KM() {
+    return WAVE_RADII_KM;
+  }
+
+  /**
+   * Start (or restart, when a job is reactivated) broadcasting a job. The
+   * first wave is due immediately; people notified before are skipped.
+   * @param {Number} jobId - Job ID
+   */
+  static async start(jobId) {
+    try {
+      const result = await query(
+        `INSERT INTO job_broadcasts (job_id, current_wave, next_wave_at)
+         VALUES ($1, 0, NOW())
+         ON CONFLICT (job_id) DO UPDATE
+         SET current_wave = 0, next_wave_at = NOW(), completed_at = NULL, started_at = NOW()
+         RETURNING *`,
+        [jobId]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error starting job broadcast', { error, jobId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find broadcasts whose next wave is due
+   * @param {Number} limit - Maximum number of broadcasts
+   * @returns {Array} Job IDs
+   */
+  static async findDue(limit = 50) {
+    try {
+      const result = await query(
+        `SELECT job_id FROM job_broadcasts
+         WHERE completed_at IS NULL AND next_wave_at <= NOW()
+         ORDER BY next_wave_at ASC
+         LIMIT $1`,
+        [limit]
+      );
+
+      return result.rows.map(row => row.job_id);
+    } catch (error) {
+      logger.error('Error finding due job broadcasts', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Send the next wave of a broadcast, if it is due. Job seekers within the
+   * wave radius who are on duty, whose weekly availability covers the job
+   * (one of its open shifts, or its window from the start date or from now)
+   * are recorded as recipients and notified in one transaction. Job seekers
+   * without a structured schedule are matched on their free-text availability
+   * instead. On-duty job seekers are located by their live location when they
+   * have one. The broadcast ends after the last wave, or once the job is no
+   * longer active (e.g. filled).
+   * @param {Number} jobId - Job ID
+   * @returns {Object|null} { wave, radiusKm, notified, completed }, or null if no wave was due
+   */
+  static async sendNextWave(jobId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Skip broadcasts another worker is already sending
+      const broadcastResult = await client.query(
+        `SELECT b.current_wave, j.id, j.title, j.status, j.urgency, j.employer_id,
+         j.pay_amount, j.pay_type, j.location_latitude, j.location_longitude
+         FROM job_broadcasts b
+         JOIN jobs j ON b.job_id = j.id
+         WHERE b.job_id = $1 AND b.completed_at IS NULL AND b.next_wave_at <= NOW()
+         FOR UPDATE OF b SKIP LOCKED`,
+        [jobId]
+      );
+
+      const broadcast = broadcastResult.rows[0];
+
+      if (!broadcast) {
+        await client.query('COMMIT');
+        return null;
+      }
+
+      const wave = broadcast.current_wave + 1;
+      const canBroadcast = broadcast.status === 'active'
+        && BROADCAST_URGENCIES.includes(broadcast.urgency)
+        && broadcast.location_latitude !== null
+        && broadcast.location_longitude !== null
+        && wave <= WAVE_RADII_KM.length;
+
+      if (!canBroadcast) {
+        await client.query(
+          'UPDATE job_broadcasts SET completed_at = NOW() WHERE job_id = $1',
+          [jobId]
+        );
+        await client.query('COMMIT');
+        return { wave: broadcast.current_wave, radiusKm: null, notified: 0, completed: true };
+      }
+
+      const radiusKm = WAVE_RADII_KM[wave - 1];
+      const latitude = parseFloat(broadcast.location_latitude);
+      const longitude = parseFloat(broadcast.location_longitude);
+      const box = boundingBox(latitude, longitude, radiusKm);
+      const distance = distanceSql('$2', '$3', LATITUDE_SQL, LONGITUDE_SQL);
+
+      const recipientsResult = await client.query(
+        `INSERT INTO job_broadcast_recipients (job_id, job_seeker_id, user_id, wave, distance_km)
+         SELECT $1, jsp.id, jsp.user_id, $9::INT, ${distance}
+         FROM job_seeker_profiles jsp
+         JOIN users u ON jsp.user_id = u.id
+         ${PRESENCE_JOIN}
+         WHERE jsp.discoverable
+         AND u.suspended_at IS NULL
+         AND u.deletion_scheduled_for IS NULL
+         AND (
+           ${ON_DUTY_SQL}
+           OR (
+             jsp.availability ~* $10
+             AND NOT EXISTS (SELECT 1 FROM availability_slots sl WHERE sl.job_seeker_id = jsp.id)
+             AND NOT EXISTS (SELECT 1 FROM availability_exceptions ex WHERE ex.job_seeker_id = jsp.id)
+           )
+           OR job_seeker_available_for_job(jsp.id, $1, (NOW() AT TIME ZONE 'UTC')::TIMESTAMP)
+         )
+         AND ${withinBoxSql('$4', '$5', '$6', '$7')}
+         AND ${distance} <= $8
+         AND NOT EXISTS (
+           SELECT 1 FROM job_applications ja
+           WHERE ja.job_id = $1 AND ja.job_seeker_id = jsp.id
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM company_members cm
+           WHERE cm.employer_id = $11 AND cm.user_id = jsp.user_id
+         )
+         ON CONFLICT (job_id, job_seeker_id) DO NOTHING
+         RETURNING user_id, distance_km`,
+        [
+          jobId,
+          latitude,
+          longitude,
+          box.minLat,
+          box.maxLat,
+          box.minLng,
+          box.maxLng,
+          radiusKm,
+          wave,
+          AVAILABILITY_PATTERNS[broadcast.urgency],
+          broadcast.employer_id
+        ]
+      );
+
+      for (const recipient of recipientsResult.rows) {
+        await Notification.createJobBroadcastNotification(
+          broadcast,
+          recipient.user_id,
+          recipient.distance_km,
+          client
+        );
+      }
+
+      const completed = wave >= WAVE_RADII_KM.length;
+
+      await client.query(
+        `UPDATE job_broadcasts
+         SET current_wave = $2,
+         next_wave_at = NOW() + make_interval(mins => $3::INT),
+         completed_at = CASE WHEN $4::BOOLEAN THEN NOW() END
+         WHERE job_id = $1`,
+        [jobId, wave, WAVE_INTERVAL_MINUTES, completed]
+      );
+
+      await client.query('COMMIT');
+      return { wave, radiusKm, notified: recipientsResult.rows.length, completed };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error sending job broadcast wave', { error, jobId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get a job's broadcast progress with the number of people reached per wave
+   * @param {Number} jobId - Job ID
+   * @returns {Object|null} Broadcast with waves, or null if the job was never broadcast
+   */
+  static async findByJob(jobId) {
+    try {
+      const broadcastResult = await query(
+        'SELECT * FROM job_broadcasts WHERE job_id = $1',
+        [jobId]
+      );
+
+      if (broadcastResult.rows.length === 0) {
+        return null;
+      }
+
+      const wavesResult = await query(
+        `SELECT wave, COUNT(*)::INT AS recipients, MIN(notified_at) AS sent_at
+         FROM job_broadcast_recipients
+         WHERE job_id = $1
+         GROUP BY wave
+         ORDER BY wave ASC`,
+        [jobId]
+      );
+
+      return {
+        ...broadcastResult.rows[0],
+        waves: wavesResult.rows.map(row => ({
+          ...row,
+          radius_km: WAVE_RADII_KM[row.wave - 1] || null
+        }))
+      };
+    } catch (error) {
+      logger.error('Error finding job broadcast', { error, jobId });
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,117 @@
+const { query } = require('../db/connection');
+const logger = require('../utils/logger');
+
+/**
+ * Job invitation model (employers inviting discovered job seekers to a job)
+ */
+module.exports = class JobInvitation {
+  /**
+   * Find a job seeker who can be invited (discoverable, active account)
+   * @param {Number} jobSeekerId - Job seeker profile ID
+   * @param {Number} jobId - Job ID (to report an existing application)
+   * @returns {Object|null} { id, user_id, has_applied }, or null if not invitable
+   */
+  static async findInvitableJobSeeker(jobSeekerId, jobId) {
+    try {
+      const result = await query(
+        `SELECT jsp.id, jsp.user_id,
+         EXISTS (
+           SELECT 1 FROM job_applications ja
+           WHERE ja.job_seeker_id = jsp.id AND ja.job_id = $2
+         ) AS has_applied
+         FROM job_seeker_profiles jsp
+         JOIN users u ON jsp.user_id = u.id
+         WHERE jsp.id = $1 AND jsp.discoverable
+         AND u.suspended_at IS NULL AND u.deletion_scheduled_for IS NULL`,
+        [jobSeekerId, jobId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding invitable job seeker', { error, jobSeekerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Invite a job seeker to a job
+   * @param {Object} data - Invitation data
+   * @param {Number} data.jobId - Job ID
+   * @param {Number} data.jobSeekerId - Job seeker profile ID
+   * @param {Number} data.invitedBy - Inviting user ID
+   * @param {String} data.message - Optional message to the job seeker
+   * @returns {Object|null} New invitation, or null if the job seeker was already invited
+   */
+  static async create(data) {
+    try {
+      const { jobId, jobSeekerId, invitedBy, message } = data;
+
+      const result = await query(
+        `INSERT INTO job_invitations (job_id, job_seeker_id, invited_by, message)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (job_id, job_seeker_id) DO NOTHING
+         RETURNING *`,
+        [jobId, jobSeekerId, invitedBy, message || null]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error creating job invitation', { error, jobId: data.jobId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get invitations sent to a job seeker
+   * @param {Number} jobSeekerId - Job seeker profile ID
+   * @param {String} status - Optional status filter (pending, accepted, declined)
+   */
+  static async findByJobSeeker(jobSeekerId, status = null) {
+    try {
+      const result = await query(
+        `SELECT ji.id, ji.job_id, ji.message, ji.status, ji.created_at, ji.responded_at,
+         j.title AS job_title, j.status AS job_status, j.pay_amount, j.pay_type,
+         j.location_address, j.urgency, j.start_date,
+         ep.company_name, ep.company_logo
+         FROM job_invitations ji
+         JOIN jobs j ON ji.job_id = j.id
+         JOIN employer_profiles ep ON j.employer_id = ep.id
+         WHERE ji.job_seeker_id = $1
+         AND ($2::VARCHAR IS NULL OR ji.status = $2)
+         ORDER BY ji.created_at DESC`,
+        [jobSeekerId, status]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding job invitations', { error, jobSeekerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Accept or decline a pending invitation
+   * @param {Number} id - Invitation ID
+   * @param {Number} jobSeekerId - Job seeker profile ID (must own the invitation)
+   * @param {String} status - accepted or declined
+   * @returns {Object|null} Updated invitation with job title, or null if there is no pending invitation
+   */
+  static async respond(id, jobSeekerId, status) {
+    try {
+      const result = await query(
+        `UPDATE job_invitations ji
+         SET status = $3, responded_at = NOW()
+         FROM jobs j
+         WHERE ji.job_id = j.id
+         AND ji.id = $1 AND ji.job_seeker_id = $2 AND ji.status = 'pending'
+         RETURNING ji.*, j.title AS job_title`,
+        [id, jobSeekerId, status]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error responding to job invitation', { error, id, status });
+      throw error;
+    }
+  }
+};
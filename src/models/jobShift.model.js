@@ -0,0 +1,229 @@
+const { query, pool } = require('../db/connection');
+const Job = require('./job.model');
+const { toUtc } = require('../utils/time');
+const logger = require('../utils/logger');
+
+/**
+ * Keep a job's start_date and end_date spanning all of its shifts, and its
+ * positions equal to the shifts' total so listings show the real headcount
+ * @param {Number} jobId - Job ID
+ * @param {Object} client - Transaction client
+ */
+const syncJobSpan = async (jobId, client) => {
+  await client.query(
+    `UPDATE jobs j
+     SET start_date = span.starts_at, end_date = span.ends_at, positions = span.positions,
+     updated_at = NOW()
+     FROM (
+       SELECT MIN(starts_at) AS starts_at, MAX(ends_at) AS ends_at, SUM(positions)::INT AS positions
+       FROM job_shifts
+       WHERE job_id = $1
+     ) span
+     WHERE j.id = $1`,
+    [jobId]
+  );
+};
+
+/**
+ * Find a shift with the number of accepted applications
+ * @param {Number} id - Shift ID
+ * @param {Number} jobId - Job ID the shift must belong to
+ * @param {Object} executor - Query executor (pool or transaction client)
+ */
+const findWithCounts = async (id, jobId, executor) => {
+  const result = await executor.query(
+    `SELECT s.*,
+     (
+       SELECT COUNT(*)
+       FROM job_applications
+       WHERE shift_id = s.id AND status = 'accepted'
+     )::INT AS accepted_count
+     FROM job_shifts s
+     WHERE s.id = $1 AND s.job_id = $2`,
+    [id, jobId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Job shift model (a job covering several shifts, each with its own headcount
+ * and fill status)
+ */
+module.exports = class JobShift {
+  /**
+   * Find the shifts of a job with their staffing
+   * @param {Number} jobId - Job ID
+   * @returns {Array} Shifts with accepted_count and open_positions
+   */
+  static async findByJob(jobId) {
+    try {
+      const result = await query(
+        `SELECT s.*,
+         (
+           SELECT COUNT(*)
+           FROM job_applications
+           WHERE shift_id = s.id AND status = 'accepted'
+         )::INT AS accepted_count
+         FROM job_shifts s
+         WHERE s.job_id = $1
+         ORDER BY s.starts_at ASC`,
+        [jobId]
+      );
+
+      return result.rows.map(shift => ({
+        ...shift,
+        open_positions: Math.max(0, shift.positions - shift.accepted_count)
+      }));
+    } catch (error) {
+      logger.error('Error finding job shifts', { error, jobId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a shift of a job
+   * @param {Number} id - Shift ID
+   * @param {Number} jobId - Job ID
+   * @returns {Object|null} Shift with accepted_count, or null if not found
+   */
+  static async findById(id, jobId) {
+    try {
+      return await findWithCounts(id, jobId, { query });
+    } catch (error) {
+      logger.error('Error finding job shift', { error, id, jobId });
+      throw error;
+    }
+  }
+
+  /**
+   * Add a shift to a job. The job's dates are stretched to cover it, and a
+   * filled job reopens for the new positions.
+   * @param {Number} jobId - Job ID
+   * @param {Object} data - { label, startsAt, endsAt, positions }
+   * @returns {Object} { outcome, shift, job, reopened } where outcome is created, or
+   * has_unshifted_applications if the job already took applications without shifts
+   */
+  static async create(jobId, data) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const jobResult = await client.query(
+        `SELECT EXISTS (
+           SELECT 1 FROM job_shifts WHERE job_id = j.id
+         ) AS has_shifts,
+         EXISTS (
+           SELECT 1 FROM job_applications
+           WHERE job_id = j.id AND shift_id IS NULL AND status IN ('pending', 'accepted')
+         ) AS has_unshifted_applications
+         FROM jobs j
+         WHERE j.id = $1
+         FOR UPDATE`,
+        [jobId]
+      );
+
+      if (!jobResult.rows[0].has_shifts && jobResult.rows[0].has_unshifted_applications) {
+        await client.query('ROLLBACK');
+        return { outcome: 'has_unshifted_applications' };
+      }
+
+      const result = await client.query(
+        `INSERT INTO job_shifts (job_id, label, starts_at, ends_at, positions)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [jobId, data.label || null, toUtc(data.startsAt), toUtc(data.endsAt), data.positions || 1]
+      );
+
+      await syncJobSpan(jobId, client);
+      const synced = await Job.syncFilledStatus(jobId, client);
+      const shift = await findWithCounts(result.rows[0].id, jobId, client);
+
+      await client.query('COMMIT');
+      return { outcome: 'created', shift, job: Job.toPublic(synced.job), reopened: synced.reopened };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error creating job shift', { error, jobId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update a shift. Changing positions fills or reopens the shift (and job).
+   * @param {Number} id - Shift ID
+   * @param {Number} jobId - Job ID
+   * @param {Object} data - Any of { label, startsAt, endsAt, positions }
+   * @returns {Object} { outcome, shift, job, rejected, reopened } where outcome is updated,
+   * not_found, invalid_times (would end before it starts) or below_accepted
+   */
+  static async update(id, jobId, data) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the job so staffing cannot change underneath the update
+      await client.query('SELECT id FROM jobs WHERE id = $1 FOR UPDATE', [jobId]);
+
+      const current = await findWithCounts(id, jobId, client);
+
+      if (!current) {
+        await client.query('ROLLBACK');
+        return { outcome: 'not_found' };
+      }
+
+      const startsAt = data.startsAt !== undefined ? new Date(data.startsAt) : current.starts_at;
+      const endsAt = data.endsAt !== undefined ? new Date(data.endsAt) : current.ends_at;
+
+      if (endsAt <= startsAt) {
+        await client.query('ROLLBACK');
+        return { outcome: 'invalid_times' };
+      }
+
+      if (data.positions !== undefined && data.positions < current.accepted_count) {
+        await client.query('ROLLBACK');
+        return { outcome: 'below_accepted' };
+      }
+
+      await client.query(
+        `UPDATE job_shifts
+         SET label = COALESCE($3, label),
+         starts_at = COALESCE($4, starts_at),
+         ends_at = COALESCE($5, ends_at),
+         positions = COALESCE($6, positions),
+         updated_at = NOW()
+         WHERE id = $1 AND job_id = $2`,
+        [
+          id,
+          jobId,
+          data.label,
+          toUtc(data.startsAt),
+          toUtc(data.endsAt),
+          data.positions
+        ]
+      );
+
+      await syncJobSpan(jobId, client);
+      const synced = await Job.syncFilledStatus(jobId, client);
+      const shift = await findWithCounts(id, jobId, client);
+
+      await client.query('COMMIT');
+      return {
+        outcome: 'updated',
+        shift,
+        job: Job.toPublic(synced.job),
+        rejected: synced.rejected,
+        reopened: synced.reopened
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error updating job shift', { error, id, jobId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
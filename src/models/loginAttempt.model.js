@@ -0,0 +1,136 @@
+const { query } = require('../db/connection');
+const logger = require('../utils/logger');
+
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const EMAIL_DELAY_THRESHOLD = 3;
+const IP_DELAY_THRESHOLD = 10;
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Seconds a caller must wait given a number of recent failures.
+ * Grows exponentially once the threshold is passed: 1s, 2s, 4s ... capped.
+ * @param {Number} failures - Recent failed attempts
+ * @param {Number} threshold - Failures allowed before delays kick in
+ */
+const delayFor = (failures, threshold) => {
+  if (failures < threshold) {
+    return 0;
+  }
+
+  return Math.min(2 ** (failures - threshold), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Login attempt model used for brute-force throttling
+ */
+module.exports = class LoginAttempt {
+  /**
+   * Record a login attempt
+   * @param {Object} attemptData - Attempt data (email, ipAddress, success, userId)
+   */
+  static async record(attemptData) {
+    try {
+      const { email, ipAddress, success, userId } = attemptData;
+
+      await query(
+        `INSERT INTO login_attempts (email, ip_address, success, user_id)
+         VALUES ($1, $2, $3, $4)`,
+        [String(email).toLowerCase(), ipAddress, success, userId || null]
+      );
+
+      return true;
+    } catch (error) {
+      logger.error('Error recording login attempt', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Whether an email has reached the lockout limit: its latest failures since
+   * the last successful login all fall within one lockout window, and that
+   * window has not yet passed since the last of them. Known and unknown
+   * emails are locked on this same rule.
+   * @param {String} email - Email address
+   * @param {Number} maxFailures - Failures that lock the email
+   * @param {Number} minutes - Lockout window in minutes
+   * @param {Number} userId - Only count failures after this user's last unlock (optional)
+   */
+  static async hasReachedLockout(email, maxFailures, minutes, userId = null) {
+    try {
+      const result = await query(
+        `SELECT COUNT(*) >= $2::INT
+           AND MAX(created_at) - MIN(created_at) < make_interval(mins => $3::INT)
+           AND MAX(created_at) > NOW() - make_interval(mins => $3::INT) AS locked
+         FROM (
+           SELECT created_at FROM login_attempts
+           WHERE email = $1 AND success = false
+           AND created_at > NOW() - make_interval(mins => $3::INT * 2)
+           AND created_at > COALESCE(
+             (SELECT MAX(created_at) FROM login_attempts WHERE email = $1 AND success = true),
+             '-infinity'::TIMESTAMP
+           )
+           AND created_at > COALESCE(
+             (SELECT MAX(created_at) FROM account_lock_events
+              WHERE user_id = $4::INT AND event = 'unlocked'),
+             '-infinity'::TIMESTAMP
+           )
+           ORDER BY created_at DESC
+           LIMIT $2::INT
+         ) recent`,
+        [String(email).toLowerCase(), maxFailures, minutes, userId]
+      );
+
+      return result.rows[0].locked === true;
+    } catch (error) {
+      logger.error('Error checking login lockout', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Work out how long the caller has to wait before another attempt,
+   * based on recent failures for the email and for the IP address
+   * @param {String} email - Email address
+   * @param {String} ipAddress - Client IP address
+   * @returns {Number} Seconds to wait (0 if the attempt may proceed)
+   */
+  static async getRetryAfter(email, ipAddress) {
+    try {
+      const result = await query(
+        `SELECT
+          COUNT(*) FILTER (WHERE email = $1 AND created_at > COALESCE(
+            (SELECT MAX(created_at) FROM login_attempts WHERE email = $1 AND success = true),
+            '-infinity'::TIMESTAMP
+          )) AS email_failures,
+          MAX(created_at) FILTER (WHERE email = $1) AS email_last_failure,
+          COUNT(*) FILTER (WHERE ip_address = $2) AS ip_failures,
+          MAX(created_at) FILTER (WHERE ip_address = $2) AS ip_last_failure
+         FROM login_attempts
+         WHERE success = false
+         AND created_at > NOW() - make_interval(mins => $3::INT)
+         AND (email = $1 OR ip_address = $2)`,
+        [String(email).toLowerCase(), ipAddress, ATTEMPT_WINDOW_MINUTES]
+      );
+
+      const row = result.rows[0];
+      const now = Date.now();
+
+      const remaining = (failures, threshold, lastFailure) => {
+        const delay = delayFor(parseInt(failures), threshold);
+        if (!delay || !lastFailure) {
+          return 0;
+        }
+        const elapsed = (now - new Date(lastFailure).getTime()) / 1000;
+        return Math.max(0, Math.ceil(delay - elapsed));
+      };
+
+      return Math.max(
+        remaining(row.email_failures, EMAIL_DELAY_THRESHOLD, row.email_last_failure),
+        remaining(row.ip_failures, IP_DELAY_THRESHOLD, row.ip_last_failure)
+      );
+    } catch (error) {
+      logger.error('Error calculating login retry delay', { error });
+      throw error;
+    }
+  }
+};
@@ -8,12 +8,14 @@ module.exports = class Notification {
   /**
    * Create a new notification
    * @param {Object} notificationData - Notification data
+   * @param {Object} client - Optional transaction client
    */
-  static async create(notificationData) {
+  static async create(notificationData, client = null) {
     try {
       const { userId, title, message, type, relatedId } = notificationData;
+      const executor = client || { query };
 
-      const result = await query(
+      const result = await executor.query(
         `INSERT INTO notifications (
           user_id, title, message, type, related_id
         ) VALUES ($1, $2, $3, $4, $5)
@@ -210,6 +212,31 @@ module.exports = class Notification {
     }
   }
 
+  /**
+   * Create notification for an applicant whose pending application was closed
+   * because every position on the job has been filled
+   * @param {Object} application - Application object (with job_title)
+   * @param {Number} targetUserId - User ID to notify
+   * @param {Object} client - Optional transaction client
+   */
+  static async createPositionsFilledNotification(application, targetUserId, client = null) {
+    try {
+      const title = 'Position Filled';
+      const message = `All positions for ${application.job_title} have been filled, so your application was not selected. Thanks for applying!`;
+
+      return await this.create({
+        userId: targetUserId,
+        title,
+        message,
+        type: 'application_status',
+        relatedId: application.id
+      }, client);
+    } catch (error) {
+      logger.error('Error creating positions filled notification', { error });
+      throw error;
+    }
+  }
+
   /**
    * Create new application notification
    * @param {Object} application - Application object
@@ -235,6 +262,177 @@ module.exports = class Notification {
     }
   }
 
+  /**
+   * Create notification for an employer whose instant-book job was booked
+   * @param {Object} application - Application object
+   * @param {Object} job - Job object
+   * @param {Object} jobSeeker - Job seeker object
+   * @param {Number} employerId - Employer user ID
+   */
+  static async createInstantBookingNotification(application, job, jobSeeker, employerId) {
+    try {
+      const title = 'New Instant Booking';
+      const message = `${jobSeeker.first_name} ${jobSeeker.last_name} was instantly booked for your job: ${job.title}`;
+
+      return await this.create({
+        userId: employerId,
+        title,
+        message,
+        type: 'instant_booking',
+        relatedId: application.id
+      });
+    } catch (error) {
+      logger.error('Error creating instant booking notification', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create job expired notification
+   * @param {Object} job - Job object
+   * @param {Number} targetUserId - User ID to notify
+   * @param {Boolean} isEmployer - Whether the target posted the job (otherwise an applicant)
+   */
+  static async createJobExpiredNotification(job, targetUserId, isEmployer) {
+    try {
+      const title = 'Job Expired';
+      const message = isEmployer
+        ? `Your job ${job.title} has expired and is no longer listed.`
+        : `The job ${job.title} you applied for has expired.`;
+
+      return await this.create({
+        userId: targetUserId,
+        title,
+        message,
+        type: 'job_expired',
+        relatedId: job.id
+      });
+    } catch (error) {
+      logger.error('Error creating job expired notification', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create notification for a job that matches an instant saved search
+   * @param {Object} savedSearch - Saved search object
+   * @param {Object} job - Job object
+   */
+  static async createSavedSearchJobNotification(savedSearch, job) {
+    try {
+      const title = 'New Job For Your Saved Search';
+      const message = `${job.title} matches your saved search "${savedSearch.name}".`;
+
+      return await this.create({
+        userId: savedSearch.user_id,
+        title,
+        message,
+        type: 'saved_search_job',
+        relatedId: job.id
+      });
+    } catch (error) {
+      logger.error('Error creating saved search job notification', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create hourly/daily digest notification for a saved search
+   * @param {Object} savedSearch - Saved search object
+   * @param {Number} jobCount - Number of new matching jobs
+   */
+  static async createSavedSearchDigestNotification(savedSearch, jobCount) {
+    try {
+      const title = 'New Jobs For Your Saved Search';
+      const message = jobCount === 1
+        ? `1 new job matches your saved search "${savedSearch.name}".`
+        : `${jobCount} new jobs match your saved search "${savedSearch.name}".`;
+
+      return await this.create({
+        userId: savedSearch.user_id,
+        title,
+        message,
+        type: 'saved_search_digest',
+        relatedId: savedSearch.id
+      });
+    } catch (error) {
+      logger.error('Error creating saved search digest notification', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create notification for a job seeker invited to a job
+   * @param {Object} invitation - Invitation object
+   * @param {Object} job - Job object
+   * @param {Number} targetUserId - User ID to notify
+   */
+  static async createJobInvitationNotification(invitation, job, targetUserId) {
+    try {
+      const title = 'Job Invitation';
+      const message = `You have been invited to apply for ${job.title}.`;
+
+      return await this.create({
+        userId: targetUserId,
+        title,
+        message,
+        type: 'job_invitation',
+        relatedId: invitation.id
+      });
+    } catch (error) {
+      logger.error('Error creating job invitation notification', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create notification for an employer whose job invitation was accepted
+   * @param {Object} invitation - Invitation object (with job_title)
+   * @param {Number} targetUserId - User ID to notify
+   */
+  static async createInvitationAcceptedNotification(invitation, targetUserId) {
+    try {
+      const title = 'Invitation Accepted';
+      const message = `A candidate accepted your invitation for ${invitation.job_title}. Their contact details are now visible.`;
+
+      return await this.create({
+        userId: targetUserId,
+        title,
+        message,
+        type: 'job_invitation_accepted',
+        relatedId: invitation.job_id
+      });
+    } catch (error) {
+      logger.error('Error creating invitation accepted notification', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create notification for a job seeker reached by an urgent job broadcast
+   * @param {Object} job - Job object
+   * @param {Number} targetUserId - User ID to notify
+   * @param {Number} distanceKm - Distance from the job seeker to the job
+   * @param {Object} client - Optional transaction client
+   */
+  static async createJobBroadcastNotification(job, targetUserId, distanceKm, client = null) {
+    try {
+      const title = job.urgency === 'immediate' ? 'Urgent Job Nearby' : 'Job Nearby Today';
+      const message = `${job.title} needs someone ${job.urgency === 'immediate' ? 'right now' : 'today'}, ${parseFloat(distanceKm).toFixed(1)} km from you.`;
+
+      return await this.create({
+        userId: targetUserId,
+        title,
+        message,
+        type: 'urgent_job',
+        relatedId: job.id
+      }, client);
+    } catch (error) {
+      logger.error('Error creating job broadcast notification', { error });
+      throw error;
+    }
+  }
+
   /**
    * Create new review notification
    * @param {Object} review - Review object
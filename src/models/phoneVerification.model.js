@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { query, pool } = require('../db/connection');
+const { hashToken } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+const CODE_TTL_MINUTES = parseInt(process.env.PHONE_OTP_EXPIRES_MINUTES) || 10;
+const RESEND_INTERVAL_SECONDS = parseInt(process.env.PHONE_OTP_RESEND_SECONDS) || 60;
+const MAX_SENDS_PER_HOUR = parseInt(process.env.PHONE_OTP_MAX_SENDS_PER_HOUR) || 5;
+const MAX_VERIFY_ATTEMPTS = 5;
+
+/**
+ * Hash a one-time code. The user ID is mixed in so equal codes
+ * for different users produce different hashes.
+ * @param {Number} userId - User ID
+ * @param {String} code - Six digit code
+ */
+const hashCode = (userId, code) => hashToken(`${userId}:${code}`);
+
+/**
+ * Phone verification model (one-time SMS codes, stored hashed)
+ */
+module.exports = class PhoneVerification {
+  static get CODE_TTL_MINUTES() {
+    return CODE_TTL_MINUTES;
+  }
+
+  /**
+   * Work out how long the caller has to wait before another code can be
+   * sent, based on recent sends to the user and to the phone number
+   * @param {Number} userId - User ID
+   * @param {String} phone - Phone number (E.164)
+   * @returns {Number} Seconds to wait (0 if a code may be sent)
+   */
+  static async getSendRetryAfter(userId, phone) {
+    try {
+      const result = await query(
+        `SELECT COUNT(*) as sends,
+         EXTRACT(EPOCH FROM NOW() - MAX(created_at)) as seconds_since_last,
+         EXTRACT(EPOCH FROM MIN(created_at) + INTERVAL '1 hour' - NOW()) as seconds_until_reset
+         FROM phone_verifications
+         WHERE (user_id = $1 OR phone = $2)
+         AND created_at > NOW() - INTERVAL '1 hour'`,
+        [userId, phone]
+      );
+
+      const row = result.rows[0];
+      const sinceLast = row.seconds_since_last === null ? null : parseFloat(row.seconds_since_last);
+
+      if (parseInt(row.sends) >= MAX_SENDS_PER_HOUR) {
+        return Math.max(Math.ceil(parseFloat(row.seconds_until_reset)), 1);
+      }
+
+      if (sinceLast !== null && sinceLast < RESEND_INTERVAL_SECONDS) {
+        return Math.ceil(RESEND_INTERVAL_SECONDS - sinceLast);
+      }
+
+      return 0;
+    } catch (error) {
+      logger.error('Error checking phone verification rate limit', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new code for a phone number (earlier pending codes stop working)
+   * @param {Number} userId - User ID
+   * @param {String} phone - Phone number (E.164)
+   * @returns {Object} { verification, code } - Stored row and the raw code to send
+   */
+  static async create(userId, phone) {
+    try {
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+      await query(
+        `UPDATE phone_verifications
+         SET expires_at = NOW()
+         WHERE user_id = $1 AND verified_at IS NULL AND expires_at > NOW()`,
+        [userId]
+      );
+
+      const result = await query(
+        `INSERT INTO phone_verifications (user_id, phone, code_hash, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(mins => $4::INT))
+         RETURNING id, user_id, phone, expires_at, created_at`,
+        [userId, phone, hashCode(userId, code), CODE_TTL_MINUTES]
+      );
+
+      return { verification: result.rows[0], code };
+    } catch (error) {
+      logger.error('Error creating phone verification', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Check a code against the user's latest pending verification and, if it
+   * matches, mark the phone number as verified on the user. Each code can be
+   * tried a limited number of times.
+   * @param {Number} userId - User ID
+   * @param {String} code - Code entered by the user
+   * @returns {String|null} Verified phone number, or null if the code is invalid
+   */
+  static async verify(userId, code) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE phone_verifications
+         SET attempts = attempts + 1
+         WHERE id = (
+           SELECT id FROM phone_verifications
+           WHERE user_id = $1 AND verified_at IS NULL
+           AND expires_at > NOW() AND attempts < $2
+           ORDER BY created_at DESC
+           LIMIT 1
+         )
+         RETURNING id, phone, code_hash`,
+        [userId, MAX_VERIFY_ATTEMPTS]
+      );
+
+      const verification = result.rows[0];
+      const matches = verification && crypto.timingSafeEqual(
+        Buffer.from(verification.code_hash),
+        Buffer.from(hashCode(userId, String(code).trim()))
+      );
+
+      if (!matches) {
+        // Keep the attempt count even when the code is wrong
+        await client.query('COMMIT');
+        return null;
+      }
+
+      await client.query(
+        'UPDATE phone_verifications SET verified_at = NOW() WHERE id = $1',
+        [verification.id]
+      );
+
+      await client.query(
+        `UPDATE users
+         SET phone = $2, phone_verified_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [userId, verification.phone]
+      );
+
+      await client.query('COMMIT');
+      return verification.phone;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error verifying phone code', { error, userId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
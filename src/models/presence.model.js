@@ -0,0 +1,141 @@
+const { query } = require('../db/connection');
+const { roundCoordinate } = require('../utils/presence');
+const logger = require('../utils/logger');
+
+const MAX_DURATION_MINUTES = parseInt(process.env.PRESENCE_MAX_DURATION_MINUTES) || 720;
+
+/**
+ * Presence model ("available now" status and live location of job seekers,
+ * kept apart from the profile address). Locations are stored rounded.
+ */
+module.exports = class Presence {
+  static get MAX_DURATION_MINUTES() {
+    return MAX_DURATION_MINUTES;
+  }
+
+  /**
+   * Find a job seeker's presence
+   * @param {Number} jobSeekerId - Job seeker profile ID
+   * @returns {Object|null} Presence with on_duty, or null if never set
+   */
+  static async findByJobSeeker(jobSeekerId) {
+    try {
+      const result = await query(
+        `SELECT *, COALESCE(on_duty_until > NOW(), FALSE) AS on_duty
+         FROM job_seeker_presence
+         WHERE job_seeker_id = $1`,
+        [jobSeekerId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding presence', { error, jobSeekerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Go on duty (or extend the current shift) for a number of minutes,
+   * optionally with a location ping
+   * @param {Number} jobSeekerId - Job seeker profile ID
+   * @param {Number} minutes - How long to stay on duty
+   * @param {Object} location - Optional { latitude, longitude }
+   */
+  static async goOnDuty(jobSeekerId, minutes, location = null) {
+    try {
+      const result = await query(
+        `INSERT INTO job_seeker_presence
+         (job_seeker_id, on_duty_until, latitude, longitude, location_updated_at)
+         VALUES (
+           $1, NOW() + make_interval(mins => $2::INT), $3::FLOAT, $4::FLOAT,
+           CASE WHEN $3::FLOAT IS NULL THEN NULL ELSE NOW() END
+         )
+         ON CONFLICT (job_seeker_id) DO UPDATE
+         SET on_duty_until = EXCLUDED.on_duty_until,
+         latitude = COALESCE(EXCLUDED.latitude, job_seeker_presence.latitude),
+         longitude = COALESCE(EXCLUDED.longitude, job_seeker_presence.longitude),
+         location_updated_at = COALESCE(EXCLUDED.location_updated_at, job_seeker_presence.location_updated_at),
+         updated_at = NOW()
+         RETURNING *, TRUE AS on_duty`,
+        [
+          jobSeekerId,
+          Math.min(minutes, MAX_DURATION_MINUTES),
+          location ? roundCoordinate(location.latitude) : null,
+          location ? roundCoordinate(location.longitude) : null
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error going on duty', { error, jobSeekerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Go off duty. The last pinged location is forgotten.
+   * @param {Number} jobSeekerId - Job seeker profile ID
+   * @returns {Object|null} Presence, or null if never set
+   */
+  static async goOffDuty(jobSeekerId) {
+    try {
+      const result = await query(
+        `UPDATE job_seeker_presence
+         SET on_duty_until = NULL, latitude = NULL, longitude = NULL,
+         location_updated_at = NULL, updated_at = NOW()
+         WHERE job_seeker_id = $1
+         RETURNING *, FALSE AS on_duty`,
+        [jobSeekerId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error going off duty', { error, jobSeekerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a location ping while on duty
+   * @param {Number} jobSeekerId - Job seeker profile ID
+   * @param {Number} latitude - Latitude
+   * @param {Number} longitude - Longitude
+   * @returns {Object|null} Presence, or null if the job seeker is not on duty
+   */
+  static async updateLocation(jobSeekerId, latitude, longitude) {
+    try {
+      const result = await query(
+        `UPDATE job_seeker_presence
+         SET latitude = $2, longitude = $3, location_updated_at = NOW(), updated_at = NOW()
+         WHERE job_seeker_id = $1 AND on_duty_until > NOW()
+         RETURNING *, TRUE AS on_duty`,
+        [jobSeekerId, roundCoordinate(latitude), roundCoordinate(longitude)]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating presence location', { error, jobSeekerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Forget locations of job seekers whose time on duty has ended
+   * @returns {Number} Number of locations cleared
+   */
+  static async clearExpiredLocations() {
+    try {
+      const result = await query(
+        `UPDATE job_seeker_presence
+         SET latitude = NULL, longitude = NULL, location_updated_at = NULL
+         WHERE latitude IS NOT NULL
+         AND (on_duty_until IS NULL OR on_duty_until <= NOW())`
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error clearing expired presence locations', { error });
+      throw error;
+    }
+  }
+};
@@ -1,10 +1,27 @@
 const { query } = require('../db/connection');
 const logger = require('../utils/logger');
 
+/**
+ * SQL for a user's average review rating (NULL without reviews). Shared by
+ * the rating summary, candidate ranking and instant-book checks so they
+ * always agree.
+ * @param {String} userIdSql - SQL expression for the reviewee's user ID
+ */
+const averageRatingSql = (userIdSql) =>
+  `(SELECT AVG(rating) FROM reviews WHERE reviewee_id = ${userIdSql})`;
+
 /**
  * Review model encapsulating database operations for reviews
  */
 module.exports = class Review {
+  /**
+   * SQL for a user's average review rating, for use in other models' queries
+   * @param {String} userIdSql - SQL expression for the reviewee's user ID
+   */
+  static averageRatingSql(userIdSql) {
+    return averageRatingSql(userIdSql);
+  }
+
   /**
    * Create a new review
    * @param {Object} reviewData - Review data
@@ -46,7 +63,7 @@ module.exports = class Review {
          reviewee.role as reviewee_role,
          j.title as job_title
          FROM reviews r
-         JOIN users reviewer ON r.reviewer_id = reviewer.id
+         LEFT JOIN users reviewer ON r.reviewer_id = reviewer.id
          JOIN users reviewee ON r.reviewee_id = reviewee.id
          LEFT JOIN jobs j ON r.job_id = j.id
          WHERE r.id = $1`,
@@ -127,7 +144,7 @@ module.exports = class Review {
          reviewee.role as reviewee_role,
          j.title as job_title
          FROM reviews r
-         JOIN users reviewer ON r.reviewer_id = reviewer.id
+         LEFT JOIN users reviewer ON r.reviewer_id = reviewer.id
          JOIN users reviewee ON r.reviewee_id = reviewee.id
          LEFT JOIN jobs j ON r.job_id = j.id
          WHERE r.${field} = $1
@@ -181,7 +198,7 @@ module.exports = class Review {
          reviewee.profile_picture as reviewee_profile_picture,
          reviewee.role as reviewee_role
          FROM reviews r
-         JOIN users reviewer ON r.reviewer_id = reviewer.id
+         LEFT JOIN users reviewer ON r.reviewer_id = reviewer.id
          JOIN users reviewee ON r.reviewee_id = reviewee.id
          WHERE r.job_id = $1
          ORDER BY r.created_at DESC
@@ -272,7 +289,7 @@ module.exports = class Review {
       const result = await query(
         `SELECT
           COUNT(*) as total_reviews,
-          AVG(rating) as average_rating,
+          ${averageRatingSql('$1')} as average_rating,
           SUM(CASE WHEN rating = 5 THEN 1 ELSE 0 END) as five_star,
           SUM(CASE WHEN rating = 4 THEN 1 ELSE 0 END) as four_star,
           SUM(CASE WHEN rating = 3 THEN 1 ELSE 0 END) as three_star,
@@ -0,0 +1,240 @@
+const { query } = require('../db/connection');
+const Job = require('./job.model');
+const Notification = require('./notification.model');
+const logger = require('../utils/logger');
+
+const FREQUENCIES = ['instant', 'hourly', 'daily'];
+
+// Filter keys a saved search may store (the same keys Job.findAll accepts)
+const FILTER_KEYS = [
+  'category', 'urgency', 'payType', 'minPay', 'maxPay',
+  'latitude', 'longitude', 'radius', 'keyword'
+];
+
+/**
+ * Saved search model (a job seeker's stored job filters with alert settings)
+ */
+module.exports = class SavedSearch {
+  static get FREQUENCIES() {
+    return FREQUENCIES;
+  }
+
+  static get FILTER_KEYS() {
+    return FILTER_KEYS;
+  }
+
+  /**
+   * Create a saved search
+   * @param {Object} data - Saved search data
+   * @param {Number} data.userId - Owner's user ID
+   * @param {String} data.name - Display name
+   * @param {Object} data.filters - Job filters (see FILTER_KEYS)
+   * @param {String} data.frequency - Alert frequency (instant, hourly or daily)
+   */
+  static async create(data) {
+    try {
+      const { userId, name, filters, frequency } = data;
+
+      const result = await query(
+        `INSERT INTO saved_searches (user_id, name, filters, frequency)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [userId, name, JSON.stringify(filters), frequency]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating saved search', { error, userId: data.userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user's saved search by ID
+   * @param {Number} id - Saved search ID
+   * @param {Number} userId - Owner's user ID
+   */
+  static async findById(id, userId) {
+    try {
+      const result = await query(
+        'SELECT * FROM saved_searches WHERE id = $1 AND user_id = $2',
+        [id, userId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding saved search by ID', { error, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Get all saved searches of a user
+   * @param {Number} userId - User ID
+   */
+  static async findByUser(userId) {
+    try {
+      const result = await query(
+        'SELECT * FROM saved_searches WHERE user_id = $1 ORDER BY created_at DESC',
+        [userId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding saved searches', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a user's saved searches
+   * @param {Number} userId - User ID
+   */
+  static async countByUser(userId) {
+    try {
+      const result = await query(
+        'SELECT COUNT(*) FROM saved_searches WHERE user_id = $1',
+        [userId]
+      );
+
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Error counting saved searches', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a user's saved search. Changing the frequency restarts the digest
+   * window so the first digest does not cover jobs from before the change.
+   * @param {Number} id - Saved search ID
+   * @param {Number} userId - Owner's user ID
+   * @param {Object} data - Fields to change (name, filters, frequency)
+   * @returns {Object|null} Updated saved search, or null if not found
+   */
+  static async update(id, userId, data) {
+    try {
+      const { name, filters, frequency } = data;
+
+      const result = await query(
+        `UPDATE saved_searches
+         SET name = COALESCE($3, name),
+         filters = COALESCE($4, filters),
+         frequency = COALESCE($5, frequency),
+         last_checked_at = CASE
+           WHEN $5::VARCHAR IS NOT NULL AND $5::VARCHAR <> frequency THEN NOW()
+           ELSE last_checked_at
+         END,
+         updated_at = NOW()
+         WHERE id = $1 AND user_id = $2
+         RETURNING *`,
+        [id, userId, name, filters ? JSON.stringify(filters) : null, frequency]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating saved search', { error, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a user's saved search
+   * @param {Number} id - Saved search ID
+   * @param {Number} userId - Owner's user ID
+   * @returns {Boolean} Whether a saved search was deleted
+   */
+  static async delete(id, userId) {
+    try {
+      const result = await query(
+        'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2',
+        [id, userId]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting saved search', { error, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Notify owners of instant saved searches that match a newly listed job.
+   * Category, urgency and pay type are checked in SQL to narrow the candidates;
+   * the rest of the filters are checked against the job through Job.matchesFilters.
+   * Members of the company that posted the job are skipped.
+   * @param {Object} job - Job that was just created or reactivated
+   * @returns {Number} Number of notifications created
+   */
+  static async alertForJob(job) {
+    try {
+      const result = await query(
+        `SELECT ss.*
+         FROM saved_searches ss
+         WHERE ss.frequency = 'instant'
+         AND (ss.filters->>'category' IS NULL OR ss.filters->>'category' = $1)
+         AND (ss.filters->>'urgency' IS NULL OR ss.filters->>'urgency' = $2)
+         AND (ss.filters->>'payType' IS NULL OR ss.filters->>'payType' = $3)
+         AND NOT EXISTS (
+           SELECT 1 FROM company_members cm
+           WHERE cm.employer_id = $4 AND cm.user_id = ss.user_id
+         )`,
+        [job.category, job.urgency, job.pay_type, job.employer_id]
+      );
+
+      let notified = 0;
+
+      for (const savedSearch of result.rows) {
+        const matches = await Job.matchesFilters(job.id, { ...savedSearch.filters, status: 'active' });
+
+        if (matches) {
+          await Notification.createSavedSearchJobNotification(savedSearch, job);
+          notified++;
+        }
+      }
+
+      return notified;
+    } catch (error) {
+      logger.error('Error sending saved search alerts', { error, jobId: job.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Find hourly and daily saved searches whose next digest is due
+   * @returns {Array} Saved searches, each with checked_at (the time of this check)
+   */
+  static async findDueDigests() {
+    try {
+      const result = await query(
+        `SELECT ss.*, NOW() AS checked_at
+         FROM saved_searches ss
+         WHERE (ss.frequency = 'hourly' AND ss.last_checked_at <= NOW() - INTERVAL '1 hour')
+         OR (ss.frequency = 'daily' AND ss.last_checked_at <= NOW() - INTERVAL '1 day')
+         ORDER BY ss.last_checked_at ASC`
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding due saved search digests', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a saved search was checked for new jobs
+   * @param {Number} id - Saved search ID
+   * @param {Date} checkedAt - Time of the check (jobs published after it are new next time)
+   */
+  static async markChecked(id, checkedAt) {
+    try {
+      await query(
+        'UPDATE saved_searches SET last_checked_at = $2 WHERE id = $1',
+        [id, checkedAt]
+      );
+    } catch (error) {
+      logger.error('Error marking saved search as checked', { error, id });
+      throw error;
+    }
+  }
+};
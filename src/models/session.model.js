@@ -0,0 +1,245 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, pool } = require('../db/connection');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+/**
+ * Session model encapsulating database operations for refresh token sessions.
+ *
+ * Every refresh token is one row. Rotating a token revokes the row and inserts
+ * a new one with the same family_id, so a login (and every token derived from
+ * it) can be revoked as a unit.
+ */
+module.exports = class Session {
+  /**
+   * Create a new session and return the raw refresh token
+   * @param {Number} userId - User ID
+   * @param {Object} meta - Request metadata (userAgent, ipAddress) and the activeRole to carry over
+   * @param {String} familyId - Existing token family (omit to start a new login)
+   * @param {Object} client - Optional transaction client
+   */
+  static async create(userId, meta = {}, familyId = null, client = null) {
+    try {
+      const refreshToken = generateRandomToken();
+      const executor = client || { query };
+
+      const result = await executor.query(
+        `INSERT INTO user_sessions (
+          user_id, family_id, refresh_token_hash, user_agent, ip_address, active_role, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(days => $7::INT))
+        RETURNING id, user_id, family_id, active_role, expires_at, created_at`,
+        [
+          userId,
+          familyId || uuidv4(),
+          hashToken(refreshToken),
+          meta.userAgent || null,
+          meta.ipAddress || null,
+          meta.activeRole || null,
+          REFRESH_TOKEN_TTL_DAYS
+        ]
+      );
+
+      return { session: result.rows[0], refreshToken };
+    } catch (error) {
+      logger.error('Error creating session', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new one in the same family.
+   * Presenting a token that was already rotated or revoked is treated as
+   * theft and revokes the entire family.
+   * @param {String} refreshToken - Raw refresh token
+   * @param {Object} meta - Request metadata (userAgent, ipAddress)
+   * @returns {Object|null} { session, refreshToken, user } | { reused: true } | null
+   * (user.role is the primary role, user.activeRole the role the session switched to)
+   */
+  static async rotate(refreshToken, meta = {}) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT s.*, u.role, u.email
+         FROM user_sessions s
+         JOIN users u ON s.user_id = u.id
+         WHERE s.refresh_token_hash = $1
+         FOR UPDATE OF s`,
+        [hashToken(refreshToken)]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const current = result.rows[0];
+
+      if (current.revoked_at) {
+        await client.query(
+          `UPDATE user_sessions
+           SET revoked_at = NOW(), revoked_reason = 'reuse_detected'
+           WHERE family_id = $1 AND revoked_at IS NULL`,
+          [current.family_id]
+        );
+        await client.query('COMMIT');
+
+        logger.warn('Refresh token reuse detected', {
+          userId: current.user_id,
+          familyId: current.family_id
+        });
+
+        return { reused: true };
+      }
+
+      if (new Date(current.expires_at) <= new Date()) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query(
+        `UPDATE user_sessions
+         SET revoked_at = NOW(), revoked_reason = 'rotated', last_used_at = NOW()
+         WHERE id = $1`,
+        [current.id]
+      );
+
+      const rotated = await this.create(
+        current.user_id,
+        { ...meta, activeRole: current.active_role },
+        current.family_id,
+        client
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        ...rotated,
+        user: {
+          id: current.user_id,
+          email: current.email,
+          role: current.role,
+          activeRole: current.active_role || current.role
+        }
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error rotating session', { error });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find the family a refresh token belongs to
+   * @param {String} refreshToken - Raw refresh token
+   */
+  static async findByToken(refreshToken) {
+    try {
+      const result = await query(
+        'SELECT * FROM user_sessions WHERE refresh_token_hash = $1',
+        [hashToken(refreshToken)]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding session by token', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a token family still has a live refresh token
+   * @param {String} familyId - Token family ID
+   * @param {Number} userId - User ID
+   */
+  static async isActive(familyId, userId) {
+    try {
+      const result = await query(
+        `SELECT 1 FROM user_sessions
+         WHERE family_id = $1 AND user_id = $2
+         AND revoked_at IS NULL AND expires_at > NOW()
+         LIMIT 1`,
+        [familyId, userId]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking session', { error, familyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Remember the role a login switched to so refreshed tokens keep it
+   * @param {String} familyId - Token family ID
+   * @param {String} role - Active role
+   */
+  static async setActiveRole(familyId, role) {
+    try {
+      await query(
+        `UPDATE user_sessions
+         SET active_role = $2
+         WHERE family_id = $1 AND revoked_at IS NULL`,
+        [familyId, role]
+      );
+
+      return true;
+    } catch (error) {
+      logger.error('Error setting session active role', { error, familyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every token in a family (logout of one device)
+   * @param {String} familyId - Token family ID
+   * @param {String} reason - Revocation reason
+   */
+  static async revokeFamily(familyId, reason = 'logout') {
+    try {
+      const result = await query(
+        `UPDATE user_sessions
+         SET revoked_at = NOW(), revoked_reason = $2
+         WHERE family_id = $1 AND revoked_at IS NULL`,
+        [familyId, reason]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error revoking session family', { error, familyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke all sessions for a user
+   * @param {Number} userId - User ID
+   * @param {String} reason - Revocation reason
+   * @param {String} exceptFamilyId - Family to keep alive (e.g. the current device)
+   * @param {Object} client - Optional transaction client
+   */
+  static async revokeAllForUser(userId, reason = 'logout_all', exceptFamilyId = null, client = null) {
+    try {
+      const executor = client || { query };
+
+      const result = await executor.query(
+        `UPDATE user_sessions
+         SET revoked_at = NOW(), revoked_reason = $2
+         WHERE user_id = $1 AND revoked_at IS NULL
+         AND ($3::UUID IS NULL OR family_id <> $3::UUID)`,
+        [userId, reason, exceptFamilyId]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error revoking user sessions', { error, userId });
+      throw error;
+    }
+  }
+};
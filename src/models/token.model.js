@@ -0,0 +1,68 @@
+const { query } = require('../db/connection');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+/**
+ * User token model for single-use, expiring tokens sent out of band
+ * (password reset links, etc.). Only the SHA-256 hash is stored.
+ */
+module.exports = class UserToken {
+  /**
+   * Create a token, invalidating any unused token for the same purpose
+   * @param {Number} userId - User ID
+   * @param {String} purpose - Token purpose (e.g. password_reset)
+   * @param {Number} ttlMinutes - Minutes until the token expires
+   * @returns {String} Raw token to send to the user
+   */
+  static async create(userId, purpose, ttlMinutes) {
+    try {
+      const token = generateRandomToken(32);
+
+      await query(
+        `UPDATE user_tokens
+         SET used_at = NOW()
+         WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+        [userId, purpose]
+      );
+
+      await query(
+        `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(mins => $4::INT))`,
+        [userId, purpose, hashToken(token), ttlMinutes]
+      );
+
+      return token;
+    } catch (error) {
+      logger.error('Error creating user token', { error, userId, purpose });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a token as used if it is valid. The update is atomic, so a token
+   * can only ever be consumed once.
+   * @param {String} token - Raw token
+   * @param {String} purpose - Expected token purpose
+   * @param {Object} client - Optional transaction client
+   * @returns {Number|null} User ID the token was issued for
+   */
+  static async consume(token, purpose, client = null) {
+    try {
+      const executor = client || { query };
+
+      const result = await executor.query(
+        `UPDATE user_tokens
+         SET used_at = NOW()
+         WHERE token_hash = $1 AND purpose = $2
+         AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token), purpose]
+      );
+
+      return result.rows.length > 0 ? result.rows[0].user_id : null;
+    } catch (error) {
+      logger.error('Error consuming user token', { error, purpose });
+      throw error;
+    }
+  }
+};
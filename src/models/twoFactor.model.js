@@ -0,0 +1,255 @@
+const { query, pool } = require('../db/connection');
+const { hashToken } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+/**
+ * Two-factor authentication model (TOTP secrets, backup codes and
+ * per-role enforcement policies)
+ */
+module.exports = class TwoFactor {
+  /**
+   * Find a user's two-factor settings
+   * @param {Number} userId - User ID
+   */
+  static async findByUser(userId) {
+    try {
+      const result = await query(
+        'SELECT * FROM user_two_factor WHERE user_id = $1',
+        [userId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding two-factor settings', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Store a new, not yet enabled secret (replaces any pending secret)
+   * @param {Number} userId - User ID
+   * @param {String} secret - Base32 encoded TOTP secret
+   */
+  static async createPending(userId, secret) {
+    try {
+      const result = await query(
+        `INSERT INTO user_two_factor (user_id, secret)
+         VALUES ($1, $2)
+         ON CONFLICT (user_id) DO UPDATE
+         SET secret = EXCLUDED.secret, enabled_at = NULL, last_used_step = NULL, created_at = NOW()
+         WHERE user_two_factor.enabled_at IS NULL
+         RETURNING *`,
+        [userId, secret]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error creating two-factor secret', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Enable two-factor authentication and replace the backup codes
+   * @param {Number} userId - User ID
+   * @param {Number} step - Time step of the code used to confirm enrollment
+   * @param {Array} backupCodeHashes - Hashed backup codes
+   */
+  static async enable(userId, step, backupCodeHashes) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE user_two_factor
+         SET enabled_at = NOW(), last_used_step = $2
+         WHERE user_id = $1 AND enabled_at IS NULL
+         RETURNING *`,
+        [userId, step]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await this.replaceBackupCodes(userId, backupCodeHashes, client);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error enabling two-factor authentication', { error, userId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Disable two-factor authentication and delete backup codes
+   * @param {Number} userId - User ID
+   */
+  static async disable(userId) {
+    try {
+      await query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+      await query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+      return true;
+    } catch (error) {
+      logger.error('Error disabling two-factor authentication', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a used time step so the same code cannot be replayed
+   * @param {Number} userId - User ID
+   * @param {Number} step - Time step of the accepted code
+   * @returns {Boolean} False if the step (or a later one) was already used
+   */
+  static async markStepUsed(userId, step) {
+    try {
+      const result = await query(
+        `UPDATE user_two_factor
+         SET last_used_step = $2
+         WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+         RETURNING user_id`,
+        [userId, step]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error recording two-factor step', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a user's backup codes
+   * @param {Number} userId - User ID
+   * @param {Array} codeHashes - Hashed backup codes
+   * @param {Object} client - Optional transaction client
+   */
+  static async replaceBackupCodes(userId, codeHashes, client = null) {
+    try {
+      const executor = client || { query };
+
+      await executor.query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+      await executor.query(
+        `INSERT INTO two_factor_backup_codes (user_id, code_hash)
+         SELECT $1, UNNEST($2::VARCHAR[])`,
+        [userId, codeHashes]
+      );
+
+      return true;
+    } catch (error) {
+      logger.error('Error replacing backup codes', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Use a backup code (each code works once)
+   * @param {Number} userId - User ID
+   * @param {String} code - Raw backup code as entered by the user
+   * @returns {Boolean} Whether the code was valid and unused
+   */
+  static async consumeBackupCode(userId, code) {
+    try {
+      const normalized = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+      const result = await query(
+        `UPDATE two_factor_backup_codes
+         SET used_at = NOW()
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         RETURNING id`,
+        [userId, hashToken(normalized)]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error consuming backup code', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Count unused backup codes
+   * @param {Number} userId - User ID
+   */
+  static async countRemainingBackupCodes(userId) {
+    try {
+      const result = await query(
+        'SELECT COUNT(*) FROM two_factor_backup_codes WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+      );
+
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Error counting backup codes', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether two-factor authentication is mandatory for a role
+   * @param {String|Array} role - User role, or every role a user holds
+   */
+  static async isRequiredForRole(role) {
+    try {
+      const result = await query(
+        'SELECT 1 FROM two_factor_role_policies WHERE role = ANY($1::VARCHAR[]) AND required = true',
+        [[].concat(role)]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking two-factor role policy', { error, role });
+      throw error;
+    }
+  }
+
+  /**
+   * Get two-factor policies for all roles
+   */
+  static async getRolePolicies() {
+    try {
+      const result = await query(
+        `SELECT p.role, p.required, p.updated_at, u.email as updated_by_email
+         FROM two_factor_role_policies p
+         LEFT JOIN users u ON p.updated_by = u.id
+         ORDER BY p.role`
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting two-factor role policies', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Require (or stop requiring) two-factor authentication for a role
+   * @param {String} role - User role
+   * @param {Boolean} required - Whether 2FA is mandatory
+   * @param {Number} actorId - Admin user ID making the change
+   */
+  static async setRolePolicy(role, required, actorId) {
+    try {
+      const result = await query(
+        `INSERT INTO two_factor_role_policies (role, required, updated_by, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (role) DO UPDATE
+         SET required = EXCLUDED.required, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+         RETURNING *`,
+        [role, required, actorId]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error setting two-factor role policy', { error, role });
+      throw error;
+    }
+  }
+};
@@ -1,15 +1,328 @@
-const { query } = require('../db/connection');
+const { query, pool } = require('../db/connection');
+const Company = require('./company.model');
+const Job = require('./job.model');
 const logger = require('../utils/logger');
 
+// Roles a user holds: their primary role plus every role they have a profile for
+const HELD_ROLES_SQL = `ARRAY(
+  SELECT DISTINCT held.role FROM UNNEST(ARRAY[
+    u.role::TEXT,
+    CASE WHEN EXISTS (SELECT 1 FROM job_seeker_profiles jsp WHERE jsp.user_id = u.id)
+      THEN 'job_seeker' END,
+    CASE WHEN EXISTS (SELECT 1 FROM company_members cm WHERE cm.user_id = u.id)
+      THEN 'employer' END
+  ]) AS held(role)
+  WHERE held.role IS NOT NULL
+)`;
+
+// Companies the user ($1) is the last owner of with no manager to take over,
+// whose deletion would also remove other people's memberships or applications
+const UNTRANSFERABLE_COMPANIES_SQL = `SELECT ep.id, ep.company_name
+  FROM company_members leaving
+  JOIN employer_profiles ep ON ep.id = leaving.employer_id
+  WHERE leaving.user_id = $1 AND leaving.role = 'owner'
+  AND NOT EXISTS (
+    SELECT 1 FROM company_members o
+    WHERE o.employer_id = ep.id AND o.user_id <> $1 AND o.role IN ('owner', 'manager')
+  )
+  AND (
+    EXISTS (SELECT 1 FROM company_members m WHERE m.employer_id = ep.id AND m.user_id <> $1)
+    OR EXISTS (
+      SELECT 1 FROM jobs j
+      JOIN job_applications ja ON ja.job_id = j.id
+      WHERE j.employer_id = ep.id
+    )
+  )
+  ORDER BY ep.id`;
+
 /**
  * User model encapsulating database operations for users
  */
 module.exports = class User {
+  /**
+   * Find the fields needed to authenticate a request
+   * @param {Number} id - User ID
+   * @returns {Object|null} User with id, email, role (primary), email_verified_at, suspended_at and roles
+   */
+  static async findAuthById(id) {
+    try {
+      const result = await query(
+        `SELECT u.id, u.email, u.role, u.email_verified_at, u.suspended_at, ${HELD_ROLES_SQL} as roles
+         FROM users u
+         WHERE u.id = $1`,
+        [id]
+      );
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding user for authentication', { error, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Get every role a user holds
+   * @param {Number} id - User ID
+   * @returns {Array} Role names (empty if the user does not exist)
+   */
+  static async getRoles(id) {
+    try {
+      const result = await query(
+        `SELECT ${HELD_ROLES_SQL} as roles FROM users u WHERE u.id = $1`,
+        [id]
+      );
+      
+      return result.rows.length > 0 ? result.rows[0].roles : [];
+    } catch (error) {
+      logger.error('Error getting user roles', { error, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Search users for the admin console
+   * @param {Object} filters - Filters (search, role, status)
+   * @param {Number} page - Page number
+   * @param {Number} limit - Items per page
+   */
+  static async search(filters = {}, page = 1, limit = 20) {
+    try {
+      const offset = (page - 1) * limit;
+      
+      // Build WHERE clauses
+      const whereConditions = [];
+      const queryParams = [];
+      let paramCounter = 1;
+      
+      if (filters.search) {
+        whereConditions.push(`(
+          u.email ILIKE $${paramCounter}
+          OR u.first_name ILIKE $${paramCounter}
+          OR u.last_name ILIKE $${paramCounter}
+          OR (u.first_name || ' ' || u.last_name) ILIKE $${paramCounter}
+        )`);
+        queryParams.push(`%${filters.search}%`);
+        paramCounter++;
+      }
+      
+      // Matches every role the user holds, not just the primary one
+      if (filters.role) {
+        whereConditions.push(`$${paramCounter} = ANY(${HELD_ROLES_SQL})`);
+        queryParams.push(filters.role);
+        paramCounter++;
+      }
+      
+      if (filters.status === 'active') {
+        whereConditions.push('u.suspended_at IS NULL AND (u.locked_until IS NULL OR u.locked_until <= NOW())');
+      } else if (filters.status === 'suspended') {
+        whereConditions.push('u.suspended_at IS NOT NULL');
+      } else if (filters.status === 'locked') {
+        whereConditions.push('u.locked_until > NOW()');
+      } else if (filters.status === 'pending_deletion') {
+        whereConditions.push('u.deletion_scheduled_for IS NOT NULL');
+      }
+      
+      const whereClause = whereConditions.length > 0
+        ? `WHERE ${whereConditions.join(' AND ')}`
+        : '';
+      
+      const result = await query(
+        `SELECT u.id, u.email, u.first_name, u.last_name, u.phone, u.role, ${HELD_ROLES_SQL} as roles,
+         u.email_verified_at, u.phone_verified_at, u.locked_until,
+         u.suspended_at, u.suspension_reason, u.password_reset_required_at,
+         u.deletion_scheduled_for, u.created_at
+         FROM users u
+         ${whereClause}
+         ORDER BY u.created_at DESC
+         LIMIT $${paramCounter} OFFSET $${paramCounter + 1}`,
+        [...queryParams, limit, offset]
+      );
+      
+      const countResult = await query(
+        `SELECT COUNT(*) FROM users u ${whereClause}`,
+        queryParams
+      );
+      
+      const totalCount = parseInt(countResult.rows[0].count);
+      
+      return {
+        users: result.rows,
+        pagination: {
+          total: totalCount,
+          page,
+          limit,
+          pages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error searching users', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Suspend a user account
+   * @param {Number} userId - User ID
+   * @param {String} reason - Suspension reason
+   * @param {Number} actorId - Admin user ID
+   * @param {Object} client - Optional transaction client
+   * @returns {Object|null} Updated user, or null if not found or already suspended
+   */
+  static async suspend(userId, reason, actorId, client = null) {
+    try {
+      const executor = client || { query };
+      
+      const result = await executor.query(
+        `UPDATE users
+         SET suspended_at = NOW(), suspension_reason = $2, suspended_by = $3, updated_at = NOW()
+         WHERE id = $1 AND suspended_at IS NULL
+         RETURNING id, email, suspended_at, suspension_reason`,
+        [userId, reason, actorId]
+      );
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error suspending user', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lift a user's suspension
+   * @param {Number} userId - User ID
+   * @param {Object} client - Optional transaction client
+   * @returns {Object|null} Updated user, or null if not found or not suspended
+   */
+  static async unsuspend(userId, client = null) {
+    try {
+      const executor = client || { query };
+      
+      const result = await executor.query(
+        `UPDATE users
+         SET suspended_at = NULL, suspension_reason = NULL, suspended_by = NULL, updated_at = NOW()
+         WHERE id = $1 AND suspended_at IS NOT NULL
+         RETURNING id, email`,
+        [userId]
+      );
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error unsuspending user', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Block logins until the user resets their password
+   * @param {Number} userId - User ID
+   * @param {Object} client - Optional transaction client
+   * @returns {Object|null} User (id, email, first_name), or null if not found
+   */
+  static async requirePasswordReset(userId, client = null) {
+    try {
+      const executor = client || { query };
+      
+      const result = await executor.query(
+        `UPDATE users
+         SET password_reset_required_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, email, first_name`,
+        [userId]
+      );
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error requiring password reset', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Change a user's primary role
+   * @param {Number} userId - User ID
+   * @param {String} role - New primary role
+   * @param {Object} client - Optional transaction client
+   */
+  static async changeRole(userId, role, client = null) {
+    try {
+      const executor = client || { query };
+      
+      const result = await executor.query(
+        `UPDATE users
+         SET role = $2, updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, email, role`,
+        [userId, role]
+      );
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error changing user role', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Give a user a second role by creating the matching profile
+   * @param {Number} userId - User ID
+   * @param {String} role - Role to add (job_seeker or employer)
+   * @param {Object} profileData - Profile data (companyName for employers)
+   * @param {Object} client - Optional transaction client
+   * @returns {Object} Created profile
+   */
+  static async addRole(userId, role, profileData = {}, client = null) {
+    const ownClient = !client;
+    const executor = client || await pool.connect();
+    
+    try {
+      if (ownClient) {
+        await executor.query('BEGIN');
+      }
+      
+      let profile;
+      
+      if (role === 'job_seeker') {
+        const result = await executor.query(
+          'INSERT INTO job_seeker_profiles (user_id) VALUES ($1) RETURNING *',
+          [userId]
+        );
+        
+        profile = result.rows[0];
+      } else {
+        const result = await executor.query(
+          'INSERT INTO employer_profiles (user_id, company_name) VALUES ($1, $2) RETURNING *',
+          [userId, profileData.companyName]
+        );
+        
+        profile = result.rows[0];
+        
+        await Company.addMember(profile.id, userId, 'owner', null, executor);
+      }
+      
+      if (ownClient) {
+        await executor.query('COMMIT');
+      }
+      
+      return profile;
+    } catch (error) {
+      if (ownClient) {
+        await executor.query('ROLLBACK');
+      }
+      logger.error('Error adding user role', { error, userId, role });
+      throw error;
+    } finally {
+      if (ownClient) {
+        executor.release();
+      }
+    }
+  }
+
   /**
    * Find user by ID with profile details
    * @param {Number} id - User ID
+   * @param {String} activeRole - Role to load the profile for (defaults to the primary role)
    */
-  static async findById(id) {
+  static async findById(id, activeRole = null) {
     try {
       // First get the user's role
       const userResult = await query(
@@ -21,14 +334,14 @@ module.exports = class User {
         return null;
       }
       
-      const { role } = userResult.rows[0];
+      const role = activeRole || userResult.rows[0].role;
       let userData;
       
       // Get user data based on role
       if (role === 'job_seeker') {
         const result = await query(
           `SELECT u.id, u.email, u.first_name, u.last_name, u.phone, u.role, u.profile_picture,
-          jsp.id as profile_id, jsp.bio, jsp.skills, jsp.experience_years, jsp.education, jsp.availability,
+          u.email_verified_at, u.phone_verified_at, jsp.id as profile_id, jsp.bio, jsp.skills, jsp.experience_years, jsp.education, jsp.availability,
           jsp.location_latitude, jsp.location_longitude, jsp.location_address
           FROM users u
           JOIN job_seeker_profiles jsp ON u.id = jsp.user_id
@@ -40,10 +353,18 @@ module.exports = class User {
       } else if (role === 'employer') {
         const result = await query(
           `SELECT u.id, u.email, u.first_name, u.last_name, u.phone, u.role, u.profile_picture,
-          ep.id as profile_id, ep.company_name, ep.company_description, ep.company_website, 
-          ep.company_logo, ep.industry, ep.location_latitude, ep.location_longitude, ep.location_address
+          u.email_verified_at, u.phone_verified_at, ep.id as profile_id, ep.company_name, ep.company_description, ep.company_website, 
+          ep.company_logo, ep.industry, ep.location_latitude, ep.location_longitude, ep.location_address,
+          ep.company_role
           FROM users u
-          JOIN employer_profiles ep ON u.id = ep.user_id
+          JOIN LATERAL (
+            SELECT ep.*, cm.role as company_role
+            FROM company_members cm
+            JOIN employer_profiles ep ON cm.employer_id = ep.id
+            WHERE cm.user_id = u.id
+            ORDER BY (cm.role = 'owner') DESC, cm.created_at ASC
+            LIMIT 1
+          ) ep ON true
           WHERE u.id = $1`,
           [id]
         );
@@ -52,7 +373,8 @@ module.exports = class User {
       } else {
         // Admin or other roles
         const result = await query(
-          `SELECT id, email, first_name, last_name, phone, role, profile_picture
+          `SELECT id, email, first_name, last_name, phone, role, profile_picture, email_verified_at,
+          phone_verified_at
           FROM users 
           WHERE id = $1`,
           [id]
@@ -82,10 +404,15 @@ module.exports = class User {
          SET first_name = COALESCE($1, first_name),
              last_name = COALESCE($2, last_name),
              phone = COALESCE($3, phone),
+             -- A new phone number has to be verified again
+             phone_verified_at = CASE
+               WHEN $3::VARCHAR IS NOT NULL AND $3::VARCHAR IS DISTINCT FROM phone THEN NULL
+               ELSE phone_verified_at
+             END,
              profile_picture = COALESCE($4, profile_picture),
              updated_at = NOW()
          WHERE id = $5
-         RETURNING id, email, first_name, last_name, phone, role, profile_picture`,
+         RETURNING id, email, first_name, last_name, phone, phone_verified_at, role, profile_picture`,
         [firstName, lastName, phone, profilePicture, id]
       );
       
@@ -96,6 +423,24 @@ module.exports = class User {
     }
   }
 
+  /**
+   * Find a user's job seeker profile
+   * @param {Number} userId - User ID
+   */
+  static async findJobSeekerProfile(userId) {
+    try {
+      const result = await query(
+        'SELECT * FROM job_seeker_profiles WHERE user_id = $1',
+        [userId]
+      );
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding job seeker profile', { error, userId });
+      throw error;
+    }
+  }
+
   /**
    * Update job seeker profile
    * @param {Number} userId - User ID
@@ -124,7 +469,8 @@ module.exports = class User {
         availability,
         locationLatitude,
         locationLongitude,
-        locationAddress
+        locationAddress,
+        discoverable
       } = profileData;
       
       const result = await query(
@@ -137,6 +483,7 @@ module.exports = class User {
              location_latitude = COALESCE($6, location_latitude),
              location_longitude = COALESCE($7, location_longitude),
              location_address = COALESCE($8, location_address),
+             discoverable = COALESCE($10, discoverable),
              updated_at = NOW()
          WHERE id = $9
          RETURNING *`,
@@ -149,7 +496,8 @@ module.exports = class User {
           locationLatitude,
           locationLongitude,
           locationAddress,
-          profileId
+          profileId,
+          discoverable
         ]
       );
       
@@ -167,10 +515,15 @@ module.exports = class User {
    */
   static async updateEmployerProfile(userId, profileData) {
     try {
-      // Get profile ID
+      // Get the company profile the user can manage
       const profileResult = await query(
-        'SELECT id FROM employer_profiles WHERE user_id = $1',
-        [userId]
+        `SELECT employer_id as id
+         FROM company_members
+         WHERE user_id = $1 AND role IN ('owner', 'manager')
+         AND ($2::INT IS NULL OR employer_id = $2::INT)
+         ORDER BY (role = 'owner') DESC, created_at ASC
+         LIMIT 1`,
+        [userId, profileData.companyId || null]
       );
       
       if (profileResult.rows.length === 0) {
@@ -284,9 +637,13 @@ module.exports = class User {
    */
   static async getEmployerStats(userId) {
     try {
-      // Get employer profile ID
+      // Get the company the user belongs to (their own first)
       const profileResult = await query(
-        'SELECT id FROM employer_profiles WHERE user_id = $1',
+        `SELECT employer_id as id
+         FROM company_members
+         WHERE user_id = $1
+         ORDER BY (role = 'owner') DESC, created_at ASC
+         LIMIT 1`,
         [userId]
       );
       
@@ -357,4 +714,338 @@ module.exports = class User {
       throw error;
     }
   }
+
+  /**
+   * Collect everything stored about a user for a data export
+   * @param {Number} userId - User ID
+   */
+  static async exportData(userId) {
+    try {
+      const userResult = await query(
+        `SELECT id, email, first_name, last_name, phone, profile_picture, role,
+         email_verified_at, phone_verified_at, created_at, updated_at
+         FROM users
+         WHERE id = $1`,
+        [userId]
+      );
+      
+      if (userResult.rows.length === 0) {
+        return null;
+      }
+      
+      const jobSeekerProfileResult = await query(
+        `SELECT bio, skills, experience_years, education, availability,
+         location_latitude, location_longitude, location_address, created_at, updated_at
+         FROM job_seeker_profiles
+         WHERE user_id = $1`,
+        [userId]
+      );
+      
+      const companiesResult = await query(
+        `SELECT ep.id, ep.company_name, ep.company_description, ep.company_website,
+         ep.company_logo, ep.industry, ep.location_address, cm.role, cm.created_at as joined_at
+         FROM company_members cm
+         JOIN employer_profiles ep ON cm.employer_id = ep.id
+         WHERE cm.user_id = $1
+         ORDER BY cm.created_at ASC`,
+        [userId]
+      );
+      
+      const applicationsResult = await query(
+        `SELECT ja.id, ja.job_id, j.title as job_title, ja.cover_letter, ja.status,
+         ja.created_at, ja.updated_at
+         FROM job_applications ja
+         JOIN job_seeker_profiles jsp ON ja.job_seeker_id = jsp.id
+         LEFT JOIN jobs j ON ja.job_id = j.id
+         WHERE jsp.user_id = $1
+         ORDER BY ja.created_at ASC`,
+        [userId]
+      );
+      
+      // Jobs posted by companies the user owns
+      const jobsResult = await query(
+        `SELECT j.*
+         FROM jobs j
+         JOIN company_members cm ON cm.employer_id = j.employer_id
+         WHERE cm.user_id = $1 AND cm.role = 'owner'
+         ORDER BY j.created_at ASC`,
+        [userId]
+      );
+      
+      const reviewsResult = await query(
+        `SELECT id, reviewer_id, reviewee_id, job_id, rating, comment, created_at, updated_at
+         FROM reviews
+         WHERE reviewer_id = $1 OR reviewee_id = $1
+         ORDER BY created_at ASC`,
+        [userId]
+      );
+      
+      const notificationsResult = await query(
+        `SELECT id, title, message, type, related_id, is_read, created_at
+         FROM notifications
+         WHERE user_id = $1
+         ORDER BY created_at ASC`,
+        [userId]
+      );
+      
+      const jobInvitationsResult = await query(
+        `SELECT ji.id, ji.job_id, ji.message, ji.status, ji.responded_at, ji.created_at
+         FROM job_invitations ji
+         JOIN job_seeker_profiles jsp ON ji.job_seeker_id = jsp.id
+         WHERE jsp.user_id = $1
+         ORDER BY ji.created_at ASC`,
+        [userId]
+      );
+      
+      const availabilitySlotsResult = await query(
+        `SELECT s.day_of_week, s.start_time, s.end_time
+         FROM availability_slots s
+         JOIN job_seeker_profiles jsp ON s.job_seeker_id = jsp.id
+         WHERE jsp.user_id = $1
+         ORDER BY s.day_of_week ASC, s.start_time ASC`,
+        [userId]
+      );
+      
+      const availabilityExceptionsResult = await query(
+        `SELECT TO_CHAR(ae.on_date, 'YYYY-MM-DD') AS date, ae.available,
+         ae.start_time, ae.end_time, ae.note, ae.created_at
+         FROM availability_exceptions ae
+         JOIN job_seeker_profiles jsp ON ae.job_seeker_id = jsp.id
+         WHERE jsp.user_id = $1
+         ORDER BY ae.on_date ASC`,
+        [userId]
+      );
+      
+      const presenceResult = await query(
+        `SELECT p.on_duty_until, p.latitude, p.longitude, p.location_updated_at, p.updated_at
+         FROM job_seeker_presence p
+         JOIN job_seeker_profiles jsp ON p.job_seeker_id = jsp.id
+         WHERE jsp.user_id = $1`,
+        [userId]
+      );
+      
+      const savedSearchesResult = await query(
+        `SELECT id, name, filters, frequency, created_at, updated_at
+         FROM saved_searches
+         WHERE user_id = $1
+         ORDER BY created_at ASC`,
+        [userId]
+      );
+      
+      return {
+        exportedAt: new Date().toISOString(),
+        user: userResult.rows[0],
+        jobSeekerProfile: jobSeekerProfileResult.rows[0] || null,
+        companies: companiesResult.rows,
+        applications: applicationsResult.rows,
+        jobs: jobsResult.rows.map(Job.toPublic),
+        reviews: {
+          written: reviewsResult.rows.filter(review => review.reviewer_id === userId),
+          received: reviewsResult.rows.filter(review => review.reviewee_id === userId)
+        },
+        notifications: notificationsResult.rows,
+        savedSearches: savedSearchesResult.rows,
+        jobInvitations: jobInvitationsResult.rows,
+        presence: presenceResult.rows[0] || null,
+        availability: {
+          weekly: availabilitySlotsResult.rows,
+          exceptions: availabilityExceptionsResult.rows
+        }
+      };
+    } catch (error) {
+      logger.error('Error exporting user data', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find companies that would be lost with the user's account: they are its
+   * last owner, no manager can take over, and the company has other members
+   * or applications
+   * @param {Number} userId - User ID
+   * @returns {Array} Companies (id, company_name)
+   */
+  static async findUntransferableCompanies(userId) {
+    try {
+      const result = await query(UNTRANSFERABLE_COMPANIES_SQL, [userId]);
+      
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding untransferable companies', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule a user's account for deletion
+   * @param {Number} userId - User ID
+   * @param {Number} graceDays - Days before the account is purged
+   * @returns {Object|null} Deletion dates, or null if a deletion is already scheduled
+   */
+  static async requestDeletion(userId, graceDays) {
+    try {
+      const result = await query(
+        `UPDATE users
+         SET deletion_requested_at = NOW(),
+             deletion_scheduled_for = NOW() + make_interval(days => $2::INT)
+         WHERE id = $1 AND deletion_scheduled_for IS NULL
+         RETURNING deletion_requested_at, deletion_scheduled_for`,
+        [userId, graceDays]
+      );
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error requesting account deletion', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending account deletion
+   * @param {Number} userId - User ID
+   * @returns {Boolean} Whether a deletion was pending
+   */
+  static async cancelDeletion(userId) {
+    try {
+      const result = await query(
+        `UPDATE users
+         SET deletion_requested_at = NULL, deletion_scheduled_for = NULL
+         WHERE id = $1 AND deletion_scheduled_for IS NOT NULL
+         RETURNING id`,
+        [userId]
+      );
+      
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error cancelling account deletion', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find accounts whose deletion grace period has ended
+   * @param {Number} limit - Maximum number of accounts to return
+   */
+  static async findDueForDeletion(limit = 50) {
+    try {
+      const result = await query(
+        `SELECT id
+         FROM users
+         WHERE deletion_scheduled_for <= NOW()
+         ORDER BY deletion_scheduled_for ASC
+         LIMIT $1`,
+        [limit]
+      );
+      
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      logger.error('Error finding accounts due for deletion', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete an account whose grace period has ended.
+   * Reviews the user wrote are kept with the reviewer anonymized, and
+   * companies the user owned are handed to a remaining owner or manager.
+   * If a company has nobody to take it over but still holds other people's
+   * memberships or applications, the deletion is cancelled instead.
+   * @param {Number} userId - User ID
+   * @returns {Object} { outcome: 'purged' | 'not_due' } or
+   *   { outcome: 'blocked', user, companies } with the user's email and first_name
+   */
+  static async purge(userId) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const userResult = await client.query(
+        `SELECT id, email, first_name FROM users
+         WHERE id = $1 AND deletion_scheduled_for <= NOW()
+         FOR UPDATE`,
+        [userId]
+      );
+      
+      if (userResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { outcome: 'not_due' };
+      }
+      
+      // Hold the memberships of the user's companies while deciding who takes over
+      await client.query(
+        `SELECT id FROM company_members
+         WHERE employer_id IN (SELECT employer_id FROM company_members WHERE user_id = $1)
+         FOR UPDATE`,
+        [userId]
+      );
+      
+      const blockedResult = await client.query(UNTRANSFERABLE_COMPANIES_SQL, [userId]);
+      
+      if (blockedResult.rows.length > 0) {
+        await client.query(
+          `UPDATE users
+           SET deletion_requested_at = NULL, deletion_scheduled_for = NULL
+           WHERE id = $1`,
+          [userId]
+        );
+        await client.query('COMMIT');
+        
+        return { outcome: 'blocked', user: userResult.rows[0], companies: blockedResult.rows };
+      }
+      
+      // Promote the longest-standing manager where the user is the last owner
+      await client.query(
+        `UPDATE company_members
+         SET role = 'owner'
+         WHERE id IN (
+           SELECT DISTINCT ON (m.employer_id) m.id
+           FROM company_members m
+           JOIN company_members leaving ON leaving.employer_id = m.employer_id
+             AND leaving.user_id = $1 AND leaving.role = 'owner'
+           WHERE m.user_id <> $1 AND m.role = 'manager'
+           AND NOT EXISTS (
+             SELECT 1 FROM company_members o
+             WHERE o.employer_id = m.employer_id AND o.role = 'owner' AND o.user_id <> $1
+           )
+           ORDER BY m.employer_id, m.created_at ASC
+         )`,
+        [userId]
+      );
+      
+      // Keep companies that still have an owner from being cascade-deleted
+      await client.query(
+        `UPDATE employer_profiles ep
+         SET user_id = (
+           SELECT o.user_id FROM company_members o
+           WHERE o.employer_id = ep.id AND o.role = 'owner' AND o.user_id <> $1
+           ORDER BY o.created_at ASC
+           LIMIT 1
+         ), updated_at = NOW()
+         WHERE ep.user_id = $1
+         AND EXISTS (
+           SELECT 1 FROM company_members o
+           WHERE o.employer_id = ep.id AND o.role = 'owner' AND o.user_id <> $1
+         )`,
+        [userId]
+      );
+      
+      // Anonymize reviews written by the user
+      await client.query(
+        'UPDATE reviews SET reviewer_id = NULL WHERE reviewer_id = $1',
+        [userId]
+      );
+      
+      await client.query('DELETE FROM users WHERE id = $1', [userId]);
+      
+      await client.query('COMMIT');
+      return { outcome: 'purged' };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error purging user account', { error, userId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
 };
\ No newline at end of file
@@ -0,0 +1,122 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const adminController = require('../controllers/admin.controller');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const validationMiddleware = require('../middlewares/validationMiddleware');
+
+const router = express.Router();
+
+// All routes require an authenticated admin
+router.use(protect);
+router.use(authorize('admin'));
+
+// Validation rules
+const userSearchValidation = [
+  query('role')
+    .optional()
+    .isIn(['job_seeker', 'employer', 'admin'])
+    .withMessage('Role must be job_seeker, employer, or admin'),
+  query('status')
+    .optional()
+    .isIn(['active', 'suspended', 'locked', 'pending_deletion'])
+    .withMessage('Status must be active, suspended, locked, or pending_deletion')
+];
+
+const suspendValidation = [
+  body('reason').trim().notEmpty().withMessage('A suspension reason is required')
+];
+
+const reasonValidation = [
+  body('reason').optional().isString().withMessage('Reason must be a string')
+];
+
+const changeRoleValidation = [
+  body('role')
+    .isIn(['job_seeker', 'employer', 'admin'])
+    .withMessage('Role must be job_seeker, employer, or admin'),
+  body('companyName').optional().isString().withMessage('Company name must be a string')
+];
+
+const impersonateValidation = [
+  body('reason').trim().notEmpty().withMessage('A reason for impersonating is required'),
+  body('role')
+    .optional()
+    .isIn(['job_seeker', 'employer'])
+    .withMessage('Role must be job_seeker or employer')
+];
+
+const unlockValidation = [
+  body('reason').optional().isString().withMessage('Reason must be a string')
+];
+
+const twoFactorPolicyValidation = [
+  param('role')
+    .isIn(['job_seeker', 'employer', 'admin'])
+    .withMessage('Role must be job_seeker, employer, or admin'),
+  body('required').isBoolean().withMessage('Required must be a boolean').toBoolean()
+];
+
+// Routes
+router.get(
+  '/users',
+  userSearchValidation,
+  validationMiddleware,
+  adminController.getUsers
+);
+
+router.post(
+  '/users/:id/suspend',
+  suspendValidation,
+  validationMiddleware,
+  adminController.suspendUser
+);
+
+router.post(
+  '/users/:id/unsuspend',
+  reasonValidation,
+  validationMiddleware,
+  adminController.unsuspendUser
+);
+
+router.post(
+  '/users/:id/force-password-reset',
+  reasonValidation,
+  validationMiddleware,
+  adminController.forcePasswordReset
+);
+
+router.patch(
+  '/users/:id/role',
+  changeRoleValidation,
+  validationMiddleware,
+  adminController.changeUserRole
+);
+
+router.post(
+  '/users/:id/impersonate',
+  impersonateValidation,
+  validationMiddleware,
+  adminController.impersonateUser
+);
+
+router.post(
+  '/users/:id/unlock',
+  unlockValidation,
+  validationMiddleware,
+  adminController.unlockUser
+);
+
+router.get('/users/:id/lock-events', adminController.getUserLockEvents);
+
+router.get('/audit-log', adminController.getAuditLog);
+
+router.get('/two-factor/policies', adminController.getTwoFactorPolicies);
+
+router.put(
+  '/two-factor/policies/:role',
+  twoFactorPolicyValidation,
+  validationMiddleware,
+  adminController.setTwoFactorPolicy
+);
+
+module.exports = router;
@@ -1,17 +1,21 @@
 const express = require('express');
 const { body } = require('express-validator');
 const applicationController = require('../controllers/application.controller');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, authorize, requireVerifiedEmail, allowApiKey } = require('../middlewares/authMiddleware');
 const validationMiddleware = require('../middlewares/validationMiddleware');
 
 const router = express.Router();
 
+// Routes that integrations may call with an API key
+router.get('/job/:jobId', allowApiKey('applications:read'));
+
 // All routes require authentication
 router.use(protect);
 
 // Validation rules
 const applyJobValidation = [
   body('jobId').isInt().withMessage('Valid job ID is required'),
+  body('shiftId').optional().isInt().withMessage('Shift ID must be an integer').toInt(),
   body('coverLetter').optional()
 ];
 
@@ -25,6 +29,7 @@ const updateStatusValidation = [
 router.post(
   '/',
   authorize('job_seeker'),
+  requireVerifiedEmail('job_seeker'),
   applyJobValidation,
   validationMiddleware,
   applicationController.applyForJob
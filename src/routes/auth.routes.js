@@ -1,7 +1,11 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const authController = require('../controllers/auth.controller');
-const { protect } = require('../middlewares/authMiddleware');
+const {
+  protect,
+  protectTwoFactorSetup,
+  forbidImpersonation
+} = require('../middlewares/authMiddleware');
 const validationMiddleware = require('../middlewares/validationMiddleware');
 
 const router = express.Router();
@@ -19,8 +23,10 @@ const registerValidation = [
     .withMessage('Role must be either job_seeker or employer'),
   body('companyName')
     .if(body('role').equals('employer'))
+    .if(body('inviteToken').not().exists())
     .notEmpty()
-    .withMessage('Company name is required for employers')
+    .withMessage('Company name is required for employers'),
+  body('inviteToken').optional().isString().withMessage('Invite token must be a string')
 ];
 
 const loginValidation = [
@@ -35,6 +41,57 @@ const passwordUpdateValidation = [
     .withMessage('New password must be at least 6 characters')
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+];
+
+const switchRoleValidation = [
+  body('role')
+    .isIn(['job_seeker', 'employer'])
+    .withMessage('Role must be either job_seeker or employer')
+];
+
+const forgotPasswordValidation = [
+  body('email').isEmail().withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters')
+];
+
+const verifyEmailValidation = [
+  query('token').notEmpty().withMessage('Verification token is required')
+];
+
+const unlockAccountValidation = [
+  body('token').notEmpty().withMessage('Unlock token is required')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code')
+    .if(body('backupCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('A 6 digit code or a backup code is required')
+];
+
+const twoFactorDisableValidation = [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code')
+    .if(body('backupCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('A 6 digit code or a backup code is required')
+];
+
 // Routes
 router.post(
   '/register',
@@ -50,11 +107,103 @@ router.post(
   authController.login
 );
 
+router.post(
+  '/refresh',
+  refreshTokenValidation,
+  validationMiddleware,
+  authController.refresh
+);
+
+router.post(
+  '/logout',
+  refreshTokenValidation,
+  validationMiddleware,
+  authController.logout
+);
+
+router.post('/logout-all', protect, forbidImpersonation, authController.logoutAll);
+
+router.post(
+  '/switch-role',
+  protect,
+  forbidImpersonation,
+  switchRoleValidation,
+  validationMiddleware,
+  authController.switchRole
+);
+
+router.post(
+  '/forgot-password',
+  forgotPasswordValidation,
+  validationMiddleware,
+  authController.forgotPassword
+);
+
+router.post(
+  '/reset-password',
+  resetPasswordValidation,
+  validationMiddleware,
+  authController.resetPassword
+);
+
+router.get(
+  '/verify-email',
+  verifyEmailValidation,
+  validationMiddleware,
+  authController.verifyEmail
+);
+
+router.post('/resend-verification', protect, authController.resendVerification);
+
+router.post(
+  '/unlock-account',
+  unlockAccountValidation,
+  validationMiddleware,
+  authController.unlockAccount
+);
+
+router.post(
+  '/2fa/verify',
+  twoFactorLoginValidation,
+  validationMiddleware,
+  authController.verifyTwoFactorLogin
+);
+
+router.post('/2fa/setup', protectTwoFactorSetup, forbidImpersonation, authController.setupTwoFactor);
+
+router.post(
+  '/2fa/enable',
+  protectTwoFactorSetup,
+  forbidImpersonation,
+  twoFactorCodeValidation,
+  validationMiddleware,
+  authController.enableTwoFactor
+);
+
+router.post(
+  '/2fa/disable',
+  protect,
+  forbidImpersonation,
+  twoFactorDisableValidation,
+  validationMiddleware,
+  authController.disableTwoFactor
+);
+
+router.post(
+  '/2fa/backup-codes',
+  protect,
+  forbidImpersonation,
+  twoFactorCodeValidation,
+  validationMiddleware,
+  authController.regenerateBackupCodes
+);
+
 router.get('/me', protect, authController.getMe);
 
 router.put(
   '/password',
   protect,
+  forbidImpersonation,
   passwordUpdateValidation,
   validationMiddleware,
   authController.updatePassword
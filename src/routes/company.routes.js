@@ -0,0 +1,88 @@
+const express = require('express');
+const { body } = require('express-validator');
+const ApiKey = require('../models/apiKey.model');
+const companyController = require('../controllers/company.controller');
+const { protect, authorize, forbidImpersonation } = require('../middlewares/authMiddleware');
+const validationMiddleware = require('../middlewares/validationMiddleware');
+
+const router = express.Router();
+
+// All routes require an authenticated employer
+router.use(protect);
+router.use(authorize('employer'));
+
+// Validation rules
+const inviteValidation = [
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('role')
+    .isIn(['manager', 'viewer'])
+    .withMessage('Role must be manager or viewer')
+];
+
+const acceptInviteValidation = [
+  body('token').notEmpty().withMessage('Invitation token is required')
+];
+
+const memberRoleValidation = [
+  body('role')
+    .isIn(['owner', 'manager', 'viewer'])
+    .withMessage('Role must be owner, manager, or viewer')
+];
+
+const apiKeyValidation = [
+  body('name').trim().notEmpty().withMessage('Key name is required'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Expiry must be between 1 and 3650 days')
+];
+
+// Routes
+router.get('/mine', companyController.getMyCompanies);
+
+router.post(
+  '/invitations/accept',
+  acceptInviteValidation,
+  validationMiddleware,
+  companyController.acceptInvitation
+);
+
+router.get('/:id/members', companyController.getMembers);
+
+router.post(
+  '/:id/invitations',
+  inviteValidation,
+  validationMiddleware,
+  companyController.inviteMember
+);
+
+router.delete('/:id/invitations/:invitationId', companyController.revokeInvitation);
+
+router.patch(
+  '/:id/members/:userId',
+  memberRoleValidation,
+  validationMiddleware,
+  companyController.updateMemberRole
+);
+
+router.delete('/:id/members/:userId', companyController.removeMember);
+
+router.get('/:id/api-keys', companyController.getApiKeys);
+
+router.post(
+  '/:id/api-keys',
+  forbidImpersonation,
+  apiKeyValidation,
+  validationMiddleware,
+  companyController.createApiKey
+);
+
+router.delete('/:id/api-keys/:keyId', forbidImpersonation, companyController.revokeApiKey);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const jobController = require('../controllers/job.controller');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, authorize, requireVerifiedEmail, allowApiKey } = require('../middlewares/authMiddleware');
 const validationMiddleware = require('../middlewares/validationMiddleware');
 
 const router = express.Router();
@@ -20,7 +20,34 @@ const createJobValidation = [
   body('urgency')
     .isIn(['immediate', 'today', 'this_week', 'flexible'])
     .withMessage('Urgency must be valid'),
-  body('category').notEmpty().withMessage('Category is required')
+  body('category').notEmpty().withMessage('Category is required'),
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid date and time'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid date and time'),
+  body('positions')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Positions must be a positive integer'),
+  body('instantBook').optional().isBoolean().withMessage('Instant book must be true or false'),
+  body('instantBookMinRating')
+    .optional({ nullable: true })
+    .isFloat({ min: 1, max: 5 })
+    .withMessage('Instant book minimum rating must be between 1 and 5'),
+  body('instantBookVerifiedPhone')
+    .optional()
+    .isBoolean()
+    .withMessage('Instant book verified phone must be true or false'),
+  body('requiredSkills').optional().isArray().withMessage('Required skills must be an array'),
+  body('status')
+    .optional()
+    .isIn(['active', 'draft'])
+    .withMessage('New jobs must be active or draft'),
+  body('companyId').optional().isInt().withMessage('Company ID must be an integer')
 ];
 
 const updateJobValidation = [
@@ -37,15 +64,93 @@ const updateJobValidation = [
     .optional()
     .isIn(['immediate', 'today', 'this_week', 'flexible'])
     .withMessage('Urgency must be valid'),
-  body('status')
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid date and time'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid date and time'),
+  body('positions')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Positions must be a positive integer'),
+  body('instantBook').optional().isBoolean().withMessage('Instant book must be true or false'),
+  body('instantBookMinRating')
+    .optional({ nullable: true })
+    .isFloat({ min: 1, max: 5 })
+    .withMessage('Instant book minimum rating must be between 1 and 5'),
+  body('instantBookVerifiedPhone')
     .optional()
+    .isBoolean()
+    .withMessage('Instant book verified phone must be true or false'),
+  body('requiredSkills').optional().isArray().withMessage('Required skills must be an array'),
+  body('status')
+    .not()
+    .exists()
+    .withMessage('Use PATCH /api/jobs/:id/status to change the status')
+];
+
+const updateJobStatusValidation = [
+  body('status')
     .isIn(['active', 'filled', 'expired', 'draft'])
-    .withMessage('Status must be valid')
+    .withMessage('Status must be active, filled, expired or draft')
+];
+
+const createShiftValidation = [
+  body('startsAt').isISO8601().withMessage('Start time must be a valid date and time'),
+  body('endsAt').isISO8601().withMessage('End time must be a valid date and time'),
+  body('positions')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Positions must be a positive integer')
+    .toInt(),
+  body('label')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Label must be at most 100 characters')
 ];
 
+const updateShiftValidation = [
+  body('startsAt').optional().isISO8601().withMessage('Start time must be a valid date and time'),
+  body('endsAt').optional().isISO8601().withMessage('End time must be a valid date and time'),
+  body('positions')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Positions must be a positive integer')
+    .toInt(),
+  body('label')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Label must be at most 100 characters')
+];
+
+const inviteCandidateValidation = [
+  body('message')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Message must be at most 1000 characters')
+];
+
+// Registered before /:id so "recommended" is not taken for a job ID
+router.get(
+  '/recommended',
+  protect,
+  authorize('job_seeker'),
+  jobController.getRecommendedJobs
+);
+
 // Public routes
 router.get('/', jobController.getJobs);
 router.get('/:id', jobController.getJobById);
+router.get('/:id/shifts', jobController.getJobShifts);
+
+// Routes that integrations may call with an API key
+router.post('/', allowApiKey('jobs:write'));
 
 // Protected routes
 router.use(protect);
@@ -54,6 +159,7 @@ router.use(protect);
 router.post(
   '/',
   authorize('employer'),
+  requireVerifiedEmail('employer'),
   createJobValidation,
   validationMiddleware,
   jobController.createJob
@@ -67,6 +173,50 @@ router.put(
   jobController.updateJob
 );
 
+router.patch(
+  '/:id/status',
+  authorize('employer'),
+  updateJobStatusValidation,
+  validationMiddleware,
+  jobController.updateJobStatus
+);
+
+router.post(
+  '/:id/shifts',
+  authorize('employer'),
+  createShiftValidation,
+  validationMiddleware,
+  jobController.createJobShift
+);
+
+router.put(
+  '/:id/shifts/:shiftId',
+  authorize('employer'),
+  updateShiftValidation,
+  validationMiddleware,
+  jobController.updateJobShift
+);
+
+router.get(
+  '/:id/candidates',
+  authorize('employer'),
+  jobController.getJobCandidates
+);
+
+router.get(
+  '/:id/broadcast',
+  authorize('employer'),
+  jobController.getJobBroadcast
+);
+
+router.post(
+  '/:id/candidates/:jobSeekerId/invite',
+  authorize('employer'),
+  inviteCandidateValidation,
+  validationMiddleware,
+  jobController.inviteCandidate
+);
+
 router.delete(
   '/:id',
   authorize('employer'),
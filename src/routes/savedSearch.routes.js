@@ -0,0 +1,87 @@
+const express = require('express');
+const { body } = require('express-validator');
+const savedSearchController = require('../controllers/savedSearch.controller');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const validationMiddleware = require('../middlewares/validationMiddleware');
+
+const router = express.Router();
+
+// All routes require a job seeker
+router.use(protect);
+router.use(authorize('job_seeker'));
+
+// Validation rules
+const filterValidation = [
+  body('filters').optional().isObject().withMessage('Filters must be an object'),
+  body('filters.category').optional().isString().withMessage('Category must be a string'),
+  body('filters.urgency')
+    .optional()
+    .isIn(['immediate', 'today', 'this_week', 'flexible'])
+    .withMessage('Urgency must be valid'),
+  body('filters.payType')
+    .optional()
+    .isIn(['hourly', 'fixed', 'daily'])
+    .withMessage('Pay type must be hourly, fixed, or daily'),
+  body('filters.minPay').optional().isFloat({ min: 0 }).withMessage('Minimum pay must be a number'),
+  body('filters.maxPay').optional().isFloat({ min: 0 }).withMessage('Maximum pay must be a number'),
+  body('filters.latitude')
+    .if(body('filters.longitude').exists())
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('filters.longitude')
+    .if(body('filters.latitude').exists())
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('filters.radius')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Radius must be a positive number')
+    .bail()
+    .custom((value, { req }) => req.body.filters.latitude !== undefined && req.body.filters.longitude !== undefined)
+    .withMessage('Radius requires latitude and longitude'),
+  body('filters.keyword').optional().isString().withMessage('Keyword must be a string'),
+  body('frequency')
+    .optional()
+    .isIn(['instant', 'hourly', 'daily'])
+    .withMessage('Frequency must be instant, hourly or daily')
+];
+
+const createSavedSearchValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required (at most 100 characters)'),
+  ...filterValidation
+];
+
+const updateSavedSearchValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1 to 100 characters'),
+  ...filterValidation
+];
+
+// Routes
+router.get('/', savedSearchController.getSavedSearches);
+
+router.post(
+  '/',
+  createSavedSearchValidation,
+  validationMiddleware,
+  savedSearchController.createSavedSearch
+);
+
+router.put(
+  '/:id',
+  updateSavedSearchValidation,
+  validationMiddleware,
+  savedSearchController.updateSavedSearch
+);
+
+router.delete('/:id', savedSearchController.deleteSavedSearch);
+
+router.get('/:id/jobs', savedSearchController.getSavedSearchJobs);
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const userController = require('../controllers/user.controller');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, authorize, forbidImpersonation } = require('../middlewares/authMiddleware');
 const validationMiddleware = require('../middlewares/validationMiddleware');
+const Availability = require('../models/availability.model');
 
 const router = express.Router();
 
@@ -25,10 +26,12 @@ const jobSeekerProfileValidation = [
   body('availability').optional().isString(),
   body('locationLatitude').optional().isNumeric(),
   body('locationLongitude').optional().isNumeric(),
-  body('locationAddress').optional().isString()
+  body('locationAddress').optional().isString(),
+  body('discoverable').optional().isBoolean().withMessage('Discoverable must be true or false')
 ];
 
 const employerProfileValidation = [
+  body('companyId').optional().isInt().withMessage('Company ID must be an integer'),
   body('companyName').optional().isString(),
   body('companyDescription').optional().isString(),
   body('companyWebsite').optional().isURL().withMessage('Company website must be a valid URL'),
@@ -39,6 +42,118 @@ const employerProfileValidation = [
   body('locationAddress').optional().isString()
 ];
 
+const addRoleValidation = [
+  body('role')
+    .isIn(['job_seeker', 'employer'])
+    .withMessage('Role must be either job_seeker or employer'),
+  body('companyName')
+    .if(body('role').equals('employer'))
+    .notEmpty()
+    .withMessage('Company name is required for employers')
+];
+
+const deleteAccountValidation = [
+  body('password').notEmpty().withMessage('Password is required to delete your account')
+];
+
+const sendPhoneCodeValidation = [
+  body('phone')
+    .trim()
+    .matches(/^\+[1-9]\d{7,14}$/)
+    .withMessage('Phone must be in international format, e.g. +14155550123')
+];
+
+const verifyPhoneValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+const jobInvitationResponseValidation = [
+  body('status')
+    .isIn(['accepted', 'declined'])
+    .withMessage('Status must be accepted or declined')
+];
+
+const presenceValidation = [
+  body('onDuty').isBoolean().withMessage('onDuty must be true or false').toBoolean(),
+  body('minutes')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minutes must be a positive integer'),
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat()
+];
+
+const presenceLocationValidation = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat()
+];
+
+// HH:MM, with 24:00 for the end of the day
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const availabilityQueryValidation = [
+  query('from').optional().isISO8601().withMessage('From must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601().withMessage('To must be a date (YYYY-MM-DD)')
+];
+
+const availabilityValidation = [
+  body('timezone')
+    .optional()
+    .custom(value => Availability.isValidTimezone(value))
+    .withMessage('Timezone must be an IANA timezone name, e.g. Europe/Berlin'),
+  body('weekly').optional().isArray({ max: 50 }).withMessage('Weekly must be an array of at most 50 slots'),
+  body('weekly.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be 0 (Sunday) to 6 (Saturday)')
+    .toInt(),
+  body('weekly.*.startTime').matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+  body('weekly.*.endTime').matches(TIME_PATTERN).withMessage('End time must be HH:MM')
+];
+
+const availabilityExceptionValidation = [
+  body('date').isISO8601().withMessage('Date must be a date (YYYY-MM-DD)'),
+  body('available').isBoolean().withMessage('Available must be true or false').toBoolean(),
+  body('startTime')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('Start time must be HH:MM')
+    .bail()
+    .custom((value, { req }) => req.body.endTime !== undefined)
+    .withMessage('Start time must be given with end time'),
+  body('endTime')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('End time must be HH:MM')
+    .bail()
+    .custom((value, { req }) => req.body.startTime !== undefined)
+    .withMessage('End time must be given with start time')
+    .bail()
+    .custom((value, { req }) => value > req.body.startTime)
+    .withMessage('End time must be after start time'),
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Note must be at most 255 characters')
+];
+
 // Routes
 router.get('/profile', userController.getUserProfile);
 
@@ -65,6 +180,114 @@ router.put(
   userController.updateEmployerProfile
 );
 
+router.get(
+  '/profile/availability',
+  authorize('job_seeker'),
+  availabilityQueryValidation,
+  validationMiddleware,
+  userController.getAvailability
+);
+
+router.put(
+  '/profile/availability',
+  authorize('job_seeker'),
+  availabilityValidation,
+  validationMiddleware,
+  userController.updateAvailability
+);
+
+router.post(
+  '/profile/availability/exceptions',
+  authorize('job_seeker'),
+  availabilityExceptionValidation,
+  validationMiddleware,
+  userController.createAvailabilityException
+);
+
+router.put(
+  '/profile/availability/exceptions/:id',
+  authorize('job_seeker'),
+  availabilityExceptionValidation,
+  validationMiddleware,
+  userController.updateAvailabilityException
+);
+
+router.delete(
+  '/profile/availability/exceptions/:id',
+  authorize('job_seeker'),
+  userController.deleteAvailabilityException
+);
+
 router.get('/dashboard', userController.getDashboardStats);
 
+router.post(
+  '/me/roles',
+  forbidImpersonation,
+  addRoleValidation,
+  validationMiddleware,
+  userController.addRole
+);
+
+router.post(
+  '/me/phone/send-code',
+  forbidImpersonation,
+  sendPhoneCodeValidation,
+  validationMiddleware,
+  userController.sendPhoneCode
+);
+
+router.post(
+  '/me/phone/verify',
+  forbidImpersonation,
+  verifyPhoneValidation,
+  validationMiddleware,
+  userController.verifyPhone
+);
+
+router.get('/me/export', forbidImpersonation, userController.exportMyData);
+
+router.delete(
+  '/me',
+  forbidImpersonation,
+  deleteAccountValidation,
+  validationMiddleware,
+  userController.deleteMyAccount
+);
+
+router.get(
+  '/me/job-invitations',
+  authorize('job_seeker'),
+  userController.getJobInvitations
+);
+
+router.patch(
+  '/me/job-invitations/:id',
+  authorize('job_seeker'),
+  jobInvitationResponseValidation,
+  validationMiddleware,
+  userController.respondToJobInvitation
+);
+
+router.get(
+  '/me/presence',
+  authorize('job_seeker'),
+  userController.getPresence
+);
+
+router.put(
+  '/me/presence',
+  authorize('job_seeker'),
+  presenceValidation,
+  validationMiddleware,
+  userController.updatePresence
+);
+
+router.post(
+  '/me/presence/location',
+  authorize('job_seeker'),
+  presenceLocationValidation,
+  validationMiddleware,
+  userController.updatePresenceLocation
+);
+
 module.exports = router;
\ No newline at end of file
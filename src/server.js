@@ -2,6 +2,7 @@ require('dotenv').config();
 const app = require('./app');
 const logger = require('./utils/logger');
 const db = require('./db/connection');
+const { startScheduledTasks } = require('./tasks');
 
 const PORT = process.env.PORT || 5002;
 
@@ -14,6 +15,9 @@ db.connect()
     app.listen(PORT, () => {
       logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
     });
+    
+    // Start background tasks (account purges, ...)
+    startScheduledTasks();
   })
   .catch(err => {
     logger.error('Database connection failed', { error: err.message });
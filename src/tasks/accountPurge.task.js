@@ -0,0 +1,57 @@
+const User = require('../models/user.model');
+const { sendMail } = require('../utils/mailer');
+const logger = require('../utils/logger');
+
+/**
+ * Tell a user their deletion was cancelled because a company needs an owner
+ * @param {Object} user - User row (id, email, first_name)
+ * @param {Array} companies - Companies without anyone to take over (company_name)
+ */
+const sendDeletionBlockedEmail = async (user, companies) => {
+  const names = companies.map(company => company.company_name).join(', ');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your account deletion was cancelled',
+    text: `Hi ${user.first_name},\n\n` +
+      `We could not delete your account because you are the last owner of ${names}, ` +
+      'which has other members or applications. Make another member an owner or manager, ' +
+      'then request the deletion again.'
+  });
+};
+
+/**
+ * Permanently delete accounts whose deletion grace period has ended
+ * @returns {Number} Number of accounts purged
+ */
+module.exports = async () => {
+  const userIds = await User.findDueForDeletion();
+  let purged = 0;
+
+  for (const userId of userIds) {
+    try {
+      const result = await User.purge(userId);
+
+      if (result.outcome === 'purged') {
+        purged++;
+        logger.info('Purged deleted account', { userId });
+      } else if (result.outcome === 'blocked') {
+        logger.warn('Cancelled account deletion of a last company owner', {
+          userId,
+          employerIds: result.companies.map(company => company.id)
+        });
+
+        try {
+          await sendDeletionBlockedEmail(result.user, result.companies);
+        } catch (mailError) {
+          logger.error('Error sending deletion blocked email', { error: mailError, userId });
+        }
+      }
+    } catch (error) {
+      // Keep going; the account is retried on the next run
+      logger.error('Error purging account', { error, userId });
+    }
+  }
+
+  return purged;
+};
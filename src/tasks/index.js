@@ -0,0 +1,70 @@
+const purgeDeletedAccounts = require('./accountPurge.task');
+const expireJobs = require('./jobExpiry.task');
+const sendSavedSearchDigests = require('./savedSearchDigest.task');
+const sendJobBroadcastWaves = require('./jobBroadcast.task');
+const clearPresenceLocations = require('./presenceCleanup.task');
+const logger = require('../utils/logger');
+
+// Background tasks run inside the API process on a fixed interval
+const tasks = [
+  {
+    name: 'purge-deleted-accounts',
+    run: purgeDeletedAccounts,
+    intervalMinutes: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60
+  },
+  {
+    name: 'expire-jobs',
+    run: expireJobs,
+    intervalMinutes: parseInt(process.env.JOB_EXPIRY_INTERVAL_MINUTES) || 5
+  },
+  {
+    name: 'saved-search-digests',
+    run: sendSavedSearchDigests,
+    intervalMinutes: parseInt(process.env.SAVED_SEARCH_DIGEST_INTERVAL_MINUTES) || 10
+  },
+  {
+    name: 'job-broadcast-waves',
+    run: sendJobBroadcastWaves,
+    intervalMinutes: parseInt(process.env.BROADCAST_TASK_INTERVAL_MINUTES) || 1
+  },
+  {
+    name: 'clear-presence-locations',
+    run: clearPresenceLocations,
+    intervalMinutes: parseInt(process.env.PRESENCE_CLEANUP_INTERVAL_MINUTES) || 15
+  }
+];
+
+/**
+ * Run a task, skipping the run if the previous one is still in progress
+ * @param {Object} task - Task definition
+ */
+const runTask = async (task) => {
+  if (task.running) {
+    return;
+  }
+
+  task.running = true;
+
+  try {
+    await task.run();
+  } catch (error) {
+    logger.error('Scheduled task failed', { error, task: task.name });
+  } finally {
+    task.running = false;
+  }
+};
+
+/**
+ * Start all scheduled tasks
+ */
+exports.startScheduledTasks = () => {
+  tasks.forEach(task => {
+    const timer = setInterval(() => runTask(task), task.intervalMinutes * 60 * 1000);
+
+    // Do not keep the process alive just for background tasks
+    timer.unref();
+    runTask(task);
+  });
+
+  logger.info('Scheduled tasks started', { tasks: tasks.map(task => task.name) });
+};
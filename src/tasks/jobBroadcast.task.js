@@ -0,0 +1,28 @@
+const JobBroadcast = require('../models/jobBroadcast.model');
+const logger = require('../utils/logger');
+
+/**
+ * Send the next wave of every urgent job broadcast that is due. Broadcasts of
+ * jobs that were filled, expired or unpublished are closed without sending.
+ * @returns {Number} Number of job seekers notified
+ */
+module.exports = async () => {
+  const jobIds = await JobBroadcast.findDue();
+  let notified = 0;
+
+  for (const jobId of jobIds) {
+    try {
+      const result = await JobBroadcast.sendNextWave(jobId);
+
+      if (result && result.radiusKm) {
+        notified += result.notified;
+        logger.info('Sent job broadcast wave', { jobId, ...result });
+      }
+    } catch (error) {
+      // The wave stays due and is retried on the next run
+      logger.error('Error sending job broadcast wave', { error, jobId });
+    }
+  }
+
+  return notified;
+};
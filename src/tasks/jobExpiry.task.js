@@ -0,0 +1,32 @@
+const Job = require('../models/job.model');
+const JobApplication = require('../models/application.model');
+const Notification = require('../models/notification.model');
+const logger = require('../utils/logger');
+
+/**
+ * Expire active jobs past their end date or urgency-based listing time, and
+ * let the employer and any pending applicants know
+ * @returns {Number} Number of jobs expired
+ */
+module.exports = async () => {
+  const jobs = await Job.expireDue();
+
+  for (const job of jobs) {
+    try {
+      await Notification.createJobExpiredNotification(job, job.employer_user_id, true);
+
+      const applicantIds = await JobApplication.findPendingApplicantUserIds(job.id);
+
+      for (const userId of applicantIds) {
+        await Notification.createJobExpiredNotification(job, userId, false);
+      }
+
+      logger.info('Expired job', { jobId: job.id, applicants: applicantIds.length });
+    } catch (error) {
+      // The job stays expired; only the notifications are lost
+      logger.error('Error sending job expiry notifications', { error, jobId: job.id });
+    }
+  }
+
+  return jobs.length;
+};
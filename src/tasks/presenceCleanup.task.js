@@ -0,0 +1,16 @@
+const Presence = require('../models/presence.model');
+const logger = require('../utils/logger');
+
+/**
+ * Forget the pinged locations of job seekers whose time on duty has ended
+ * @returns {Number} Number of locations cleared
+ */
+module.exports = async () => {
+  const cleared = await Presence.clearExpiredLocations();
+
+  if (cleared > 0) {
+    logger.info('Cleared expired presence locations', { cleared });
+  }
+
+  return cleared;
+};
@@ -0,0 +1,37 @@
+const Job = require('../models/job.model');
+const SavedSearch = require('../models/savedSearch.model');
+const Notification = require('../models/notification.model');
+const logger = require('../utils/logger');
+
+/**
+ * Send hourly and daily saved search digests: one notification per saved
+ * search with jobs listed since it was last checked
+ * @returns {Number} Number of digests sent
+ */
+module.exports = async () => {
+  const savedSearches = await SavedSearch.findDueDigests();
+  let sent = 0;
+
+  for (const savedSearch of savedSearches) {
+    try {
+      const filters = {
+        ...savedSearch.filters,
+        status: 'active',
+        publishedAfter: savedSearch.last_checked_at
+      };
+      const { pagination } = await Job.findAll(filters, 1, 1);
+
+      if (pagination.total > 0) {
+        await Notification.createSavedSearchDigestNotification(savedSearch, pagination.total);
+        sent++;
+      }
+
+      await SavedSearch.markChecked(savedSearch.id, savedSearch.checked_at);
+    } catch (error) {
+      // Not marked as checked, so the same window is retried on the next run
+      logger.error('Error sending saved search digest', { error, savedSearchId: savedSearch.id });
+    }
+  }
+
+  return sent;
+};
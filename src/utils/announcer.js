@@ -0,0 +1,22 @@
+const SavedSearch = require('../models/savedSearch.model');
+const JobBroadcast = require('../models/jobBroadcast.model');
+const logger = require('./logger');
+
+/**
+ * Alert instant saved searches about a newly listed job and start broadcasting
+ * urgent jobs to nearby job seekers, without holding up the response
+ * @param {Object} job - Job that was just created or reactivated
+ */
+exports.announceJob = (job) => {
+  SavedSearch.alertForJob(job).catch(error => {
+    logger.error('Error alerting saved searches', { error, jobId: job.id });
+  });
+
+  if (JobBroadcast.BROADCAST_URGENCIES.includes(job.urgency)) {
+    JobBroadcast.start(job.id)
+      .then(() => JobBroadcast.sendNextWave(job.id))
+      .catch(error => {
+        logger.error('Error starting job broadcast', { error, jobId: job.id });
+      });
+  }
+};
@@ -0,0 +1,50 @@
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.045;
+
+/**
+ * SQL expression for the great-circle distance in km between a point given as
+ * query parameters and a row's coordinates (Haversine). The argument of asin is
+ * clamped so floating point error cannot produce NaN.
+ * @param {String} latParam - Placeholder for the point's latitude (e.g. $1)
+ * @param {String} lngParam - Placeholder for the point's longitude
+ * @param {String} latColumn - Row latitude column
+ * @param {String} lngColumn - Row longitude column
+ */
+exports.distanceSql = (latParam, lngParam, latColumn, lngColumn) => `
+  (2 * ${EARTH_RADIUS_KM} * asin(LEAST(1, sqrt(
+    power(sin(radians(${latColumn} - ${latParam}::FLOAT) / 2), 2) +
+    cos(radians(${latParam}::FLOAT)) * cos(radians(${latColumn})) *
+    power(sin(radians(${lngColumn} - ${lngParam}::FLOAT) / 2), 2)
+  ))))
+`;
+
+/**
+ * Latitude/longitude box that contains every point within a radius. Used to
+ * prefilter radius searches with an index before the exact distance check.
+ * Longitude bounds are left out near the poles and where the box would cross
+ * the antimeridian.
+ * @param {Number} latitude - Center latitude
+ * @param {Number} longitude - Center longitude
+ * @param {Number} radiusKm - Radius in km
+ * @returns {Object} { minLat, maxLat, minLng, maxLng } (longitudes may be null)
+ */
+exports.boundingBox = (latitude, longitude, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+  const box = {
+    minLat: Math.max(latitude - latDelta, -90),
+    maxLat: Math.min(latitude + latDelta, 90),
+    minLng: null,
+    maxLng: null
+  };
+
+  if (box.minLat > -90 && box.maxLat < 90) {
+    const lngDelta = radiusKm / (KM_PER_DEGREE_LATITUDE * Math.cos(latitude * Math.PI / 180));
+
+    if (longitude - lngDelta >= -180 && longitude + lngDelta <= 180) {
+      box.minLng = longitude - lngDelta;
+      box.maxLng = longitude + lngDelta;
+    }
+  }
+
+  return box;
+};
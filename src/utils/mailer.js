@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Console transport - logs outgoing mail instead of delivering it
+ */
+const consoleTransport = {
+  send: async (message) => {
+    logger.info('Outgoing email', message);
+    return { delivered: false, transport: 'console' };
+  }
+};
+
+/**
+ * File transport - writes each message as a JSON file for local testing
+ */
+const fileTransport = {
+  send: async (message) => {
+    const mailDir = path.resolve(__dirname, '../../', process.env.MAIL_FILE_DIR || 'tmp/mail');
+
+    if (!fs.existsSync(mailDir)) {
+      fs.mkdirSync(mailDir, { recursive: true });
+    }
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+    const filePath = path.join(mailDir, fileName);
+
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+
+    return { delivered: false, transport: 'file', path: filePath };
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+/**
+ * Register a mail transport (e.g. SMTP or a provider API)
+ * @param {String} name - Transport name used in MAIL_TRANSPORT
+ * @param {Object} transport - Object exposing an async send(message) method
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - Message options
+ * @param {String} options.to - Recipient address
+ * @param {String} options.subject - Subject line
+ * @param {String} options.text - Plain text body
+ * @param {String} options.html - Optional HTML body
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@urgentjobs.local',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  try {
+    return await transport.send(message);
+  } catch (error) {
+    logger.error('Error sending email', { error, to, subject, transport: transportName });
+    throw error;
+  }
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
@@ -0,0 +1,50 @@
+// Pinged locations older than this are ignored in favour of the profile address
+const LOCATION_TTL_MINUTES = parseInt(process.env.PRESENCE_LOCATION_TTL_MINUTES) || 30;
+
+/*
+ * SQL fragments for queries over job seekers that take presence into account.
+ * They expect job_seeker_profiles aliased as jsp and PRESENCE_JOIN to be used.
+ */
+
+exports.PRESENCE_JOIN = 'LEFT JOIN job_seeker_presence p ON p.job_seeker_id = jsp.id';
+
+// On duty right now
+exports.ON_DUTY_SQL = 'COALESCE(p.on_duty_until > NOW(), FALSE)';
+
+// On duty with a recently pinged location
+const LIVE_LOCATION_SQL = `(COALESCE(p.on_duty_until > NOW(), FALSE)
+  AND p.location_updated_at > NOW() - INTERVAL '${LOCATION_TTL_MINUTES} minutes')`;
+
+exports.LIVE_LOCATION_SQL = LIVE_LOCATION_SQL;
+
+// Where the job seeker is: the live location when there is one, else the profile address
+exports.LATITUDE_SQL = `(CASE WHEN ${LIVE_LOCATION_SQL} THEN p.latitude ELSE jsp.location_latitude END)`;
+exports.LONGITUDE_SQL = `(CASE WHEN ${LIVE_LOCATION_SQL} THEN p.longitude ELSE jsp.location_longitude END)`;
+
+/**
+ * SQL condition prefiltering job seekers to a bounding box (see geo.boundingBox)
+ * by either their profile address or their pinged location, so both can use
+ * an index. The exact distance must still be checked on LATITUDE_SQL/LONGITUDE_SQL.
+ * @param {String} minLat - Placeholder for the minimum latitude (e.g. $4)
+ * @param {String} maxLat - Placeholder for the maximum latitude
+ * @param {String} minLng - Placeholder for the minimum longitude (may be NULL)
+ * @param {String} maxLng - Placeholder for the maximum longitude
+ */
+exports.withinBoxSql = (minLat, maxLat, minLng, maxLng) => `(
+  (jsp.location_latitude BETWEEN ${minLat} AND ${maxLat}
+    AND (${minLng}::FLOAT IS NULL OR jsp.location_longitude BETWEEN ${minLng} AND ${maxLng}))
+  OR (p.latitude BETWEEN ${minLat} AND ${maxLat}
+    AND (${minLng}::FLOAT IS NULL OR p.longitude BETWEEN ${minLng} AND ${maxLng}))
+)`;
+
+/**
+ * Round a coordinate to PRESENCE_LOCATION_DECIMALS places (2 by default,
+ * about 1 km) so pinged locations are never stored precisely
+ * @param {Number} value - Latitude or longitude
+ */
+exports.roundCoordinate = (value) => {
+  const decimals = parseInt(process.env.PRESENCE_LOCATION_DECIMALS);
+  const factor = Math.pow(10, Number.isNaN(decimals) ? 2 : decimals);
+
+  return Math.round(parseFloat(value) * factor) / factor;
+};
@@ -0,0 +1,36 @@
+/**
+ * Split text into searchable words (letters and digits only)
+ * @param {String} text - Raw text
+ */
+const toWords = (text) => text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Build a PostgreSQL tsquery from a user search string. Every term must match;
+ * "quoted words" must appear as a phrase and a trailing * matches by prefix
+ * (plumb* finds plumber and plumbing).
+ * @param {String} input - Raw search string
+ * @returns {String|null} Query for to_tsquery, or null if nothing searchable is left
+ */
+exports.toTsQuery = (input) => {
+  const parts = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(input))) !== null) {
+    const isPhrase = match[1] !== undefined;
+    const term = isPhrase ? match[1] : match[2];
+    const words = toWords(term);
+
+    if (words.length === 0) {
+      continue;
+    }
+
+    if (!isPhrase && term.endsWith('*')) {
+      words[words.length - 1] += ':*';
+    }
+
+    parts.push(words.length > 1 ? `(${words.join(' <-> ')})` : words[0]);
+  }
+
+  return parts.length > 0 ? parts.join(' & ') : null;
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Console provider - logs outgoing text messages instead of delivering them
+ */
+const consoleProvider = {
+  send: async (message) => {
+    logger.info('Outgoing SMS', message);
+    return { delivered: false, provider: 'console' };
+  }
+};
+
+/**
+ * File provider - writes each message as a JSON file for local testing
+ */
+const fileProvider = {
+  send: async (message) => {
+    const smsDir = path.resolve(__dirname, '../../', process.env.SMS_FILE_DIR || 'tmp/sms');
+
+    if (!fs.existsSync(smsDir)) {
+      fs.mkdirSync(smsDir, { recursive: true });
+    }
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^0-9+]/g, '_')}.json`;
+    const filePath = path.join(smsDir, fileName);
+
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+
+    return { delivered: false, provider: 'file', path: filePath };
+  }
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider
+};
+
+/**
+ * Register an SMS provider (e.g. Twilio or another gateway API)
+ * @param {String} name - Provider name used in SMS_PROVIDER
+ * @param {Object} provider - Object exposing an async send(message) method
+ */
+const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('SMS provider must implement send(message)');
+  }
+
+  providers[name] = provider;
+};
+
+/**
+ * Send a text message through the configured provider
+ * @param {Object} options - Message options
+ * @param {String} options.to - Recipient phone number (E.164)
+ * @param {String} options.body - Message text
+ */
+const sendSms = async ({ to, body }) => {
+  const providerName = process.env.SMS_PROVIDER || 'console';
+  const provider = providers[providerName];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${providerName}`);
+  }
+
+  const message = {
+    from: process.env.SMS_FROM || 'UrgentJobs',
+    to,
+    body
+  };
+
+  try {
+    return await provider.send(message);
+  } catch (error) {
+    logger.error('Error sending SMS', { error, to, provider: providerName });
+    throw error;
+  }
+};
+
+module.exports = {
+  sendSms,
+  registerProvider
+};
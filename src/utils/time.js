@@ -0,0 +1,8 @@
+/**
+ * Convert an ISO 8601 date-time to UTC. Dates and times are stored in
+ * TIMESTAMP columns that are read as UTC, and PostgreSQL drops any offset on
+ * the way in, so they must be converted before they are written.
+ * @param {String|null|undefined} value - ISO 8601 date-time
+ * @returns {String|null|undefined} UTC date-time, or the value as given if empty
+ */
+exports.toUtc = (value) => (value === undefined || value === null ? value : new Date(value).toISOString());
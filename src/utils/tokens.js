@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Purposes for short-lived JWTs that must not be accepted as access tokens
+const TOKEN_PURPOSES = {
+  TWO_FACTOR_CHALLENGE: 'two_factor_challenge',
+  TWO_FACTOR_SETUP: 'two_factor_setup'
+};
+
+/**
+ * Generate a short-lived JWT access token
+ * @param {Object} payload - Token payload (id, role, sid, ...)
+ * @param {String} expiresIn - Lifetime override (defaults to JWT_EXPIRES_IN)
+ * @returns {String} JWT token
+ */
+const generateAccessToken = (payload, expiresIn) => {
+  return jwt.sign(
+    payload,
+    process.env.JWT_SECRET,
+    { expiresIn: expiresIn || process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+/**
+ * Generate an opaque random token (refresh tokens, reset links, etc.)
+ * @param {Number} bytes - Number of random bytes
+ * @returns {String} Hex encoded token
+ */
+const generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash an opaque token for storage so the raw value never hits the database
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Verify a purpose-bound JWT (2FA challenge, setup, ...)
+ * @param {String} token - JWT
+ * @param {String} purpose - Expected purpose
+ * @returns {Object|null} Decoded payload, or null if the purpose does not match
+ */
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return decoded.purpose === purpose ? decoded : null;
+};
+
+module.exports = {
+  TOKEN_PURPOSES,
+  generateAccessToken,
+  verifyPurposeToken,
+  generateRandomToken,
+  hashToken
+};
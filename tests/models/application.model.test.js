@@ -0,0 +1,243 @@
+jest.mock('../../src/db/connection', () => ({
+  query: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/models/job.model', () => ({
+  syncFilledStatus: jest.fn(),
+  toPublic: jest.fn(job => job)
+}));
+
+const { pool } = require('../../src/db/connection');
+const Job = require('../../src/models/job.model');
+const JobApplication = require('../../src/models/application.model');
+
+/**
+ * Transaction client that answers each query with the first matching row set
+ * @param {Array} responses - [pattern, rows] pairs; rows may be a function of the params
+ */
+const mockClient = (responses) => {
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      const match = responses.find(([pattern]) => pattern.test(sql));
+      const rows = match ? match[1] : [];
+      return { rows: typeof rows === 'function' ? rows(params) : rows };
+    }),
+    release: jest.fn()
+  };
+
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+const statements = client => client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Job.syncFilledStatus.mockResolvedValue({ job: { id: 7, status: 'active' }, shifts: [], rejected: [] });
+});
+
+describe('JobApplication.changeStatus', () => {
+  const lockedJob = {
+    id: 7,
+    status: 'active',
+    positions: 2,
+    accepted_count: 1,
+    application_status: 'pending',
+    shift_id: null,
+    shift_status: null,
+    shift_positions: null,
+    shift_accepted_count: 0,
+    has_shifts: false
+  };
+
+  it('locks the job before changing the application', async () => {
+    const client = mockClient([
+      [/FOR UPDATE OF j/, [lockedJob]],
+      [/UPDATE job_applications/, [{ id: 3, status: 'accepted' }]]
+    ]);
+
+    const result = await JobApplication.changeStatus(3, 'accepted');
+
+    expect(statements(client)).toEqual(['BEGIN', 'SELECT', 'UPDATE', 'COMMIT']);
+    expect(client.query.mock.calls[1][0]).toMatch(/FOR UPDATE OF j/);
+    expect(Job.syncFilledStatus).toHaveBeenCalledWith(7, client);
+    expect(result).toMatchObject({ outcome: 'updated', application: { id: 3 }, job: { status: 'active' } });
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('refuses to accept an application once the job is filled', async () => {
+    const client = mockClient([
+      [/FOR UPDATE OF j/, [{ ...lockedJob, status: 'filled' }]]
+    ]);
+
+    const result = await JobApplication.changeStatus(3, 'accepted');
+
+    expect(result).toEqual({ outcome: 'filled' });
+    expect(statements(client)).toEqual(['BEGIN', 'SELECT', 'ROLLBACK']);
+    expect(Job.syncFilledStatus).not.toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('refuses to accept an application on an active job whose positions are all taken', async () => {
+    const client = mockClient([
+      [/FOR UPDATE OF j/, [{ ...lockedJob, accepted_count: 2 }]]
+    ]);
+
+    expect(await JobApplication.changeStatus(3, 'accepted')).toEqual({ outcome: 'filled' });
+    expect(statements(client)).toEqual(['BEGIN', 'SELECT', 'ROLLBACK']);
+  });
+
+  it('refuses to overfill jobs that are not active', async () => {
+    for (const status of ['draft', 'expired']) {
+      mockClient([[/FOR UPDATE OF j/, [{ ...lockedJob, status, accepted_count: 2 }]]]);
+
+      expect(await JobApplication.changeStatus(3, 'accepted')).toEqual({ outcome: 'filled' });
+    }
+  });
+
+  it('counts accepted applications per shift', async () => {
+    mockClient([
+      [/FOR UPDATE OF j/, [{
+        ...lockedJob,
+        shift_id: 2,
+        shift_status: 'open',
+        shift_positions: 1,
+        shift_accepted_count: 1,
+        has_shifts: true
+      }]]
+    ]);
+
+    expect(await JobApplication.changeStatus(3, 'accepted')).toEqual({ outcome: 'filled' });
+  });
+
+  it('refuses to accept an application for a filled shift', async () => {
+    mockClient([
+      [/FOR UPDATE OF j/, [{ ...lockedJob, shift_id: 2, shift_status: 'filled', shift_positions: 1, shift_accepted_count: 1, has_shifts: true }]]
+    ]);
+
+    expect(await JobApplication.changeStatus(3, 'accepted')).toEqual({ outcome: 'filled' });
+  });
+
+  it('refuses to accept an application without a shift on a job with shifts', async () => {
+    const client = mockClient([
+      [/FOR UPDATE OF j/, [{ ...lockedJob, has_shifts: true }]]
+    ]);
+
+    expect(await JobApplication.changeStatus(3, 'accepted')).toEqual({ outcome: 'needs_shift' });
+    expect(statements(client)).not.toContain('UPDATE');
+  });
+
+  it('lets a filled job reject or withdraw applications so it can reopen', async () => {
+    const client = mockClient([
+      [/FOR UPDATE OF j/, [{ ...lockedJob, status: 'filled', accepted_count: 2 }]],
+      [/UPDATE job_applications/, [{ id: 3, status: 'withdrawn' }]]
+    ]);
+
+    const result = await JobApplication.changeStatus(3, 'withdrawn');
+
+    expect(result.outcome).toBe('updated');
+    expect(Job.syncFilledStatus).toHaveBeenCalledWith(7, client);
+  });
+
+  it('rolls back and releases the client when a query fails', async () => {
+    const client = mockClient([]);
+    client.query.mockImplementation(async (sql) => {
+      if (/FOR UPDATE/.test(sql)) {
+        throw new Error('deadlock detected');
+      }
+      return { rows: [] };
+    });
+
+    await expect(JobApplication.changeStatus(3, 'accepted')).rejects.toThrow('deadlock detected');
+    expect(statements(client)).toEqual(['BEGIN', 'SELECT', 'ROLLBACK']);
+    expect(client.release).toHaveBeenCalled();
+  });
+});
+
+describe('JobApplication.instantBook', () => {
+  const activeJob = {
+    id: 7,
+    status: 'active',
+    instant_book: true,
+    instant_book_min_rating: '4.0',
+    instant_book_verified_phone: true,
+    required_skills: ['Forklift']
+  };
+  const qualifiedSeeker = { phone_verified_at: new Date(), average_rating: 4.5, missing_skills: [] };
+
+  it('locks the job row before checking and booking', async () => {
+    const client = mockClient([
+      [/FROM jobs WHERE id = \$1 FOR UPDATE/, [activeJob]],
+      [/FROM job_seeker_profiles jsp/, [qualifiedSeeker]],
+      [/INSERT INTO job_applications/, params => [{ id: 11, status: params[3] }]]
+    ]);
+
+    const result = await JobApplication.instantBook({ coverLetter: 'Hi' }, 5, 7);
+
+    expect(client.query.mock.calls[1][0]).toMatch(/FOR UPDATE/);
+    expect(statements(client)).toEqual(['BEGIN', 'SELECT', 'SELECT', 'SELECT', 'INSERT', 'COMMIT']);
+    expect(Job.syncFilledStatus).toHaveBeenCalledWith(7, client);
+    expect(result).toMatchObject({ outcome: 'booked', application: { status: 'accepted' }, unmetCriteria: [] });
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('queues applicants who miss a criterion for review', async () => {
+    const client = mockClient([
+      [/FROM jobs WHERE id = \$1 FOR UPDATE/, [activeJob]],
+      [/FROM job_seeker_profiles jsp/, [{ phone_verified_at: null, average_rating: null, missing_skills: ['Forklift'] }]],
+      [/INSERT INTO job_applications/, params => [{ id: 11, status: params[3] }]]
+    ]);
+
+    const result = await JobApplication.instantBook({}, 5, 7);
+
+    expect(result.outcome).toBe('pending');
+    expect(result.application.status).toBe('pending');
+    expect(result.unmetCriteria).toEqual([
+      'an average rating of at least 4.0',
+      'a verified phone number',
+      'skills: Forklift'
+    ]);
+    expect(Job.syncFilledStatus).not.toHaveBeenCalled();
+    expect(statements(client)).toContain('COMMIT');
+  });
+
+  it('books nobody once the job has been filled', async () => {
+    const client = mockClient([
+      [/FROM jobs WHERE id = \$1 FOR UPDATE/, [{ ...activeJob, status: 'filled' }]]
+    ]);
+
+    expect(await JobApplication.instantBook({}, 5, 7)).toEqual({ outcome: 'filled' });
+    expect(statements(client)).toEqual(['BEGIN', 'SELECT', 'ROLLBACK']);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('treats jobs that are no longer listed as closed', async () => {
+    mockClient([[/FROM jobs WHERE id = \$1 FOR UPDATE/, [{ ...activeJob, status: 'expired' }]]]);
+
+    expect(await JobApplication.instantBook({}, 5, 7)).toEqual({ outcome: 'closed' });
+  });
+
+  it('books nobody on a filled shift', async () => {
+    const client = mockClient([
+      [/FROM jobs WHERE id = \$1 FOR UPDATE/, [activeJob]],
+      [/FROM job_shifts/, [{ status: 'filled' }]]
+    ]);
+
+    expect(await JobApplication.instantBook({ shiftId: 2 }, 5, 7)).toEqual({ outcome: 'filled' });
+    expect(statements(client)).not.toContain('INSERT');
+  });
+
+  it('does not book the same applicant twice', async () => {
+    mockClient([
+      [/FROM jobs WHERE id = \$1 FOR UPDATE/, [activeJob]],
+      [/SELECT 1 FROM job_applications/, [{ '?column?': 1 }]]
+    ]);
+
+    expect(await JobApplication.instantBook({}, 5, 7)).toEqual({ outcome: 'already_applied' });
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../src/db/connection', () => ({
+  query: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/models/notification.model', () => ({
+  createPositionsFilledNotification: jest.fn()
+}));
+
+const { pool } = require('../../src/db/connection');
+const Notification = require('../../src/models/notification.model');
+const Job = require('../../src/models/job.model');
+
+/**
+ * Transaction client that answers each query with the first matching row set
+ * @param {Array} responses - [pattern, rows] pairs; rows may be a function of the params
+ */
+const mockClient = (responses) => {
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      const match = responses.find(([pattern]) => pattern.test(sql));
+      const rows = match ? match[1] : [];
+      return { rows: typeof rows === 'function' ? rows(params) : rows };
+    }),
+    release: jest.fn()
+  };
+
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+const statements = client => client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('Job.updateStatus', () => {
+  const lockedJob = { id: 7, title: 'Barista', status: 'filled', positions: 2, accepted_count: 2 };
+
+  it('locks the job row before changing its status', async () => {
+    const client = mockClient([
+      [/FOR UPDATE/, [{ ...lockedJob, accepted_count: 1 }]],
+      [/UPDATE jobs/, params => [{ id: 7, status: params[1], search_vector: 'x' }]]
+    ]);
+
+    const result = await Job.updateStatus(7, 'filled', 'active');
+
+    expect(client.query.mock.calls[1][0]).toMatch(/FOR UPDATE/);
+    expect(statements(client)).toEqual(['BEGIN', 'SELECT', 'SELECT', 'UPDATE', 'COMMIT']);
+    expect(result).toEqual({ outcome: 'updated', job: { id: 7, status: 'active' }, shifts: [], rejected: [] });
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('refuses to list a job again while all its positions are taken', async () => {
+    for (const from of ['filled', 'expired', 'draft']) {
+      const client = mockClient([[/FOR UPDATE/, [{ ...lockedJob, status: from }]]]);
+
+      expect(await Job.updateStatus(7, from, 'active')).toEqual({ outcome: 'full' });
+      expect(statements(client)).not.toContain('UPDATE');
+    }
+  });
+
+  it('refuses to list a job again while all its shifts are filled', async () => {
+    mockClient([
+      [/FOR UPDATE/, [{ ...lockedJob, accepted_count: 1 }]],
+      [/FROM job_shifts s/, [{ id: 2, status: 'filled', positions: 1, accepted_count: 1 }]]
+    ]);
+
+    expect(await Job.updateStatus(7, 'filled', 'active')).toEqual({ outcome: 'full' });
+  });
+
+  it('rejects and notifies pending applicants when a job is filled by hand', async () => {
+    mockClient([
+      [/FOR UPDATE/, [{ ...lockedJob, status: 'active', accepted_count: 1 }]],
+      [/UPDATE jobs/, [{ id: 7, status: 'filled' }]],
+      [/UPDATE job_applications/, [{ id: 3, job_seeker_user_id: 40 }]]
+    ]);
+
+    const result = await Job.updateStatus(7, 'active', 'filled');
+
+    expect(result.outcome).toBe('updated');
+    expect(result.rejected).toEqual([{ id: 3, job_seeker_user_id: 40 }]);
+    expect(Notification.createPositionsFilledNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 3, job_title: 'Barista' }),
+      40,
+      expect.anything()
+    );
+  });
+
+  it('does nothing if the status has changed in the meantime', async () => {
+    const client = mockClient([[/FOR UPDATE/, [{ ...lockedJob, status: 'expired' }]]]);
+
+    expect(await Job.updateStatus(7, 'active', 'filled')).toEqual({ outcome: 'changed' });
+    expect(statements(client)).toEqual(['BEGIN', 'SELECT', 'ROLLBACK']);
+    expect(client.release).toHaveBeenCalled();
+  });
+});
+
+describe('Job.syncFilledStatus', () => {
+  const publishedAt = new Date('2026-10-18T09:00:00Z');
+
+  it('reports a filled job with a free position as reopened', async () => {
+    const client = mockClient([
+      [/FROM jobs j/, [{ id: 7, status: 'filled', positions: 2, accepted_count: 1 }]],
+      [/UPDATE jobs/, [{ published_at: publishedAt }]]
+    ]);
+
+    const result = await Job.syncFilledStatus(7, client);
+
+    expect(result.reopened).toBe(true);
+    expect(result.job).toMatchObject({ status: 'active', published_at: publishedAt });
+  });
+
+  it('does not report a job that fills up as reopened', async () => {
+    const client = mockClient([
+      [/FROM jobs j/, [{ id: 7, title: 'Barista', status: 'active', positions: 2, accepted_count: 2 }]]
+    ]);
+
+    const result = await Job.syncFilledStatus(7, client);
+
+    expect(result.reopened).toBe(false);
+    expect(result.job.status).toBe('filled');
+  });
+});
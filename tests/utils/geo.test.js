@@ -0,0 +1,88 @@
+const { boundingBox, distanceSql } = require('../../src/utils/geo');
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Point reached by travelling a distance from a start point on a bearing
+ */
+const destination = (latitude, longitude, distanceKm, bearingDegrees) => {
+  const angular = distanceKm / EARTH_RADIUS_KM;
+  const lat1 = toRadians(latitude);
+  const bearing = toRadians(bearingDegrees);
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angular) +
+    Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing)
+  );
+  const lng2 = toRadians(longitude) + Math.atan2(
+    Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return { latitude: toDegrees(lat2), longitude: toDegrees(lng2) };
+};
+
+const contains = (box, point) => point.latitude >= box.minLat &&
+  point.latitude <= box.maxLat &&
+  (box.minLng === null || (point.longitude >= box.minLng && point.longitude <= box.maxLng));
+
+describe('boundingBox', () => {
+  it.each([
+    [52.52, 13.405, 10],
+    [-33.87, 151.21, 50],
+    [0, 0, 25],
+    [70, -20, 100]
+  ])('contains every point %p,%p within %p km', (latitude, longitude, radiusKm) => {
+    const box = boundingBox(latitude, longitude, radiusKm);
+
+    expect(box.minLng).not.toBeNull();
+
+    for (let bearing = 0; bearing < 360; bearing += 15) {
+      expect(contains(box, destination(latitude, longitude, radiusKm, bearing))).toBe(true);
+    }
+  });
+
+  it('stays close to the radius', () => {
+    const box = boundingBox(0, 0, 10);
+
+    expect(box.maxLat - box.minLat).toBeCloseTo(2 * 10 / 111.045, 6);
+    expect(box.maxLng - box.minLng).toBeCloseTo(2 * 10 / 111.045, 6);
+  });
+
+  it('widens the longitude range at high latitudes', () => {
+    const equator = boundingBox(0, 10, 10);
+    const north = boundingBox(60, 10, 10);
+
+    expect(north.maxLng - north.minLng).toBeCloseTo(2 * (equator.maxLng - equator.minLng), 6);
+  });
+
+  it('clamps latitude and drops longitude bounds near the poles', () => {
+    expect(boundingBox(89.95, 45, 10)).toEqual({
+      minLat: 89.95 - 10 / 111.045,
+      maxLat: 90,
+      minLng: null,
+      maxLng: null
+    });
+    expect(boundingBox(-89.99, 0, 5)).toMatchObject({ minLat: -90, minLng: null, maxLng: null });
+  });
+
+  it('drops longitude bounds when the box would cross the antimeridian', () => {
+    expect(boundingBox(10, 179.95, 10)).toMatchObject({ minLng: null, maxLng: null });
+    expect(boundingBox(10, -179.95, 10)).toMatchObject({ minLng: null, maxLng: null });
+
+    const box = boundingBox(10, 179.95, 10);
+    expect(contains(box, destination(10, 179.95, 10, 90))).toBe(true);
+  });
+});
+
+describe('distanceSql', () => {
+  it('casts the point parameters and uses the row columns', () => {
+    const sql = distanceSql('$1', '$2', 'j.location_latitude', 'j.location_longitude');
+
+    expect(sql).toContain('radians(j.location_latitude - $1::FLOAT)');
+    expect(sql).toContain('radians(j.location_longitude - $2::FLOAT)');
+    expect(sql).toContain('LEAST(1,');
+  });
+});
@@ -0,0 +1,46 @@
+const { toTsQuery } = require('../../src/utils/search');
+
+describe('toTsQuery', () => {
+  it('requires every word to match', () => {
+    expect(toTsQuery('bar staff')).toBe('bar & staff');
+  });
+
+  it('turns quoted words into a phrase', () => {
+    expect(toTsQuery('"line cook" weekend')).toBe('(line <-> cook) & weekend');
+  });
+
+  it('matches a trailing * by prefix', () => {
+    expect(toTsQuery('plumb*')).toBe('plumb:*');
+    expect(toTsQuery('night plumb*')).toBe('night & plumb:*');
+  });
+
+  it('only applies the prefix to the last word of a hyphenated term', () => {
+    expect(toTsQuery('part-tim*')).toBe('(part <-> tim:*)');
+  });
+
+  it('does not treat * inside a phrase as a prefix', () => {
+    expect(toTsQuery('"bar staff*"')).toBe('(bar <-> staff)');
+  });
+
+  it('strips tsquery operators and punctuation from terms', () => {
+    expect(toTsQuery("chef's & (sous) | !cook")).toBe('(chef <-> s) & sous & cook');
+  });
+
+  it('keeps letters and digits from other scripts', () => {
+    expect(toTsQuery('café 24h')).toBe('café & 24h');
+  });
+
+  it('returns null when nothing searchable is left', () => {
+    expect(toTsQuery('')).toBeNull();
+    expect(toTsQuery('   ')).toBeNull();
+    expect(toTsQuery('*** & | ! ""')).toBeNull();
+  });
+
+  it('treats an unclosed quote as plain words', () => {
+    expect(toTsQuery('"line cook')).toBe('line & cook');
+  });
+
+  it('accepts non-string input', () => {
+    expect(toTsQuery(42)).toBe('42');
+  });
+});
@@ -0,0 +1,17 @@
+const { toUtc } = require('../../src/utils/time');
+
+describe('toUtc', () => {
+  it('converts an offset to UTC', () => {
+    expect(toUtc('2026-10-20T09:00:00+02:00')).toBe('2026-10-20T07:00:00.000Z');
+    expect(toUtc('2026-10-20T21:30:00-05:00')).toBe('2026-10-21T02:30:00.000Z');
+  });
+
+  it('keeps UTC times as they are', () => {
+    expect(toUtc('2026-10-20T09:00:00Z')).toBe('2026-10-20T09:00:00.000Z');
+  });
+
+  it('passes empty values through so they can clear or skip a column', () => {
+    expect(toUtc(null)).toBeNull();
+    expect(toUtc(undefined)).toBeUndefined();
+  });
+});